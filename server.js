@@ -5,9 +5,45 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs-extra');
-const { compressImage } = require('./services/imageCompression');
-const { compressVideo, splitVideo } = require('./services/videoCompression');
+const {
+  compressImage,
+  resizeImage,
+  OUTPUT_FORMATS,
+  RESIZE_OUTPUT_FORMATS,
+  ICC_MODES,
+  EXIF_MODES,
+  EXIF_FIELD_GROUPS,
+  RESIZE_FITS,
+  RESIZE_POSITIONS,
+  SMART_CROP_STRATEGIES
+} = require('./services/imageCompression');
+const {
+  compressVideo,
+  splitVideo,
+  createAdaptiveStream,
+  trimVideo,
+  checkTrimBounds,
+  getVideoInfo,
+  QUALITY_METRICS,
+  STREAMING_FORMATS,
+  MAX_TRIM_RANGES,
+  TRIM_FLIPS
+} = require('./services/videoCompression');
+const { resolveEncoding, getSupportedCodecs } = require('./services/videoCodecs');
+const { createVideoThumbnails, THUMBNAIL_MODES, THUMBNAIL_FORMATS, MAX_THUMBNAILS } = require('./services/videoThumbnails');
 const { detectWebMQualityChange } = require('./services/webmProcessor');
+const { compressImageBatch, extractImagesFromZip } = require('./services/batchProcessor');
+const jobManager = require('./services/jobManager');
+const storageManager = require('./services/storageManager');
+const outputStorage = require('./services/storage');
+const { fetchRemoteFile, MAX_SOURCE_URLS } = require('./services/remoteFetcher');
+const webhookManager = require('./services/webhookManager');
+const apiKeyManager = require('./services/apiKeyManager');
+const workQueue = require('./services/workQueue');
+const uploadManager = require('./services/uploadManager');
+const { UPLOAD_STATUS } = uploadManager;
+const compressionCache = require('./services/compressionCache');
+const { generateFileHash, generateCacheKey, getCachedResult, setCachedResult } = require('./services/cacheManager');
 
 /**
  * 파일 경로 또는 결과 객체로부터 MIME 타입을 결정합니다.
@@ -19,7 +55,8 @@ function getMimeType(outputPath, result) {
   const extension = path.extname(outputPath).toLowerCase();
   
   if (result && result.format) {
-    return `image/${result.format}`;
+    // 애니메이션 GIF를 MP4로 변환한 경우를 제외하면 이미지 형식
+    return result.format === 'mp4' ? 'video/mp4' : `image/${result.format}`;
   }
   
   switch (extension) {
@@ -30,12 +67,20 @@ function getMimeType(outputPath, result) {
       return 'image/png';
     case '.webp':
       return 'image/webp';
+    case '.avif':
+      return 'image/avif';
     case '.gif':
       return 'image/gif';
     case '.mp4':
       return 'video/mp4';
     case '.webm':
       return 'video/webm';
+    case '.mkv':
+      return 'video/x-matroska';
+    case '.mov':
+      return 'video/quicktime';
+    case '.vtt':
+      return 'text/vtt';
     default:
       return 'application/octet-stream';
   }
@@ -54,24 +99,18 @@ async function addBase64ToResult(result, returnBase64) {
 
   try {
     if (result.outputPath) {
-      // output 디렉토리 경로 수정
-      const filePath = path.join(__dirname, 'output', path.basename(result.outputPath));
-      if (await fs.pathExists(filePath)) {
-        const fileData = await fs.readFile(filePath);
-        const mimeType = getMimeType(result.outputPath, result);
-        result.base64 = `data:${mimeType};base64,${fileData.toString('base64')}`;
-      }
+      // 저장소 드라이버에 맞게 결과 파일 읽기 (s3면 outputPath는 서명된 URL)
+      const fileData = await outputStorage.read(result.outputPath);
+      const mimeType = getMimeType(outputStorage.fileName(result.outputPath), result);
+      result.base64 = `data:${mimeType};base64,${fileData.toString('base64')}`;
     }
 
     if (result.parts && Array.isArray(result.parts)) {
       for (const part of result.parts) {
         if (part.outputPath) {
-          const filePath = path.join(__dirname, 'output', path.basename(part.outputPath));
-          if (await fs.pathExists(filePath)) {
-            const fileData = await fs.readFile(filePath);
-            const mimeType = getMimeType(part.outputPath);
-            part.base64 = `data:${mimeType};base64,${fileData.toString('base64')}`;
-          }
+          const fileData = await outputStorage.read(part.outputPath);
+          const mimeType = getMimeType(outputStorage.fileName(part.outputPath));
+          part.base64 = `data:${mimeType};base64,${fileData.toString('base64')}`;
         }
       }
     }
@@ -83,6 +122,652 @@ async function addBase64ToResult(result, returnBase64) {
   return result;
 }
 
+/**
+ * 요청 본문에서 이미지 메타데이터 처리 옵션을 읽어 검증합니다.
+ * @param {Object} body - 요청 본문 (autoOrient, iccProfile, exif)
+ * @returns {Object} { metadata } 또는 { error } (검증 실패 시)
+ */
+function parseMetadataOptions(body) {
+  const metadata = {};
+
+  if (body.autoOrient !== undefined) {
+    metadata.autoOrient = !(body.autoOrient === 'false' || body.autoOrient === false);
+  }
+
+  if (body.iccProfile !== undefined) {
+    if (!ICC_MODES.includes(body.iccProfile)) {
+      return { error: `ICC 프로파일 처리는 ${ICC_MODES.join(', ')} 중 하나여야 합니다.` };
+    }
+    metadata.icc = body.iccProfile;
+  }
+
+  if (body.exif !== undefined) {
+    if (EXIF_MODES.includes(body.exif)) {
+      metadata.exif = body.exif;
+    } else {
+      // 쉼표로 구분한 화이트리스트 그룹 (예: copyright,gps)
+      const groups = String(body.exif).split(',').map(group => group.trim()).filter(Boolean);
+      const groupNames = Object.keys(EXIF_FIELD_GROUPS);
+      if (groups.length === 0 || !groups.every(group => groupNames.includes(group))) {
+        return { error: `EXIF 처리는 ${EXIF_MODES.join(', ')} 또는 ${groupNames.join(', ')} 항목의 쉼표 목록이어야 합니다.` };
+      }
+      metadata.exif = groups;
+    }
+  }
+
+  return { metadata };
+}
+
+/**
+ * 요청 본문에서 목표 품질(targetQuality)을 읽어 지표별 범위를 검증합니다.
+ * @param {Object} body - 요청 본문 (targetQuality)
+ * @param {string} metric - 품질 지표 (ssim: 0~1, psnr: 10~100dB)
+ * @returns {Object} { targetQuality } (지정하지 않으면 undefined) 또는 { error } (검증 실패 시)
+ */
+function parseTargetQuality(body, metric) {
+  if (body.targetQuality === undefined || body.targetQuality === '') {
+    return { targetQuality: undefined };
+  }
+
+  const targetQuality = parseFloat(body.targetQuality);
+  if (metric === 'psnr' && !(targetQuality >= 10 && targetQuality <= 100)) {
+    return { error: '목표 PSNR은 10~100(dB) 사이여야 합니다.' };
+  }
+  if (metric === 'ssim' && !(targetQuality > 0 && targetQuality <= 1)) {
+    return { error: '목표 SSIM은 0보다 크고 1 이하여야 합니다.' };
+  }
+
+  return { targetQuality };
+}
+
+/**
+ * 요청 본문에서 영상 출력 최대 크기(maxWidth, maxHeight, maxFps)를 읽어 검증합니다.
+ * @param {Object} body - 요청 본문
+ * @returns {Object} { limits } - 지정한 항목이 없으면 limits는 undefined, 또는 { error }
+ */
+function parseOutputLimits(body) {
+  const limits = {};
+
+  for (const field of ['maxWidth', 'maxHeight']) {
+    if (body[field] !== undefined && body[field] !== '') {
+      const value = Number(body[field]);
+      if (!Number.isInteger(value) || value < 16) {
+        return { error: `${field}는 16 이상의 정수(px)여야 합니다.` };
+      }
+      limits[field] = value;
+    }
+  }
+
+  if (body.maxFps !== undefined && body.maxFps !== '') {
+    const maxFps = Number(body.maxFps);
+    if (!(maxFps >= 1 && maxFps <= 240)) {
+      return { error: 'maxFps는 1~240 사이여야 합니다.' };
+    }
+    limits.maxFps = maxFps;
+  }
+
+  return { limits: Object.keys(limits).length > 0 ? limits : undefined };
+}
+
+/**
+ * 요청 본문에서 영상 자르기 옵션(start/end 또는 ranges, crop, rotate, flip)을 읽어 검증합니다.
+ * ranges와 crop은 객체/배열(JSON 요청, crop[x] 형식의 폼 필드) 또는 JSON 문자열로 받습니다.
+ * @param {Object} body - 요청 본문
+ * @returns {Object} { trim } - { ranges, crop, rotate, flip } (지정하지 않은 항목 제외), 또는 { error }
+ */
+function parseTrimOptions(body) {
+  const parseField = (value) => {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return undefined;
+    }
+  };
+  const parseSeconds = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+  let ranges;
+  if (body.ranges !== undefined && body.ranges !== '') {
+    if (body.start !== undefined || body.end !== undefined) {
+      return { error: 'ranges와 start/end는 함께 사용할 수 없습니다.' };
+    }
+    ranges = parseField(body.ranges);
+    if (!Array.isArray(ranges) || ranges.length === 0 || ranges.length > MAX_TRIM_RANGES) {
+      return { error: `ranges는 1~${MAX_TRIM_RANGES}개의 { start, end } 구간 배열이어야 합니다.` };
+    }
+  } else if (body.start !== undefined || body.end !== undefined) {
+    ranges = [{ start: body.start, end: body.end }];
+  } else {
+    return { error: '잘라낼 구간(start/end 또는 ranges)을 입력해주세요.' };
+  }
+
+  const trim = { ranges: [] };
+  for (const range of ranges) {
+    const start = parseSeconds(range && range.start) || 0;
+    const end = parseSeconds(range && range.end);
+    // 구간이 하나일 때만 end를 생략해 영상 끝까지 자를 수 있음
+    if (end === undefined && ranges.length > 1) {
+      return { error: '여러 구간을 지정할 때는 모든 구간에 end가 필요합니다.' };
+    }
+    if (!(start >= 0) || (end !== undefined && !(end > start))) {
+      return { error: '구간의 start는 0 이상, end는 start보다 큰 시간(초)이어야 합니다.' };
+    }
+    trim.ranges.push(end === undefined ? { start } : { start, end });
+  }
+
+  if (body.crop !== undefined && body.crop !== '') {
+    const crop = parseField(body.crop);
+    if (!crop || typeof crop !== 'object') {
+      return { error: 'crop은 { x, y, width, height } 객체여야 합니다.' };
+    }
+    const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(field => (crop[field] === undefined ? undefined : Number(crop[field])));
+    if (![x, y].every(value => value === undefined || (Number.isInteger(value) && value >= 0))) {
+      return { error: 'crop의 x, y는 0 이상의 정수(px)여야 합니다.' };
+    }
+    if (![width, height].every(value => Number.isInteger(value) && value >= 16)) {
+      return { error: 'crop의 width, height는 16 이상의 정수(px)여야 합니다.' };
+    }
+    trim.crop = { x: x || 0, y: y || 0, width, height };
+  }
+
+  if (body.rotate !== undefined && body.rotate !== '') {
+    const rotate = Number(body.rotate);
+    if (![0, 90, 180, 270].includes(rotate)) {
+      return { error: 'rotate는 0, 90, 180, 270 중 하나여야 합니다.' };
+    }
+    if (rotate) {
+      trim.rotate = rotate;
+    }
+  }
+
+  if (body.flip !== undefined && body.flip !== '') {
+    if (!TRIM_FLIPS.includes(body.flip)) {
+      return { error: `flip은 ${TRIM_FLIPS.join(', ')} 중 하나여야 합니다.` };
+    }
+    trim.flip = body.flip;
+  }
+
+  return { trim };
+}
+
+/**
+ * 요청 본문에서 영상 썸네일 옵션(mode, outputFormat, width, count, interval)을 읽어 검증합니다.
+ * @param {Object} body - 요청 본문
+ * @returns {Object} { thumbnail } - 지정하지 않은 항목 제외, 또는 { error }
+ */
+function parseThumbnailOptions(body) {
+  const { mode, outputFormat } = body;
+  if (!THUMBNAIL_MODES.includes(mode)) {
+    return { error: `생성 방식(mode)은 ${THUMBNAIL_MODES.join(', ')} 중 하나여야 합니다.` };
+  }
+
+  const thumbnail = { mode };
+
+  if (outputFormat !== undefined && outputFormat !== '') {
+    if (!THUMBNAIL_FORMATS.includes(outputFormat)) {
+      return { error: `이미지 형식은 ${THUMBNAIL_FORMATS.join(', ')} 중 하나여야 합니다.` };
+    }
+    thumbnail.outputFormat = outputFormat;
+  }
+
+  if (body.width !== undefined && body.width !== '') {
+    const width = Number(body.width);
+    if (!Number.isInteger(width) || width < 16) {
+      return { error: 'width는 16 이상의 정수(px)여야 합니다.' };
+    }
+    thumbnail.width = width;
+  }
+
+  if (body.count !== undefined && body.count !== '') {
+    const count = Number(body.count);
+    if (mode !== 'thumbnails') {
+      return { error: 'count는 thumbnails 방식에서만 사용할 수 있습니다.' };
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_THUMBNAILS) {
+      return { error: `count는 1~${MAX_THUMBNAILS} 사이의 정수여야 합니다.` };
+    }
+    thumbnail.count = count;
+  }
+
+  if (body.interval !== undefined && body.interval !== '') {
+    const interval = Number(body.interval);
+    if (mode !== 'sprite') {
+      return { error: 'interval은 sprite 방식에서만 사용할 수 있습니다.' };
+    }
+    if (!(interval >= 0.5 && interval <= 600)) {
+      return { error: 'interval은 0.5~600(초) 사이여야 합니다.' };
+    }
+    thumbnail.interval = interval;
+  }
+
+  return { thumbnail };
+}
+
+/**
+ * 업로드 파일 내용(SHA-256)과 처리 파라미터로 결과 캐시를 조회하고 X-Cache 헤더를 설정합니다.
+ * @param {Object} res - Express 응답 객체
+ * @param {string} filePath - 업로드된 파일 경로
+ * @param {string} operation - 작업 종류
+ * @param {Object} params - 결과에 영향을 주는 처리 파라미터
+ * @returns {Promise<Object>} { cacheKey, cached } - cached는 캐시된 결과 또는 null
+ */
+async function lookupResultCache(res, filePath, operation, params) {
+  const cacheKey = generateCacheKey(await generateFileHash(filePath), operation, params);
+  const cached = await getCachedResult(cacheKey);
+  res.set('X-Cache', cached ? 'HIT' : 'MISS');
+  return { cacheKey, cached };
+}
+
+/**
+ * 캐시 히트면 캐시된 결과를 반환하고, 아니면 처리 후 결과를 캐시에 저장하는 처리 함수를 만듭니다.
+ * @param {Object} cache - lookupResultCache 결과
+ * @param {Function} processor - (context) => Promise<Object> 서비스 호출 함수
+ * @returns {Function} (context) => Promise<Object> 처리 함수
+ */
+function withResultCache({ cacheKey, cached }, processor) {
+  return async (context = {}) => {
+    if (cached) {
+      return cached;
+    }
+    const result = await processor(context);
+    await setCachedResult(cacheKey, result);
+    return result;
+  };
+}
+
+/**
+ * Authorization 헤더의 Bearer 토큰을 읽습니다.
+ * @param {Object} req - Express 요청 객체
+ * @returns {string|null} 토큰 또는 null
+ */
+function getBearerToken(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * 요청을 인증한 API 키의 ID를 반환합니다. (작업, 분할 업로드, 웹훅 기록의 조회 범위 제한용)
+ * @param {Object} res - Express 응답 객체
+ * @returns {string|null} API 키 ID (키 없는 요청은 null)
+ */
+function getApiKeyId(res) {
+  return res.locals.apiKey ? res.locals.apiKey.id : null;
+}
+
+/**
+ * API 키 인증 미들웨어 - 키가 있으면 허용 출처, 허용 엔드포인트, 일일 사용량 한도를 확인하고
+ * 응답이 끝나면 요청 수, 입력 파일 용량, 처리 시간을 키 사용량에 기록합니다.
+ * 키가 없는 요청은 API_KEY_REQUIRED가 true일 때만 거부합니다. (/api/admin/ 아래 관리자 API는 관리자 토큰으로 인증)
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ * @param {Function} next - 다음 미들웨어
+ */
+function authenticateApiKey(req, res, next) {
+  const endpoint = req.baseUrl + req.path;
+  if (endpoint.startsWith('/api/admin/')) {
+    return next();
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    if (apiKeyManager.required) {
+      return res.status(401).json({ error: 'API 키가 필요합니다. Authorization: Bearer <API 키> 헤더를 추가해주세요.' });
+    }
+    return next();
+  }
+
+  const apiKey = apiKeyManager.authenticate(token);
+  if (!apiKey) {
+    return res.status(401).json({ error: '유효하지 않거나 폐기된 API 키입니다.' });
+  }
+  if (!apiKeyManager.isOriginAllowed(apiKey, req.get('Origin'))) {
+    return res.status(403).json({ error: '이 API 키로 허용되지 않은 출처입니다.' });
+  }
+  if (!apiKeyManager.isEndpointAllowed(apiKey, endpoint)) {
+    return res.status(403).json({ error: '이 API 키로 사용할 수 없는 엔드포인트입니다.' });
+  }
+
+  const exceeded = apiKeyManager.checkQuota(apiKey, parseInt(req.get('Content-Length')) || 0);
+  if (exceeded) {
+    // 다음 UTC 자정까지 대기
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    res.set('Retry-After', String(Math.ceil((midnight - Date.now()) / 1000)));
+    return res.status(429).json({
+      error: exceeded === 'bytes'
+        ? '이 API 키의 일일 파일 용량 한도를 초과했습니다.'
+        : '이 API 키의 일일 처리 시간 한도를 초과했습니다.'
+    });
+  }
+
+  res.locals.apiKey = apiKey;
+  const startTime = Date.now();
+  res.on('finish', () => {
+    const files = [].concat(req.file || [], req.files ? Object.values(req.files).flat() : []);
+    apiKeyManager.recordUsage(apiKey, {
+      endpoint,
+      bytes: files.reduce((sum, file) => sum + (file.size || 0), 0),
+      processingSeconds: (Date.now() - startTime) / 1000
+    });
+  });
+  next();
+}
+
+/**
+ * 관리자 API 인증 미들웨어 (Authorization: Bearer <ADMIN_TOKEN>)
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ * @param {Function} next - 다음 미들웨어
+ */
+function requireAdmin(req, res, next) {
+  if (!apiKeyManager.adminToken) {
+    return res.status(403).json({ error: '서버에 관리자 토큰(ADMIN_TOKEN)이 설정되지 않아 관리자 API를 사용할 수 없습니다.' });
+  }
+  if (!apiKeyManager.isAdmin(getBearerToken(req))) {
+    return res.status(401).json({ error: '관리자 인증이 필요합니다.' });
+  }
+  next();
+}
+
+/**
+ * 요청 본문에서 API 키 생성 옵션을 읽어 검증합니다.
+ * @param {Object} body - 요청 본문 (name, rateLimit, dailyQuotaMB, dailyProcessingSeconds, allowedOrigins, allowedEndpoints)
+ * @returns {Object} { options } 또는 { error } (검증 실패 시)
+ */
+function parseApiKeyOptions(body) {
+  const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+  if (!body.name || typeof body.name !== 'string') {
+    return { error: '키 이름(name)을 입력해주세요.' };
+  }
+
+  const rateLimit = body.rateLimit !== undefined ? parseInt(body.rateLimit) : undefined;
+  if (rateLimit !== undefined && !(rateLimit > 0)) {
+    return { error: '요청 한도(rateLimit)는 양의 정수여야 합니다.' };
+  }
+
+  const dailyQuotaMB = body.dailyQuotaMB !== undefined ? parseFloat(body.dailyQuotaMB) : undefined;
+  if (dailyQuotaMB !== undefined && !(dailyQuotaMB > 0)) {
+    return { error: '일일 파일 용량 한도(dailyQuotaMB)는 양수여야 합니다.' };
+  }
+
+  const dailyProcessingSeconds = body.dailyProcessingSeconds !== undefined ? parseFloat(body.dailyProcessingSeconds) : undefined;
+  if (dailyProcessingSeconds !== undefined && !(dailyProcessingSeconds > 0)) {
+    return { error: '일일 처리 시간 한도(dailyProcessingSeconds)는 양수여야 합니다.' };
+  }
+
+  const allowedOrigins = toList(body.allowedOrigins);
+  if (!allowedOrigins.every(origin => /^https?:\/\/[^/]+$/.test(origin))) {
+    return { error: '허용 출처(allowedOrigins)는 https://example.com 형식이어야 합니다.' };
+  }
+
+  const allowedEndpoints = toList(body.allowedEndpoints).map(endpoint => endpoint.replace(/\/+$/, ''));
+  if (!allowedEndpoints.every(endpoint => endpoint.startsWith('/api/'))) {
+    return { error: '허용 엔드포인트(allowedEndpoints)는 /api/로 시작하는 경로여야 합니다.' };
+  }
+
+  return {
+    options: {
+      name: body.name,
+      rateLimit,
+      dailyBytes: dailyQuotaMB !== undefined ? Math.round(dailyQuotaMB * 1024 * 1024) : undefined,
+      dailyProcessingSeconds,
+      allowedOrigins,
+      allowedEndpoints
+    }
+  };
+}
+
+/**
+ * 요청 본문의 callbackUrl(처리 완료 웹훅 주소)을 검증합니다.
+ * @param {Object} body - 요청 본문 (callbackUrl)
+ * @returns {Promise<Object>} { callbackUrl } (지정하지 않으면 undefined) 또는 { error } (검증 실패 시)
+ */
+async function parseCallbackUrl(body) {
+  if (!body.callbackUrl) {
+    return { callbackUrl: undefined };
+  }
+
+  try {
+    return { callbackUrl: await webhookManager.validateUrl(body.callbackUrl) };
+  } catch (error) {
+    return { error: `callbackUrl을 사용할 수 없습니다: ${error.message}` };
+  }
+}
+
+/**
+ * 처리 결과를 응답하고, callbackUrl이 있으면 같은 JSON을 웹훅으로 전송합니다.
+ * @param {Object} res - Express 응답 객체
+ * @param {string} [callbackUrl] - 웹훅 주소
+ * @param {Object} body - 응답 JSON
+ * @param {number} [statusCode] - HTTP 상태 코드 (400 이상이면 failed 이벤트로 전송)
+ */
+function sendResult(res, callbackUrl, body, statusCode = 200) {
+  if (callbackUrl) {
+    webhookManager.deliver(callbackUrl, statusCode < 400 ? 'completed' : 'failed', body, { apiKeyId: getApiKeyId(res) });
+  }
+  res.status(statusCode).json(body);
+}
+
+/**
+ * 요청에 연결한 입력 파일을 응답이 끝날 때까지 저장소 정리 대상에서 제외합니다.
+ * (처리 대기열에서 기다리거나 인코딩 중인 파일이 고아 업로드로 삭제되지 않도록 함)
+ * @param {Object} req - Express 요청 객체
+ * @param {string} filePath - 입력 파일 경로
+ */
+function protectUpload(req, filePath) {
+  req.uploadReleases.push(storageManager.protect(filePath));
+}
+
+/**
+ * 파일 업로드 대신 sourceUrl(폼 필드 또는 JSON 본문)로 입력 파일을 받는 미들웨어를 만듭니다.
+ * 내려받은 파일은 업로드 파일과 같은 형태로 req.file(일괄 압축은 req.files)에 설정되어
+ * 이후 검증, 캐시, 비동기 작업, 업로드 파일 정리가 업로드한 파일과 똑같이 적용됩니다.
+ * @param {string} fieldName - 업로드 필드 이름 (image, video)
+ * @param {Object} [options] - 옵션
+ * @param {boolean} [options.batch] - 일괄 압축 API 여부 (여러 URL 허용, ZIP은 archive 필드로 설정)
+ * @returns {Function} Express 미들웨어
+ */
+function acceptSourceUrl(fieldName, options = {}) {
+  return async (req, res, next) => {
+    const sourceUrls = [].concat((req.body && req.body.sourceUrl) || []).filter(Boolean);
+    if (sourceUrls.length === 0) {
+      return next();
+    }
+
+    if (req.file || (req.files && Object.keys(req.files).length > 0)) {
+      return res.status(400).json({ error: '파일 업로드와 sourceUrl은 함께 사용할 수 없습니다.' });
+    }
+    if (!options.batch && sourceUrls.length > 1) {
+      return res.status(400).json({ error: 'sourceUrl은 하나만 지정할 수 있습니다.' });
+    }
+    if (sourceUrls.length > MAX_SOURCE_URLS) {
+      return res.status(400).json({ error: `sourceUrl은 최대 ${MAX_SOURCE_URLS}개까지 지정할 수 있습니다.` });
+    }
+
+    try {
+      for (const sourceUrl of sourceUrls) {
+        const file = await fetchRemoteFile(sourceUrl, uploadDir, { allowArchive: options.batch });
+        protectUpload(req, file.path);
+
+        // 내려받을 때마다 요청에 연결하여 중간에 실패해도 응답 후 정리되도록 함
+        if (!options.batch) {
+          req.file = { fieldname: fieldName, ...file };
+        } else if (file.mimetype === 'application/zip') {
+          req.files = req.files || {};
+          if (req.files.archive) {
+            await fs.remove(file.path);
+            return res.status(400).json({ error: 'ZIP 파일은 하나만 지정할 수 있습니다.' });
+          }
+          req.files.archive = [{ fieldname: 'archive', ...file }];
+        } else {
+          req.files = req.files || {};
+          req.files[fieldName] = [...(req.files[fieldName] || []), { fieldname: fieldName, ...file }];
+        }
+      }
+    } catch (error) {
+      return res.status(400).json({ error: `sourceUrl 파일을 가져올 수 없습니다: ${error.message}` });
+    }
+
+    next();
+  };
+}
+
+/**
+ * 분할 업로드로 올린 파일(uploadId)을 업로드 파일처럼 req.file/req.files에 연결하는 미들웨어를 만듭니다.
+ * @param {string} fieldName - 업로드 필드 이름 (예: image, video)
+ * @param {Object} [options] - 옵션
+ * @param {boolean} [options.batch] - 여러 uploadId 허용 (ZIP 파일은 archive 필드로 연결)
+ * @returns {Function} Express 미들웨어
+ */
+function acceptUploadId(fieldName, options = {}) {
+  return (req, res, next) => {
+    const uploadIds = [].concat((req.body && req.body.uploadId) || []).filter(Boolean);
+    if (uploadIds.length === 0) {
+      return next();
+    }
+
+    if (req.file || (req.files && Object.keys(req.files).length > 0)) {
+      return res.status(400).json({ error: '파일 업로드 또는 sourceUrl과 uploadId는 함께 사용할 수 없습니다.' });
+    }
+    if (!options.batch && uploadIds.length > 1) {
+      return res.status(400).json({ error: 'uploadId는 하나만 지정할 수 있습니다.' });
+    }
+
+    // 모든 uploadId를 확인한 뒤에 가져가서 일부만 사용되는 일이 없도록 함
+    for (const uploadId of uploadIds) {
+      const upload = uploadManager.getUpload(String(uploadId), getApiKeyId(res));
+      if (!upload || upload.status !== UPLOAD_STATUS.COMPLETED) {
+        return res.status(400).json({ error: `완료된 업로드를 찾을 수 없습니다: ${uploadId}` });
+      }
+      if (upload.mimetype === 'application/zip' && !options.batch) {
+        return res.status(400).json({ error: 'ZIP 파일은 이미지 일괄 압축 API에서만 사용할 수 있습니다.' });
+      }
+    }
+    const zipCount = uploadIds.filter(uploadId => uploadManager.getUpload(String(uploadId), getApiKeyId(res)).mimetype === 'application/zip').length;
+    if (zipCount > 1) {
+      return res.status(400).json({ error: 'ZIP 파일은 하나만 지정할 수 있습니다.' });
+    }
+
+    for (const uploadId of uploadIds) {
+      // 업로드의 정리 보호를 요청이 끝날 때까지 이어받음
+      const { release, ...file } = uploadManager.claimUpload(String(uploadId), { allowArchive: options.batch, apiKeyId: getApiKeyId(res) });
+      req.uploadReleases.push(release);
+      if (!options.batch) {
+        req.file = { fieldname: fieldName, ...file };
+      } else if (file.mimetype === 'application/zip') {
+        req.files = req.files || {};
+        req.files.archive = [{ fieldname: 'archive', ...file }];
+      } else {
+        req.files = req.files || {};
+        req.files[fieldName] = [...(req.files[fieldName] || []), { fieldname: fieldName, ...file }];
+      }
+    }
+
+    next();
+  };
+}
+
+/**
+ * 처리 대기열이 가득 차면 업로드를 받기 전에 503과 Retry-After로 거절하는 미들웨어를 만듭니다.
+ * @param {string} type - 대기열 종류 (video, image, webm)
+ * @returns {Function} Express 미들웨어
+ */
+function checkQueue(type) {
+  return (req, res, next) => {
+    const retryAfter = workQueue.admit(type);
+    if (retryAfter === null) {
+      return next();
+    }
+    res.set('Retry-After', String(retryAfter));
+    res.status(503).json({
+      error: '처리 대기열이 가득 찼습니다. 잠시 후 다시 시도해주세요.',
+      retryAfter
+    });
+  };
+}
+
+/**
+ * 동기 처리 요청의 대기열 순번과 대기 시간을 응답 헤더(X-Queue-Position, X-Queue-Wait)에 기록하는 컨텍스트를 만듭니다.
+ * @param {Object} res - Express 응답 객체
+ * @returns {Object} 서비스 호출 함수에 전달할 컨텍스트 ({ onQueue })
+ */
+function createQueueContext(res) {
+  const queuedAt = Date.now();
+  return {
+    onQueue: (position) => {
+      // 처음 받은 순번이 등록 시점의 순번 (바로 실행되면 0)
+      if (!res.get('X-Queue-Position')) {
+        res.set('X-Queue-Position', String(position));
+      }
+      if (position === 0) {
+        res.set('X-Queue-Wait', ((Date.now() - queuedAt) / 1000).toFixed(3));
+      }
+    }
+  };
+}
+
+/**
+ * 처리 함수를 비동기 작업으로 등록하고 작업 ID를 즉시 응답합니다.
+ * 업로드된 파일은 작업이 끝난 뒤(성공/실패/취소 모두) 삭제됩니다.
+ * @param {Object} res - Express 응답 객체
+ * @param {Object} jobInfo - 작업 정보
+ * @param {string} jobInfo.type - 작업 종류
+ * @param {Object} jobInfo.params - 요청 파라미터
+ * @param {string|string[]} jobInfo.inputPath - 업로드된 파일 경로 (여러 개면 배열)
+ * @param {boolean} jobInfo.returnBase64 - Base64 반환 여부
+ * @param {string} [jobInfo.callbackUrl] - 작업이 끝나면 작업 조회 응답과 같은 JSON을 받을 웹훅 주소
+ * @param {Function} processor - (context) => Promise<Object> 서비스 호출 함수
+ */
+function respondWithJob(res, { type, params, inputPath, returnBase64, callbackUrl }, processor) {
+  const job = jobManager.createJob(type, params, getApiKeyId(res));
+  const apiKey = res.locals.apiKey;
+  // 작업이 끝날 때까지 업로드 파일이 정리되지 않도록 보호
+  const release = storageManager.protect(inputPath);
+
+  // 작업 종료(완료/실패/취소) 시 웹훅 전송
+  if (callbackUrl) {
+    const onEvent = (event) => {
+      if (event.jobId !== job.id || !['completed', 'failed', 'cancelled'].includes(event.type)) {
+        return;
+      }
+      jobManager.off('event', onEvent);
+      webhookManager.deliver(callbackUrl, event.type, jobManager.serialize(job), {
+        jobId: job.id,
+        apiKeyId: job.apiKeyId
+      });
+    };
+    jobManager.on('event', onEvent);
+  }
+
+  jobManager.startJob(job, async (context) => {
+    try {
+      const result = await processor(context);
+      return await addBase64ToResult(result, returnBase64);
+    } finally {
+      await Promise.all([].concat(inputPath).map(filePath => fs.remove(filePath)));
+      release();
+      // 응답 후 백그라운드에서 처리한 시간을 API 키 사용량에 추가
+      if (apiKey && job.startedAt) {
+        apiKeyManager.recordUsage(apiKey, { processingSeconds: (Date.now() - job.startedAt) / 1000 });
+      }
+    }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: '작업이 등록되었습니다. 작업 상태 URL로 진행 상황을 확인하세요.',
+    jobId: job.id,
+    status: job.status,
+    queuePosition: job.queuePosition,
+    statusUrl: `/api/jobs/${job.id}`
+  });
+}
+
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -108,20 +793,40 @@ app.use(helmet({
 app.use(cors({
   origin: true, // 모든 출처 허용 (외부 API 호출용)
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Upload-Offset'],
+  exposedHeaders: ['X-Cache', 'Retry-After', 'X-Queue-Position', 'X-Queue-Wait', 'Upload-Offset'] // 브라우저에서 결과 캐시 여부, 재시도 대기 시간, 대기열 순번과 분할 업로드 위치 확인용
 }));
 
+// API 키 인증 (요청 한도보다 먼저 실행하여 키별 한도 적용)
+app.use('/api/', authenticateApiKey);
+
 // Rate limiting - 외부 API 호출을 고려하여 제한 완화
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15분
-  max: 500, // 최대 500 요청 (외부 API용으로 증가)
+  max: (req, res) => (res.locals.apiKey ? res.locals.apiKey.rateLimit : 500), // API 키별 한도, 키가 없으면 IP당 최대 500 요청
+  keyGenerator: (req, res) => (res.locals.apiKey ? `key:${res.locals.apiKey.id}` : req.ip),
   message: { error: '너무 많은 요청입니다. 잠시 후 다시 시도해주세요.' },
   standardHeaders: true,
   legacyHeaders: false
 });
 app.use('/api/', limiter);
 
+// 요청 처리 중에는 입력 파일을 정리 대상에서 제외하고, 응답이 끝나면 남은 업로드 파일 삭제
+// (검증 실패/오류로 삭제되지 않은 파일, 비동기 작업에 넘긴 파일은 제외)
+app.use('/api/', (req, res, next) => {
+  req.uploadReleases = [];
+  const releaseUploads = () => req.uploadReleases.forEach(release => release());
+
+  res.on('finish', () => {
+    releaseUploads();
+    storageManager.removeUploads(req).catch(error => console.error('업로드 파일 삭제 오류:', error));
+  });
+  // 클라이언트 연결이 끊겨 finish가 발생하지 않아도 보호는 해제
+  res.on('close', releaseUploads);
+  next();
+});
+
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -138,7 +843,9 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    const fileName = file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname);
+    protectUpload(req, path.join(uploadDir, fileName));
+    cb(null, fileName);
   }
 });
 
@@ -149,10 +856,12 @@ const upload = multer({
   },
   fileFilter: (req, file, cb) => {
     const allowedMimes = [
-      'image/jpeg', 'image/png', 'image/webp', 'image/gif',
+      'image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif',
       'video/mp4', 'video/webm', 'video/avi', 'video/mov', 'video/mkv'
     ];
-    if (allowedMimes.includes(file.mimetype)) {
+    // 일괄 압축 API의 archive 필드는 ZIP 파일 허용
+    const zipMimes = ['application/zip', 'application/x-zip-compressed'];
+    if (allowedMimes.includes(file.mimetype) || (file.fieldname === 'archive' && zipMimes.includes(file.mimetype))) {
       cb(null, true);
     } else {
       cb(new Error('지원하지 않는 파일 형식입니다.'), false);
@@ -176,19 +885,120 @@ app.get('/', (req, res) => {
         description: '이미지를 목표 용량으로 압축',
         parameters: {
           image: 'file (required) - 이미지 파일',
-          targetSizeKB: 'number (required) - 목표 용량 (KB)',
+          sourceUrl: 'string (optional) - image 대신 내려받을 파일 URL (http/https, JSON 본문도 가능)',
+          uploadId: 'string (optional) - image 대신 사용할 분할 업로드 ID (/api/uploads로 완료한 업로드, 한 번만 사용 가능)',
+          targetSizeKB: 'number (required) - 목표 용량 (KB, targetQuality 사용 시 생략 가능)',
+          targetQuality: 'number (optional) - 목표 SSIM 0~1 (예: 0.95) - 지정하면 원본 대비 SSIM이 목표 이상인 가장 작은 결과를 탐색 (정지 이미지 전용)',
+          outputFormat: 'string (optional) - 출력 형식 "jpeg", "png", "webp", "avif", "mp4"(애니메이션 GIF 전용), "keep" (기본값 keep)',
+          maxWidth: 'number (optional) - 최대 너비 (px, 비율 유지)',
+          maxHeight: 'number (optional) - 최대 높이 (px, 비율 유지)',
+          autoOrient: 'boolean (optional) - EXIF 방향대로 회전 (기본값 true)',
+          iccProfile: 'string (optional) - ICC 프로파일 "keep", "srgb", "strip" (기본값 srgb)',
+          exif: 'string (optional) - EXIF/XMP "keep", "strip" 또는 유지할 항목 목록 "copyright,camera,datetime,description,gps" (기본값 strip)',
+          returnBase64: 'boolean (optional) - 결과를 Base64로 인코딩하여 포함할지 여부',
+          async: 'boolean (optional) - true면 작업 ID를 즉시 반환하고 백그라운드에서 처리',
+          callbackUrl: 'string (optional) - 처리가 끝나면 결과 JSON을 서명과 함께 POST할 URL'
+        }
+      },
+      image_batch_compression: {
+        method: 'POST',
+        path: '/api/compress-images',
+        description: '여러 이미지를 한 번에 압축하고 결과를 ZIP으로 묶음',
+        parameters: {
+          images: 'file[] (optional) - 이미지 파일 목록 (최대 500개)',
+          archive: 'file (optional) - 이미지가 담긴 ZIP 파일 (images, archive, sourceUrl 중 하나 이상 필수)',
+          sourceUrl: 'string | string[] (optional) - 내려받을 이미지 또는 ZIP 파일 URL 목록',
+          uploadId: 'string | string[] (optional) - 분할 업로드 ID 목록 (이미지 또는 ZIP 파일)',
+          targetSizeKB: 'number (required) - 파일별 목표 용량 (KB)',
+          outputFormat: 'string (optional) - 출력 형식 (compress-image와 동일, 기본값 keep)',
+          maxWidth: 'number (optional) - 최대 너비 (px, 비율 유지)',
+          maxHeight: 'number (optional) - 최대 높이 (px, 비율 유지)',
+          'autoOrient, iccProfile, exif': '(optional) - 메타데이터 처리 (compress-image와 동일)',
+          concurrency: 'number (optional) - 동시 처리 수 (기본값 3, 최대 8)',
+          async: 'boolean (optional) - true면 작업 ID를 즉시 반환하고 백그라운드에서 처리'
+        }
+      },
+      image_resize: {
+        method: 'POST',
+        path: '/api/resize-image',
+        description: '이미지 크기 조정 및 자르기',
+        parameters: {
+          image: 'file (required) - 이미지 파일',
+          sourceUrl: 'string (optional) - image 대신 내려받을 파일 URL',
+          uploadId: 'string (optional) - image 대신 사용할 분할 업로드 ID',
+          width: 'number (optional) - 출력 너비 (px, width/height 중 하나 이상 필수)',
+          height: 'number (optional) - 출력 높이 (px)',
+          fit: 'string (optional) - "cover", "contain", "inside", "fill" (기본값 cover)',
+          position: 'string (optional) - cover 자르기 기준 "center", "north", "northeast", ... "northwest" (기본값 center)',
+          smartCrop: 'string (optional) - cover 스마트 자르기 "attention" 또는 "entropy"',
+          background: 'string (optional) - contain 여백 색상 (예: #ffffff)',
+          withoutEnlargement: 'boolean (optional) - 원본보다 크게 확대하지 않음',
+          outputFormat: 'string (optional) - 출력 형식 "jpeg", "png", "webp", "avif", "keep" (기본값 keep)',
+          quality: 'number (optional) - 인코딩 품질 1~100',
           returnBase64: 'boolean (optional) - 결과를 Base64로 인코딩하여 포함할지 여부'
         }
       },
       video_compression: {
         method: 'POST',
         path: '/api/compress-video',
-        description: '영상 압축 또는 분할',
+        description: '영상 압축, 분할 또는 적응형 스트리밍(HLS/DASH) 출력',
         parameters: {
           video: 'file (required) - 영상 파일',
-          targetSizeKB: 'number (required) - 목표 용량 (KB)',
-          compressionMode: 'string (required) - "compress" 또는 "split"',
-          returnBase64: 'boolean (optional) - 결과를 Base64로 인코딩하여 포함할지 여부'
+          sourceUrl: 'string (optional) - video 대신 내려받을 파일 URL',
+          uploadId: 'string (optional) - video 대신 사용할 분할 업로드 ID',
+          targetSizeKB: 'number (required) - 목표 용량 (KB, compress 모드에서 targetQuality 사용 시 생략 가능)',
+          compressionMode: 'string (required) - "compress", "split", "hls" 또는 "dash" (hls/dash는 여러 해상도의 세그먼트와 매니페스트 생성, targetSizeKB는 전체 용량)',
+          targetQuality: 'number (optional) - compress 모드 목표 품질 (SSIM 0~1 또는 PSNR 10~100dB) - 샘플 구간 측정으로 목표 이상인 가장 작은 결과를 탐색',
+          qualityMetric: 'string (optional) - 품질 지표 "ssim" 또는 "psnr" (기본값 ssim)',
+          videoCodec: 'string (optional) - compress, split 모드 영상 코덱 "h264", "h265", "vp9" 또는 "av1" (기본값 h264)',
+          audioCodec: 'string (optional) - compress, split 모드 오디오 코덱 "aac", "opus", "mp3" 또는 "vorbis" (기본값 컨테이너에 맞게 aac 또는 opus)',
+          container: 'string (optional) - compress, split 모드 컨테이너 "mp4", "mkv", "webm" 또는 "mov" (기본값 코덱에 맞게 선택)',
+          preset: 'string (optional) - 인코딩 속도 프리셋 "ultrafast" ~ "veryslow" (기본값 fast, 느릴수록 같은 용량에서 고화질)',
+          maxWidth: 'number (optional) - compress 모드 최대 너비 (px, 비율 유지)',
+          maxHeight: 'number (optional) - compress 모드 최대 높이 (px, 비율 유지)',
+          maxFps: 'number (optional) - compress 모드 최대 프레임레이트 (목표 용량이 작으면 지정하지 않아도 해상도/프레임레이트를 자동으로 낮춤)',
+          returnBase64: 'boolean (optional) - 결과를 Base64로 인코딩하여 포함할지 여부',
+          async: 'boolean (optional) - true면 작업 ID를 즉시 반환하고 백그라운드에서 처리',
+          callbackUrl: 'string (optional) - 처리가 끝나면 결과 JSON을 서명과 함께 POST할 URL'
+        }
+      },
+      video_trim: {
+        method: 'POST',
+        path: '/api/trim-video',
+        description: '영상 구간 자르기 (여러 구간 이어 붙이기, 영역 자르기, 회전/뒤집기) - 재인코딩이 필요 없으면 스트림 복사',
+        parameters: {
+          video: 'file (required) - 영상 파일',
+          sourceUrl: 'string (optional) - video 대신 내려받을 파일 URL',
+          uploadId: 'string (optional) - video 대신 사용할 분할 업로드 ID',
+          start: 'number (optional) - 시작 시간 (초, 기본값 0)',
+          end: 'number (optional) - 끝 시간 (초, 생략 시 영상 끝까지)',
+          ranges: 'array (optional) - start/end 대신 이어 붙일 구간 목록 [{ start, end }] (JSON 문자열 가능, 최대 20개)',
+          crop: 'object (optional) - 잘라낼 영역 { x, y, width, height } (원본 기준 px, JSON 문자열 가능)',
+          rotate: 'number (optional) - 시계 방향 회전 90, 180, 270',
+          flip: 'string (optional) - 뒤집기 "horizontal" 또는 "vertical"',
+          targetSizeKB: 'number (optional) - 지정하면 잘라낸 결과를 목표 용량 이하로 압축',
+          returnBase64: 'boolean (optional) - 결과를 Base64로 인코딩하여 포함할지 여부',
+          async: 'boolean (optional) - true면 작업 ID를 즉시 반환하고 백그라운드에서 처리',
+          callbackUrl: 'string (optional) - 처리가 끝나면 결과 JSON을 서명과 함께 POST할 URL'
+        }
+      },
+      video_thumbnails: {
+        method: 'POST',
+        path: '/api/video-thumbnails',
+        description: '영상 대표 프레임(poster), 고른 간격 썸네일, 스프라이트 시트 + WebVTT 썸네일 트랙 생성 (이미지마다 목표 용량으로 압축)',
+        parameters: {
+          video: 'file (required) - 영상 파일',
+          sourceUrl: 'string (optional) - video 대신 내려받을 파일 URL',
+          uploadId: 'string (optional) - video 대신 사용할 분할 업로드 ID',
+          mode: 'string (required) - "poster", "thumbnails" 또는 "sprite"',
+          targetSizeKB: 'number (required) - 이미지 한 장의 목표 용량 (KB, sprite는 시트 한 장 기준)',
+          outputFormat: 'string (optional) - 이미지 형식 "jpeg", "webp", "png", "avif" (기본값 jpeg)',
+          width: 'number (optional) - 출력 너비 (px, poster 기본값 원본, thumbnails 기본값 320, sprite는 타일 너비 기본값 160)',
+          count: 'number (optional) - thumbnails 장수 1~100 (기본값 10)',
+          interval: 'number (optional) - sprite 타일 간격 (초, 생략 시 영상 길이에 맞춰 1~10초)',
+          returnBase64: 'boolean (optional) - 결과를 Base64로 인코딩하여 포함할지 여부',
+          async: 'boolean (optional) - true면 작업 ID를 즉시 반환하고 백그라운드에서 처리',
+          callbackUrl: 'string (optional) - 처리가 끝나면 결과 JSON을 서명과 함께 POST할 URL'
         }
       },
       webm_split: {
@@ -197,14 +1007,69 @@ app.get('/', (req, res) => {
         description: 'WebM 화질 변경 감지 및 분할',
         parameters: {
           video: 'file (required) - WebM 파일',
+          sourceUrl: 'string (optional) - video 대신 내려받을 파일 URL',
+          uploadId: 'string (optional) - video 대신 사용할 분할 업로드 ID',
           targetSizeKB: 'number (required) - 각 분할 파일 최대 용량 (KB)',
-          returnBase64: 'boolean (optional) - 결과를 Base64로 인코딩하여 포함할지 여부'
+          returnBase64: 'boolean (optional) - 결과를 Base64로 인코딩하여 포함할지 여부',
+          async: 'boolean (optional) - true면 작업 ID를 즉시 반환하고 백그라운드에서 처리',
+          callbackUrl: 'string (optional) - 처리가 끝나면 결과 JSON을 서명과 함께 POST할 URL'
         }
+      },
+      chunked_upload: {
+        method: 'POST, GET, PATCH, DELETE',
+        path: '/api/uploads',
+        description: '재개 가능한 분할 업로드 - 생성(POST, JSON { fileName, size }), 데이터 이어 붙이기(PATCH /:id, Upload-Offset 헤더와 application/octet-stream 본문), 받은 위치 조회(GET 또는 HEAD /:id), 완료(POST /:id/complete), 취소(DELETE /:id)'
+      },
+      job_status: {
+        method: 'GET',
+        path: '/api/jobs/:id',
+        description: '비동기 작업의 상태, 파트별 진행률 및 최종 결과 조회'
+      },
+      job_events: {
+        method: 'GET',
+        path: '/api/jobs/:id/events',
+        description: '작업 진행 상황 Server-Sent Events 스트림 (queue, progress, iteration, completed, failed, cancelled)'
+      },
+      job_cancel: {
+        method: 'DELETE',
+        path: '/api/jobs/:id',
+        description: '진행 중인 비동기 작업 취소 (ffmpeg 프로세스 종료)'
+      },
+      webhook_deliveries: {
+        method: 'GET',
+        path: '/api/webhooks/deliveries',
+        description: '웹훅 전송 기록 조회 (요청한 API 키의 기록만, query: jobId, status=pending|delivered|failed, limit), 상세는 /api/webhooks/deliveries/:id'
+      },
+      queue: {
+        method: 'GET',
+        path: '/api/queue',
+        description: '처리 대기열 상태 (video, image, webm 종류별 동시 실행 수, 실행/대기 수, 평균 처리 시간, 예상 대기 시간)'
+      },
+      codecs: {
+        method: 'GET',
+        path: '/api/codecs',
+        description: '영상 압축에 사용할 수 있는 영상/오디오 코덱, 컨테이너, 프리셋 목록 (서버 ffmpeg 지원 여부 반영)'
+      },
+      api_keys: {
+        method: 'POST, GET, DELETE',
+        path: '/api/admin/keys',
+        description: 'API 키 생성(POST), 목록 및 사용량 조회(GET, GET /:id), 폐기(DELETE /:id) - Authorization: Bearer <ADMIN_TOKEN> 필요'
+      },
+      cache_stats: {
+        method: 'GET',
+        path: '/api/admin/cache-stats',
+        description: '이미지 품질 추정 캐시 통계 (히트/미스, 탐색당 평균 인코딩 횟수, 절약한 인코딩 횟수) - Authorization: Bearer <ADMIN_TOKEN> 필요'
+      },
+      storage: {
+        method: 'GET',
+        path: '/api/admin/storage',
+        description: 'output/ 결과 파일과 uploads/ 업로드 파일 사용량, 보관 설정 및 최근 정리 결과 - Authorization: Bearer <ADMIN_TOKEN> 필요'
       }
     },
+    authentication: 'Authorization: Bearer <API 키> (API_KEY_REQUIRED=true면 필수)',
     limits: {
       max_file_size: '500MB',
-      rate_limit: '500 requests per 15 minutes'
+      rate_limit: '500 requests per 15 minutes (API 키를 사용하면 키별 한도)'
     }
   });
 });
@@ -215,54 +1080,329 @@ app.get('/web', (req, res) => {
 });
 
 // 이미지 압축 API
-app.post('/api/compress-image', upload.single('image'), async (req, res) => {
+app.post('/api/compress-image', checkQueue('image'), upload.single('image'), acceptSourceUrl('image'), acceptUploadId('image'), async (req, res) => {
+  let callbackUrl;
   try {
     if (!req.file) {
-      return res.status(400).json({ error: '이미지 파일이 필요합니다.' });
+      return res.status(400).json({ error: '이미지 파일, sourceUrl 또는 uploadId가 필요합니다.' });
     }
 
-    const { targetSizeKB, returnBase64 } = req.body;
+    const { targetSizeKB, returnBase64, outputFormat = 'keep' } = req.body;
+    const { targetQuality, error: qualityError } = parseTargetQuality(req.body, 'ssim');
+    if (qualityError) {
+      return res.status(400).json({ error: qualityError });
+    }
+
+    if (targetQuality === undefined && (!targetSizeKB || isNaN(targetSizeKB))) {
+      return res.status(400).json({ error: '유효한 목표 용량(KB) 또는 목표 품질(targetQuality)을 입력해주세요.' });
+    }
+
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      return res.status(400).json({ error: `출력 형식은 ${OUTPUT_FORMATS.join(', ')} 중 하나여야 합니다.` });
+    }
+
+    const maxWidth = req.body.maxWidth ? parseInt(req.body.maxWidth) : undefined;
+    const maxHeight = req.body.maxHeight ? parseInt(req.body.maxHeight) : undefined;
+    if ((maxWidth !== undefined && !(maxWidth > 0)) || (maxHeight !== undefined && !(maxHeight > 0))) {
+      return res.status(400).json({ error: '최대 너비/높이는 양의 정수여야 합니다.' });
+    }
+
+    const { metadata, error: metadataError } = parseMetadataOptions(req.body);
+    if (metadataError) {
+      return res.status(400).json({ error: metadataError });
+    }
+
+    const callback = await parseCallbackUrl(req.body);
+    if (callback.error) {
+      return res.status(400).json({ error: callback.error });
+    }
+    callbackUrl = callback.callbackUrl;
+
+    // 목표 품질을 지정하면 목표 용량은 사용하지 않음
+    const targetSize = targetQuality === undefined ? parseInt(targetSizeKB) : null;
+    const compressOptions = { outputFormat, maxWidth, maxHeight, metadata, targetQuality };
+    const params = { targetSizeKB: targetSize, ...compressOptions };
+
+    // 같은 파일을 같은 파라미터로 처리한 결과가 있으면 재사용
+    const cache = await lookupResultCache(res, req.file.path, 'compress-image', params);
+    const processor = withResultCache(cache, (context) => workQueue.run('image',
+      () => compressImage(req.file.path, targetSize, { ...context, ...compressOptions }),
+      { ...context, size: req.file.size }));
+
+    // 비동기 작업 모드
+    if (req.body.async === 'true' || req.body.async === true) {
+      return respondWithJob(res, {
+        type: 'compress-image',
+        params,
+        inputPath: req.file.path,
+        returnBase64: returnBase64 === 'true' || returnBase64 === true,
+        callbackUrl
+      }, processor);
+    }
+
+    const result = await processor(createQueueContext(res));
+
+    // Base64 데이터 추가
+    const finalResult = await addBase64ToResult(result, returnBase64 === 'true' || returnBase64 === true);
+
+    // 업로드된 파일 삭제
+    await fs.remove(req.file.path);
+    
+    sendResult(res, callbackUrl, finalResult);
+  } catch (error) {
+    console.error('이미지 압축 오류:', error);
+    sendResult(res, callbackUrl, { error: '이미지 압축 중 오류가 발생했습니다.' }, 500);
+  }
+});
+
+// 이미지 일괄 압축 API
+app.post('/api/compress-images', checkQueue('image'), upload.fields([
+  { name: 'images', maxCount: 500 },
+  { name: 'archive', maxCount: 1 }
+]), acceptSourceUrl('images', { batch: true }), acceptUploadId('images', { batch: true }), async (req, res) => {
+  const images = (req.files && req.files.images) || [];
+  const archive = req.files && req.files.archive ? req.files.archive[0] : null;
+  let inputPaths = [...images.map(file => file.path), ...(archive ? [archive.path] : [])];
+  let handedOff = false;
+
+  try {
+    if (images.length === 0 && !archive) {
+      return res.status(400).json({ error: '이미지 파일(images), ZIP 파일(archive), sourceUrl 또는 uploadId가 필요합니다.' });
+    }
+
+    const { targetSizeKB, outputFormat = 'keep' } = req.body;
     if (!targetSizeKB || isNaN(targetSizeKB)) {
       return res.status(400).json({ error: '유효한 목표 용량(KB)을 입력해주세요.' });
     }
 
-    const result = await compressImage(req.file.path, parseInt(targetSizeKB));
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      return res.status(400).json({ error: `출력 형식은 ${OUTPUT_FORMATS.join(', ')} 중 하나여야 합니다.` });
+    }
+
+    const maxWidth = req.body.maxWidth ? parseInt(req.body.maxWidth) : undefined;
+    const maxHeight = req.body.maxHeight ? parseInt(req.body.maxHeight) : undefined;
+    if ((maxWidth !== undefined && !(maxWidth > 0)) || (maxHeight !== undefined && !(maxHeight > 0))) {
+      return res.status(400).json({ error: '최대 너비/높이는 양의 정수여야 합니다.' });
+    }
+
+    const concurrency = req.body.concurrency ? parseInt(req.body.concurrency) : undefined;
+    if (concurrency !== undefined && !(concurrency > 0)) {
+      return res.status(400).json({ error: '동시 처리 수는 양의 정수여야 합니다.' });
+    }
+
+    const { metadata, error: metadataError } = parseMetadataOptions(req.body);
+    if (metadataError) {
+      return res.status(400).json({ error: metadataError });
+    }
+
+    const inputs = images.map(file => ({ path: file.path, name: file.originalname }));
+
+    if (archive) {
+      try {
+        const extracted = await extractImagesFromZip(archive.path, uploadDir);
+        inputs.push(...extracted);
+        inputPaths = [...inputPaths, ...extracted.map(file => file.path)];
+      } catch (error) {
+        return res.status(400).json({ error: `ZIP 파일을 처리할 수 없습니다: ${error.message}` });
+      }
+    }
+
+    if (inputs.length === 0) {
+      return res.status(400).json({ error: '압축할 이미지가 없습니다.' });
+    }
+
+    const batchOptions = { outputFormat, maxWidth, maxHeight, metadata, concurrency };
+
+    // 비동기 작업 모드 (파일마다 한 파트로 진행률 보고)
+    if (req.body.async === 'true' || req.body.async === true) {
+      handedOff = true;
+      return respondWithJob(res, {
+        type: 'compress-images',
+        params: { targetSizeKB: parseInt(targetSizeKB), totalFiles: inputs.length, ...batchOptions },
+        inputPath: inputPaths,
+        returnBase64: false
+      }, (context) => compressImageBatch(inputs, parseInt(targetSizeKB), { ...context, ...batchOptions }));
+    }
+
+    const result = await compressImageBatch(inputs, parseInt(targetSizeKB), batchOptions);
+    res.json(result);
+  } catch (error) {
+    console.error('이미지 일괄 압축 오류:', error);
+    res.status(500).json({ error: '이미지 일괄 압축 중 오류가 발생했습니다.' });
+  } finally {
+    // 업로드 및 압축 해제한 파일 삭제 (작업 모드에서는 작업 종료 후 삭제)
+    if (!handedOff) {
+      await Promise.all(inputPaths.map(filePath => fs.remove(filePath)));
+    }
+  }
+});
+
+// 이미지 크기 조정 API
+app.post('/api/resize-image', checkQueue('image'), upload.single('image'), acceptSourceUrl('image'), acceptUploadId('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: '이미지 파일, sourceUrl 또는 uploadId가 필요합니다.' });
+    }
+
+    const {
+      returnBase64,
+      fit = 'cover',
+      position,
+      smartCrop,
+      background,
+      outputFormat = 'keep'
+    } = req.body;
+    const width = req.body.width ? parseInt(req.body.width) : undefined;
+    const height = req.body.height ? parseInt(req.body.height) : undefined;
+    const quality = req.body.quality ? parseInt(req.body.quality) : undefined;
+
+    if (width === undefined && height === undefined) {
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: '너비 또는 높이 중 하나 이상을 입력해주세요.' });
+    }
+
+    let validationError = null;
+    if ((width !== undefined && !(width > 0)) || (height !== undefined && !(height > 0))) {
+      validationError = '너비/높이는 양의 정수여야 합니다.';
+    } else if (!RESIZE_FITS.includes(fit)) {
+      validationError = `맞춤 방식은 ${RESIZE_FITS.join(', ')} 중 하나여야 합니다.`;
+    } else if (position && !RESIZE_POSITIONS.includes(position)) {
+      validationError = `위치는 ${RESIZE_POSITIONS.join(', ')} 중 하나여야 합니다.`;
+    } else if (smartCrop && !SMART_CROP_STRATEGIES.includes(smartCrop)) {
+      validationError = `스마트 자르기는 ${SMART_CROP_STRATEGIES.join(', ')} 중 하나여야 합니다.`;
+    } else if (smartCrop && fit !== 'cover') {
+      validationError = '스마트 자르기는 fit이 cover일 때만 사용할 수 있습니다.';
+    } else if (!RESIZE_OUTPUT_FORMATS.includes(outputFormat)) {
+      validationError = `출력 형식은 ${RESIZE_OUTPUT_FORMATS.join(', ')} 중 하나여야 합니다.`;
+    } else if (quality !== undefined && !(quality >= 1 && quality <= 100)) {
+      validationError = '품질은 1~100 사이의 정수여야 합니다.';
+    }
+
+    if (validationError) {
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await workQueue.run('image', () => resizeImage(req.file.path, {
+      width,
+      height,
+      fit,
+      position,
+      smartCrop,
+      background,
+      withoutEnlargement: req.body.withoutEnlargement === 'true' || req.body.withoutEnlargement === true,
+      outputFormat,
+      quality
+    }), { ...createQueueContext(res), size: req.file.size });
 
     // Base64 데이터 추가
     const finalResult = await addBase64ToResult(result, returnBase64 === 'true' || returnBase64 === true);
 
     // 업로드된 파일 삭제
     await fs.remove(req.file.path);
-    
+
     res.json(finalResult);
   } catch (error) {
-    console.error('이미지 압축 오류:', error);
-    res.status(500).json({ error: '이미지 압축 중 오류가 발생했습니다.' });
+    console.error('이미지 크기 조정 오류:', error);
+    res.status(500).json({ error: '이미지 크기 조정 중 오류가 발생했습니다.' });
   }
 });
 
 // 영상 압축 API
-app.post('/api/compress-video', upload.single('video'), async (req, res) => {
+app.post('/api/compress-video', checkQueue('video'), upload.single('video'), acceptSourceUrl('video'), acceptUploadId('video'), async (req, res) => {
+  let callbackUrl;
   try {
     if (!req.file) {
-      return res.status(400).json({ error: '영상 파일이 필요합니다.' });
+      return res.status(400).json({ error: '영상 파일, sourceUrl 또는 uploadId가 필요합니다.' });
     }
 
-    const { targetSizeKB, compressionMode, returnBase64 } = req.body;
-    if (!targetSizeKB || isNaN(targetSizeKB)) {
-      return res.status(400).json({ error: '유효한 목표 용량(KB)을 입력해주세요.' });
+    const { targetSizeKB, compressionMode, returnBase64, qualityMetric = 'ssim' } = req.body;
+    if (!QUALITY_METRICS.includes(qualityMetric)) {
+      return res.status(400).json({ error: `품질 지표는 ${QUALITY_METRICS.join(', ')} 중 하나여야 합니다.` });
     }
 
-    if (!['compress', 'split'].includes(compressionMode)) {
-      return res.status(400).json({ error: '압축 모드는 "compress" 또는 "split"이어야 합니다.' });
+    const { targetQuality, error: qualityError } = parseTargetQuality(req.body, qualityMetric);
+    if (qualityError) {
+      return res.status(400).json({ error: qualityError });
     }
 
-    let result;
-    if (compressionMode === 'compress') {
-      result = await compressVideo(req.file.path, parseInt(targetSizeKB));
-    } else {
-      result = await splitVideo(req.file.path, parseInt(targetSizeKB));
+    if (targetQuality === undefined && (!targetSizeKB || isNaN(targetSizeKB))) {
+      return res.status(400).json({ error: '유효한 목표 용량(KB) 또는 목표 품질(targetQuality)을 입력해주세요.' });
+    }
+
+    if (!['compress', 'split', ...STREAMING_FORMATS].includes(compressionMode)) {
+      return res.status(400).json({ error: '압축 모드는 "compress", "split", "hls" 또는 "dash"여야 합니다.' });
+    }
+
+    if (compressionMode !== 'compress' && targetQuality !== undefined) {
+      return res.status(400).json({ error: '목표 품질(targetQuality)은 compress 모드에서만 사용할 수 있습니다.' });
+    }
+
+    // 코덱 파라미터는 compress, split 모드에서만 사용 (지정하지 않으면 h264 + aac + mp4)
+    const { videoCodec, audioCodec, container, preset } = req.body;
+    const codecParams = { videoCodec, audioCodec, container, preset };
+    const hasCodecParams = Object.values(codecParams).some(value => value !== undefined);
+    if (hasCodecParams && !['compress', 'split'].includes(compressionMode)) {
+      return res.status(400).json({ error: '코덱 설정(videoCodec, audioCodec, container, preset)은 compress, split 모드에서만 사용할 수 있습니다.' });
+    }
+    const { encoding, error: encodingError } = hasCodecParams ? await resolveEncoding(codecParams) : {};
+    if (encodingError) {
+      return res.status(400).json({ error: encodingError });
+    }
+
+    // 최대 해상도/프레임레이트도 compress 모드에서만 사용
+    const { limits, error: limitsError } = parseOutputLimits(req.body);
+    if (limitsError) {
+      return res.status(400).json({ error: limitsError });
+    }
+    if (limits && compressionMode !== 'compress') {
+      return res.status(400).json({ error: '최대 크기(maxWidth, maxHeight, maxFps)는 compress 모드에서만 사용할 수 있습니다.' });
+    }
+
+    // 스트리밍 출력은 세그먼트 파일이 많아 Base64로 반환하지 않음
+    if (STREAMING_FORMATS.includes(compressionMode) && (returnBase64 === 'true' || returnBase64 === true)) {
+      return res.status(400).json({ error: 'hls, dash 모드에서는 returnBase64를 사용할 수 없습니다.' });
+    }
+
+    const callback = await parseCallbackUrl(req.body);
+    if (callback.error) {
+      return res.status(400).json({ error: callback.error });
     }
+    callbackUrl = callback.callbackUrl;
+
+    // 목표 품질을 지정하면 목표 용량은 사용하지 않음
+    const targetSize = targetQuality === undefined ? parseInt(targetSizeKB) : null;
+    const compressOptions = {
+      ...(targetQuality === undefined ? {} : { targetQuality, qualityMetric }),
+      ...(encoding ? { encoding } : {}),
+      ...(limits ? { limits } : {})
+    };
+    const params = { targetSizeKB: targetSize, compressionMode, ...compressOptions };
+
+    // 같은 파일을 같은 파라미터로 처리한 결과가 있으면 재사용
+    const cache = await lookupResultCache(res, req.file.path, 'compress-video', params);
+    const processor = withResultCache(cache, (context) => workQueue.run('video', () => {
+      if (compressionMode === 'compress') {
+        return compressVideo(req.file.path, targetSize, { ...context, ...compressOptions });
+      }
+      if (compressionMode === 'split') {
+        return splitVideo(req.file.path, targetSize, { ...context, ...compressOptions });
+      }
+      return createAdaptiveStream(req.file.path, targetSize, { ...context, format: compressionMode });
+    }, context));
+
+    // 비동기 작업 모드
+    if (req.body.async === 'true' || req.body.async === true) {
+      return respondWithJob(res, {
+        type: 'compress-video',
+        params,
+        inputPath: req.file.path,
+        returnBase64: returnBase64 === 'true' || returnBase64 === true,
+        callbackUrl
+      }, processor);
+    }
+
+    const result = await processor(createQueueContext(res));
 
     // Base64 데이터 추가
     const finalResult = await addBase64ToResult(result, returnBase64 === 'true' || returnBase64 === true);
@@ -270,18 +1410,143 @@ app.post('/api/compress-video', upload.single('video'), async (req, res) => {
     // 업로드된 파일 삭제
     await fs.remove(req.file.path);
     
-    res.json(finalResult);
+    sendResult(res, callbackUrl, finalResult);
   } catch (error) {
     console.error('영상 처리 오류:', error);
-    res.status(500).json({ error: '영상 처리 중 오류가 발생했습니다.' });
+    sendResult(res, callbackUrl, { error: '영상 처리 중 오류가 발생했습니다.' }, 500);
+  }
+});
+
+// 영상 구간 자르기 API
+app.post('/api/trim-video', checkQueue('video'), upload.single('video'), acceptSourceUrl('video'), acceptUploadId('video'), async (req, res) => {
+  let callbackUrl;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: '영상 파일, sourceUrl 또는 uploadId가 필요합니다.' });
+    }
+
+    const { trim, error: trimError } = parseTrimOptions(req.body);
+    if (trimError) {
+      return res.status(400).json({ error: trimError });
+    }
+
+    // 영상 길이나 해상도를 벗어난 구간/영역은 대기열에 넣기 전에 거부
+    const boundsError = checkTrimBounds(await getVideoInfo(req.file.path), trim);
+    if (boundsError) {
+      return res.status(400).json({ error: boundsError });
+    }
+
+    // 목표 용량은 선택 사항 (지정하면 잘라낸 결과를 compress 모드와 같은 방식으로 압축)
+    const { targetSizeKB, returnBase64 } = req.body;
+    if (targetSizeKB !== undefined && targetSizeKB !== '' && (isNaN(targetSizeKB) || parseInt(targetSizeKB) <= 0)) {
+      return res.status(400).json({ error: '유효한 목표 용량(KB)을 입력해주세요.' });
+    }
+
+    const callback = await parseCallbackUrl(req.body);
+    if (callback.error) {
+      return res.status(400).json({ error: callback.error });
+    }
+    callbackUrl = callback.callbackUrl;
+
+    const params = {
+      ...trim,
+      ...(targetSizeKB !== undefined && targetSizeKB !== '' ? { targetSizeKB: parseInt(targetSizeKB) } : {})
+    };
+
+    // 같은 파일을 같은 파라미터로 처리한 결과가 있으면 재사용
+    const cache = await lookupResultCache(res, req.file.path, 'trim-video', params);
+    const processor = withResultCache(cache, (context) => workQueue.run('video',
+      () => trimVideo(req.file.path, { ...context, ...params }), context));
+
+    // 비동기 작업 모드
+    if (req.body.async === 'true' || req.body.async === true) {
+      return respondWithJob(res, {
+        type: 'trim-video',
+        params,
+        inputPath: req.file.path,
+        returnBase64: returnBase64 === 'true' || returnBase64 === true,
+        callbackUrl
+      }, processor);
+    }
+
+    const result = await processor(createQueueContext(res));
+
+    // Base64 데이터 추가
+    const finalResult = await addBase64ToResult(result, returnBase64 === 'true' || returnBase64 === true);
+
+    // 업로드된 파일 삭제
+    await fs.remove(req.file.path);
+
+    sendResult(res, callbackUrl, finalResult);
+  } catch (error) {
+    console.error('영상 자르기 오류:', error);
+    sendResult(res, callbackUrl, { error: '영상 자르기 중 오류가 발생했습니다.' }, 500);
+  }
+});
+
+// 영상 썸네일 API
+app.post('/api/video-thumbnails', checkQueue('video'), upload.single('video'), acceptSourceUrl('video'), acceptUploadId('video'), async (req, res) => {
+  let callbackUrl;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: '영상 파일, sourceUrl 또는 uploadId가 필요합니다.' });
+    }
+
+    const { targetSizeKB, returnBase64 } = req.body;
+    if (!targetSizeKB || isNaN(targetSizeKB)) {
+      return res.status(400).json({ error: '유효한 목표 용량(KB)을 입력해주세요.' });
+    }
+
+    const { thumbnail, error: thumbnailError } = parseThumbnailOptions(req.body);
+    if (thumbnailError) {
+      return res.status(400).json({ error: thumbnailError });
+    }
+
+    const callback = await parseCallbackUrl(req.body);
+    if (callback.error) {
+      return res.status(400).json({ error: callback.error });
+    }
+    callbackUrl = callback.callbackUrl;
+
+    const params = { targetSizeKB: parseInt(targetSizeKB), ...thumbnail };
+
+    // 같은 파일을 같은 파라미터로 처리한 결과가 있으면 재사용
+    const cache = await lookupResultCache(res, req.file.path, 'video-thumbnails', params);
+    const processor = withResultCache(cache, (context) => workQueue.run('video',
+      () => createVideoThumbnails(req.file.path, parseInt(targetSizeKB), { ...context, ...thumbnail }), context));
+
+    // 비동기 작업 모드
+    if (req.body.async === 'true' || req.body.async === true) {
+      return respondWithJob(res, {
+        type: 'video-thumbnails',
+        params,
+        inputPath: req.file.path,
+        returnBase64: returnBase64 === 'true' || returnBase64 === true,
+        callbackUrl
+      }, processor);
+    }
+
+    const result = await processor(createQueueContext(res));
+
+    // Base64 데이터 추가
+    const finalResult = await addBase64ToResult(result, returnBase64 === 'true' || returnBase64 === true);
+
+    // 업로드된 파일 삭제
+    await fs.remove(req.file.path);
+
+    sendResult(res, callbackUrl, finalResult);
+  } catch (error) {
+    console.error('썸네일 생성 오류:', error);
+    sendResult(res, callbackUrl, { error: '썸네일 생성 중 오류가 발생했습니다.' }, 500);
   }
 });
 
 // WebM 분할 API
-app.post('/api/split-webm', upload.single('video'), async (req, res) => {
+app.post('/api/split-webm', checkQueue('webm'), upload.single('video'), acceptSourceUrl('video'), acceptUploadId('video'), async (req, res) => {
+  let callbackUrl;
   try {
     if (!req.file) {
-      return res.status(400).json({ error: 'WebM 파일이 필요합니다.' });
+      return res.status(400).json({ error: 'WebM 파일, sourceUrl 또는 uploadId가 필요합니다.' });
     }
 
     const { targetSizeKB, returnBase64 } = req.body;
@@ -289,8 +1554,32 @@ app.post('/api/split-webm', upload.single('video'), async (req, res) => {
       return res.status(400).json({ error: '유효한 목표 용량(KB)을 입력해주세요.' });
     }
 
+    const callback = await parseCallbackUrl(req.body);
+    if (callback.error) {
+      return res.status(400).json({ error: callback.error });
+    }
+    callbackUrl = callback.callbackUrl;
+
+    const params = { targetSizeKB: parseInt(targetSizeKB) };
+
+    // 같은 파일을 같은 파라미터로 처리한 결과가 있으면 재사용
+    const cache = await lookupResultCache(res, req.file.path, 'split-webm', params);
+    const processor = withResultCache(cache, (context) => workQueue.run('webm',
+      () => detectWebMQualityChange(req.file.path, parseInt(targetSizeKB), context), context));
+
+    // 비동기 작업 모드
+    if (req.body.async === 'true' || req.body.async === true) {
+      return respondWithJob(res, {
+        type: 'split-webm',
+        params,
+        inputPath: req.file.path,
+        returnBase64: returnBase64 === 'true' || returnBase64 === true,
+        callbackUrl
+      }, processor);
+    }
+
     // WebM 화질 변경 감지 및 분할
-    const result = await detectWebMQualityChange(req.file.path, parseInt(targetSizeKB));
+    const result = await processor(createQueueContext(res));
     
     // Base64 데이터 추가
     const finalResult = await addBase64ToResult(result, returnBase64 === 'true' || returnBase64 === true);
@@ -298,10 +1587,320 @@ app.post('/api/split-webm', upload.single('video'), async (req, res) => {
     // 업로드된 파일 삭제
     await fs.remove(req.file.path);
     
-    res.json(finalResult);
+    sendResult(res, callbackUrl, finalResult);
   } catch (error) {
     console.error('WebM 처리 오류:', error);
-    res.status(500).json({ error: 'WebM 처리 중 오류가 발생했습니다.' });
+    sendResult(res, callbackUrl, { error: 'WebM 처리 중 오류가 발생했습니다.' }, 500);
+  }
+});
+
+// 작업 상태 조회 API
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id, getApiKeyId(res));
+  if (!job) {
+    return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+  }
+
+  res.json(jobManager.serialize(job));
+});
+
+// 작업 진행 상황 SSE 스트림
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobManager.getJob(req.params.id, getApiKeyId(res));
+  if (!job) {
+    return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // 프록시 버퍼링 비활성화
+  });
+
+  const sendEvent = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // 현재 상태를 먼저 전송
+  sendEvent('status', jobManager.serialize(job));
+  if (jobManager.isFinished(job)) {
+    sendEvent(job.status, jobManager.serialize(job));
+    return res.end();
+  }
+
+  const onEvent = (event) => {
+    if (event.jobId !== job.id) {
+      return;
+    }
+    sendEvent(event.type, event.data);
+    if (['completed', 'failed', 'cancelled'].includes(event.type)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // 프록시 연결 유지를 위한 주기적 주석 전송
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobManager.off('event', onEvent);
+  };
+
+  jobManager.on('event', onEvent);
+  req.on('close', cleanup);
+});
+
+// 작업 취소 API
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id, getApiKeyId(res));
+  if (!job) {
+    return res.status(404).json({ error: '작업을 찾을 수 없습니다.' });
+  }
+
+  if (jobManager.isFinished(job)) {
+    return res.status(409).json({
+      error: `이미 종료된 작업입니다. (상태: ${job.status})`,
+      status: job.status
+    });
+  }
+
+  jobManager.cancelJob(job.id);
+  res.json({
+    success: true,
+    message: '작업이 취소되었습니다.',
+    ...jobManager.serialize(job)
+  });
+});
+
+// 분할 업로드 생성 API
+app.post('/api/uploads', async (req, res) => {
+  try {
+    const { fileName } = req.body;
+    const size = Number(req.body.size);
+
+    if (!fileName || typeof fileName !== 'string' || fileName.length > 255) {
+      return res.status(400).json({ error: '파일 이름(fileName)을 255자 이내로 입력해주세요.' });
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ error: '파일 크기(size)는 바이트 단위의 양의 정수여야 합니다.' });
+    }
+    if (size > uploadManager.maxBytes) {
+      return res.status(400).json({ error: `파일 크기가 너무 큽니다. (최대 ${uploadManager.maxBytes / 1024 / 1024}MB)` });
+    }
+
+    const upload = await uploadManager.createUpload({ fileName: path.basename(fileName), size, apiKeyId: getApiKeyId(res) });
+    res.set('Upload-Offset', '0');
+    res.status(201).json({
+      success: true,
+      message: '업로드가 생성되었습니다. uploadUrl로 파일 데이터를 나눠 보내세요.',
+      ...uploadManager.serialize(upload),
+      uploadUrl: `/api/uploads/${upload.id}`
+    });
+  } catch (error) {
+    console.error('분할 업로드 생성 오류:', error);
+    res.status(500).json({ error: '업로드를 생성하는 중 오류가 발생했습니다.' });
+  }
+});
+
+// 분할 업로드 상태 조회 API (HEAD로 Upload-Offset만 확인 가능)
+app.get('/api/uploads/:id', (req, res) => {
+  const upload = uploadManager.getUpload(req.params.id, getApiKeyId(res));
+  if (!upload) {
+    return res.status(404).json({ error: '업로드를 찾을 수 없습니다.' });
+  }
+
+  res.set('Upload-Offset', String(upload.offset));
+  res.json(uploadManager.serialize(upload));
+});
+
+// 분할 업로드 데이터 이어 붙이기 API
+app.patch('/api/uploads/:id', async (req, res) => {
+  const upload = uploadManager.getUpload(req.params.id, getApiKeyId(res));
+  if (!upload) {
+    return res.status(404).json({ error: '업로드를 찾을 수 없습니다.' });
+  }
+  if (upload.status !== UPLOAD_STATUS.UPLOADING) {
+    return res.status(409).json({ error: '이미 완료된 업로드입니다.', offset: upload.offset });
+  }
+  if (!req.is('application/octet-stream') && !req.is('application/offset+octet-stream')) {
+    return res.status(400).json({ error: 'Content-Type은 application/octet-stream이어야 합니다.' });
+  }
+
+  const offset = Number(req.get('Upload-Offset'));
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Upload-Offset 헤더에 이어 보낼 위치(바이트)를 입력해주세요.' });
+  }
+  if (upload.writing) {
+    return res.status(409).json({ error: '다른 요청이 이 업로드에 데이터를 쓰는 중입니다.', offset: upload.offset });
+  }
+  if (offset !== upload.offset) {
+    // 클라이언트가 알고 있는 위치와 서버가 받은 위치가 다르면 서버 위치부터 다시 보내도록 안내
+    res.set('Upload-Offset', String(upload.offset));
+    return res.status(409).json({ error: `업로드 위치가 일치하지 않습니다. ${upload.offset}바이트부터 다시 보내주세요.`, offset: upload.offset });
+  }
+
+  try {
+    await uploadManager.appendChunk(upload, req);
+    res.set('Upload-Offset', String(upload.offset));
+    res.json(uploadManager.serialize(upload));
+  } catch (error) {
+    console.error('분할 업로드 저장 오류:', error.message);
+    res.set('Upload-Offset', String(upload.offset));
+    res.status(400).json({ error: `데이터를 저장하지 못했습니다: ${error.message}`, offset: upload.offset });
+  }
+});
+
+// 분할 업로드 완료 API
+app.post('/api/uploads/:id/complete', async (req, res) => {
+  const upload = uploadManager.getUpload(req.params.id, getApiKeyId(res));
+  if (!upload) {
+    return res.status(404).json({ error: '업로드를 찾을 수 없습니다.' });
+  }
+  if (upload.status === UPLOAD_STATUS.COMPLETED) {
+    return res.json({ success: true, ...uploadManager.serialize(upload) });
+  }
+  if (upload.writing || upload.offset < upload.size) {
+    return res.status(400).json({ error: `아직 모든 데이터를 받지 못했습니다. (${upload.offset}/${upload.size}바이트)`, offset: upload.offset });
+  }
+
+  try {
+    await uploadManager.completeUpload(upload);
+    res.json({
+      success: true,
+      message: '업로드가 완료되었습니다. 처리 API의 uploadId로 사용하세요.',
+      ...uploadManager.serialize(upload)
+    });
+  } catch (error) {
+    // 지원하지 않는 형식의 파일은 보관하지 않음
+    await uploadManager.removeUpload(upload);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 분할 업로드 취소 API
+app.delete('/api/uploads/:id', async (req, res) => {
+  const upload = uploadManager.getUpload(req.params.id, getApiKeyId(res));
+  if (!upload) {
+    return res.status(404).json({ error: '업로드를 찾을 수 없습니다.' });
+  }
+  if (upload.writing) {
+    return res.status(409).json({ error: '다른 요청이 이 업로드에 데이터를 쓰는 중입니다.' });
+  }
+
+  await uploadManager.removeUpload(upload);
+  res.json({ success: true, message: '업로드가 취소되었습니다.', uploadId: upload.id });
+});
+
+// 웹훅 전송 기록 조회 API (요청한 API 키의 기록만)
+app.get('/api/webhooks/deliveries', (req, res) => {
+  const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+  if (limit !== undefined && !(limit > 0)) {
+    return res.status(400).json({ error: '조회 개수(limit)는 양의 정수여야 합니다.' });
+  }
+
+  const deliveries = webhookManager.listDeliveries({
+    apiKeyId: getApiKeyId(res),
+    jobId: req.query.jobId,
+    status: req.query.status,
+    limit
+  });
+  res.json({ deliveries });
+});
+
+// 웹훅 전송 기록 상세 조회 API
+app.get('/api/webhooks/deliveries/:id', (req, res) => {
+  const delivery = webhookManager.getDelivery(req.params.id, getApiKeyId(res));
+  if (!delivery) {
+    return res.status(404).json({ error: '전송 기록을 찾을 수 없습니다.' });
+  }
+
+  res.json(webhookManager.serialize(delivery));
+});
+
+// API 키 생성 API
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const { options, error } = parseApiKeyOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { key, apiKey } = await apiKeyManager.createKey(options);
+    res.status(201).json({
+      success: true,
+      message: 'API 키가 생성되었습니다. 키는 다시 조회할 수 없으니 안전하게 보관하세요.',
+      key,
+      ...apiKeyManager.serialize(apiKey)
+    });
+  } catch (error) {
+    console.error('API 키 생성 오류:', error);
+    res.status(500).json({ error: 'API 키를 생성하는 중 오류가 발생했습니다.' });
+  }
+});
+
+// API 키 목록 및 사용량 조회 API
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+  res.json({ keys: apiKeyManager.listKeys() });
+});
+
+// API 키 조회 API
+app.get('/api/admin/keys/:id', requireAdmin, (req, res) => {
+  const apiKey = apiKeyManager.getKey(req.params.id);
+  if (!apiKey) {
+    return res.status(404).json({ error: 'API 키를 찾을 수 없습니다.' });
+  }
+
+  res.json(apiKeyManager.serialize(apiKey));
+});
+
+// API 키 폐기 API
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const apiKey = await apiKeyManager.revokeKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API 키를 찾을 수 없습니다.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'API 키가 폐기되었습니다.',
+      ...apiKeyManager.serialize(apiKey)
+    });
+  } catch (error) {
+    console.error('API 키 폐기 오류:', error);
+    res.status(500).json({ error: 'API 키를 폐기하는 중 오류가 발생했습니다.' });
+  }
+});
+
+// 처리 대기열 상태 API
+app.get('/api/queue', (req, res) => {
+  res.json(workQueue.getStatus());
+});
+
+// 영상 출력 코덱 목록 API (서버의 ffmpeg가 지원하는 인코더만)
+app.get('/api/codecs', async (req, res) => {
+  try {
+    res.json(await getSupportedCodecs());
+  } catch (error) {
+    console.error('코덱 목록 조회 오류:', error);
+    res.status(500).json({ error: '코덱 목록 조회 중 오류가 발생했습니다.' });
+  }
+});
+
+// 품질 추정 캐시 통계 API
+app.get('/api/admin/cache-stats', requireAdmin, (req, res) => {
+  res.json(compressionCache.getStats());
+});
+
+// 저장소 사용 현황 API
+app.get('/api/admin/storage', requireAdmin, async (req, res) => {
+  try {
+    res.json(await storageManager.getReport());
+  } catch (error) {
+    console.error('저장소 조회 오류:', error);
+    res.status(500).json({ error: '저장소 사용 현황을 조회하는 중 오류가 발생했습니다.' });
   }
 });
 
@@ -311,6 +1910,9 @@ app.use((error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: '파일 크기가 너무 큽니다. (최대 500MB)' });
     }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: '허용되지 않은 파일 필드이거나 파일 수가 너무 많습니다.' });
+    }
   }
   console.error('서버 오류:', error);
   res.status(500).json({ error: '서버 내부 오류가 발생했습니다.' });
@@ -323,4 +1925,6 @@ app.use((req, res) => {
 
 app.listen(PORT, () => {
   console.log(`서버가 포트 ${PORT}에서 실행 중입니다.`);
+  // 이전 실행에서 남은 만료 파일과 고아 업로드 파일 정리
+  storageManager.sweep().catch(error => console.error('저장소 정리 오류:', error));
 });
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * API 키 관리 모듈 - 키별 요청 한도, 일일 사용량 한도, 허용 출처/엔드포인트와 사용량 집계
+ * - 키 원문은 생성 시 한 번만 반환하고 파일에는 SHA-256 해시만 저장
+ * - 키 목록과 사용량은 JSON 파일(API_KEYS_FILE)에 저장되어 재시작 후에도 유지
+ * - 일일 사용량은 UTC 날짜 기준으로 집계하고 날짜가 바뀌면 초기화
+ */
+
+const KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json');
+const KEY_PREFIX = 'ivcp_';
+const DEFAULT_RATE_LIMIT = 500; // 키별 기본 요청 한도 (15분당, IP 기준 한도와 동일)
+const SAVE_DELAY = 1000; // 사용량 변경 후 파일 저장까지 대기 시간 (여러 변경을 한 번에 저장)
+
+class ApiKeyManager {
+  constructor() {
+    this.required = process.env.API_KEY_REQUIRED === 'true'; // true면 API 키 없는 요청 거부
+    this.adminToken = process.env.ADMIN_TOKEN || null; // 키 관리 API 인증 토큰
+    this.keys = new Map(); // 키 ID → 키 정보
+    this.hashes = new Map(); // 키 해시 → 키 ID
+    this.saveTimer = null;
+    this.load();
+  }
+
+  /**
+   * 파일에서 키 목록 불러오기
+   */
+  load() {
+    if (!fs.pathExistsSync(KEYS_FILE)) {
+      return;
+    }
+
+    try {
+      const { keys = [] } = fs.readJsonSync(KEYS_FILE);
+      keys.forEach(apiKey => {
+        this.keys.set(apiKey.id, apiKey);
+        this.hashes.set(apiKey.keyHash, apiKey.id);
+      });
+    } catch (error) {
+      console.error('API 키 파일 읽기 오류:', error.message);
+    }
+  }
+
+  /**
+   * 키 목록을 파일에 저장 (임시 파일에 쓴 뒤 교체)
+   */
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const tempFile = `${KEYS_FILE}.tmp`;
+    await fs.ensureDir(path.dirname(KEYS_FILE));
+    await fs.writeJson(tempFile, { keys: Array.from(this.keys.values()) }, { spaces: 2 });
+    await fs.move(tempFile, KEYS_FILE, { overwrite: true });
+  }
+
+  /**
+   * 잠시 후 저장 (요청마다 파일을 쓰지 않도록 묶어서 저장)
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.save().catch(error => console.error('API 키 파일 저장 오류:', error));
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * 새 API 키 생성
+   * @param {Object} options - 키 설정
+   * @param {string} options.name - 키 이름 (용도 구분용)
+   * @param {number} [options.rateLimit] - 15분당 최대 요청 수 (기본값 500)
+   * @param {number} [options.dailyBytes] - 하루 최대 입력 파일 용량 (바이트, 생략하면 제한 없음)
+   * @param {number} [options.dailyProcessingSeconds] - 하루 최대 처리 시간 (초, 생략하면 제한 없음)
+   * @param {Array<string>} [options.allowedOrigins] - 허용할 Origin 목록 (빈 배열이면 모두 허용)
+   * @param {Array<string>} [options.allowedEndpoints] - 허용할 API 경로 목록 (빈 배열이면 모두 허용)
+   * @returns {Promise<Object>} { key, apiKey } - key는 키 원문 (다시 조회할 수 없음)
+   */
+  async createKey(options) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const apiKey = {
+      id: crypto.randomUUID(),
+      name: options.name,
+      keyHash: this.hash(key),
+      keyPreview: key.slice(0, KEY_PREFIX.length + 6),
+      rateLimit: options.rateLimit || DEFAULT_RATE_LIMIT,
+      dailyQuota: {
+        bytes: options.dailyBytes || null,
+        processingSeconds: options.dailyProcessingSeconds || null
+      },
+      allowedOrigins: options.allowedOrigins || [],
+      allowedEndpoints: options.allowedEndpoints || [],
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      lastUsedAt: null,
+      usage: {
+        total: { requests: 0, bytes: 0, processingSeconds: 0 },
+        daily: { date: today(), requests: 0, bytes: 0, processingSeconds: 0 },
+        endpoints: {}
+      }
+    };
+
+    this.keys.set(apiKey.id, apiKey);
+    this.hashes.set(apiKey.keyHash, apiKey.id);
+    await this.save();
+
+    return { key, apiKey };
+  }
+
+  /**
+   * API 키 폐기 (사용량 기록은 유지)
+   * @param {string} id - 키 ID
+   * @returns {Promise<Object|null>} 폐기된 키 또는 null (존재하지 않는 경우)
+   */
+  async revokeKey(id) {
+    const apiKey = this.keys.get(id);
+    if (!apiKey) {
+      return null;
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date().toISOString();
+      await this.save();
+    }
+    return apiKey;
+  }
+
+  /**
+   * 키 원문으로 유효한(폐기되지 않은) 키 찾기
+   * @param {string} key - Authorization 헤더의 키 원문
+   * @returns {Object|null} 키 정보 또는 null
+   */
+  authenticate(key) {
+    const apiKey = this.keys.get(this.hashes.get(this.hash(key)));
+    if (!apiKey || apiKey.revokedAt) {
+      return null;
+    }
+    return apiKey;
+  }
+
+  /**
+   * 관리자 토큰 확인
+   * @param {string} token - Authorization 헤더의 토큰
+   * @returns {boolean} 일치 여부 (ADMIN_TOKEN이 설정되지 않았으면 항상 false)
+   */
+  isAdmin(token) {
+    if (!this.adminToken || !token) {
+      return false;
+    }
+    const expected = Buffer.from(this.hash(this.adminToken));
+    return crypto.timingSafeEqual(Buffer.from(this.hash(token)), expected);
+  }
+
+  /**
+   * 요청 출처가 허용 목록에 있는지 확인 (Origin 헤더가 없는 서버 간 요청은 허용)
+   * @param {Object} apiKey - 키 정보
+   * @param {string} [origin] - 요청의 Origin 헤더
+   * @returns {boolean} 허용 여부
+   */
+  isOriginAllowed(apiKey, origin) {
+    return !origin || apiKey.allowedOrigins.length === 0 || apiKey.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * API 경로가 허용 목록에 있는지 확인 (목록 항목과 같거나 그 하위 경로면 허용)
+   * @param {Object} apiKey - 키 정보
+   * @param {string} requestPath - 요청 경로 (예: /api/jobs/123)
+   * @returns {boolean} 허용 여부
+   */
+  isEndpointAllowed(apiKey, requestPath) {
+    return apiKey.allowedEndpoints.length === 0 ||
+      apiKey.allowedEndpoints.some(endpoint => requestPath === endpoint || requestPath.startsWith(`${endpoint}/`));
+  }
+
+  /**
+   * 일일 사용량 한도 확인
+   * @param {Object} apiKey - 키 정보
+   * @param {number} [incomingBytes] - 이번 요청의 본문 크기 (Content-Length)
+   * @returns {string|null} 초과한 항목 (bytes, processingSeconds) 또는 null
+   */
+  checkQuota(apiKey, incomingBytes = 0) {
+    const daily = this.getDailyUsage(apiKey);
+    const quota = apiKey.dailyQuota;
+
+    if (quota.bytes && daily.bytes + incomingBytes > quota.bytes) {
+      return 'bytes';
+    }
+    if (quota.processingSeconds && daily.processingSeconds >= quota.processingSeconds) {
+      return 'processingSeconds';
+    }
+    return null;
+  }
+
+  /**
+   * 사용량 기록
+   * @param {Object} apiKey - 키 정보
+   * @param {Object} usage - 사용량
+   * @param {string} [usage.endpoint] - API 경로 (요청 수 집계, 비동기 작업 처리 시간 기록 시 생략)
+   * @param {number} [usage.bytes] - 입력 파일 용량 (바이트)
+   * @param {number} [usage.processingSeconds] - 처리 시간 (초)
+   */
+  recordUsage(apiKey, { endpoint, bytes = 0, processingSeconds = 0 }) {
+    const daily = this.getDailyUsage(apiKey);
+    const total = apiKey.usage.total;
+    const seconds = parseFloat(processingSeconds.toFixed(3));
+
+    if (endpoint) {
+      daily.requests++;
+      total.requests++;
+      apiKey.usage.endpoints[endpoint] = (apiKey.usage.endpoints[endpoint] || 0) + 1;
+      apiKey.lastUsedAt = new Date().toISOString();
+    }
+    daily.bytes += bytes;
+    total.bytes += bytes;
+    daily.processingSeconds = parseFloat((daily.processingSeconds + seconds).toFixed(3));
+    total.processingSeconds = parseFloat((total.processingSeconds + seconds).toFixed(3));
+
+    this.scheduleSave();
+  }
+
+  /**
+   * 오늘(UTC) 사용량 (날짜가 바뀌었으면 초기화)
+   * @param {Object} apiKey - 키 정보
+   * @returns {Object} { date, requests, bytes, processingSeconds }
+   */
+  getDailyUsage(apiKey) {
+    const date = today();
+    if (apiKey.usage.daily.date !== date) {
+      apiKey.usage.daily = { date, requests: 0, bytes: 0, processingSeconds: 0 };
+    }
+    return apiKey.usage.daily;
+  }
+
+  /**
+   * 키 목록 (생성 순)
+   * @returns {Array<Object>} 직렬화된 키 목록
+   */
+  listKeys() {
+    return Array.from(this.keys.values()).map(apiKey => this.serialize(apiKey));
+  }
+
+  /**
+   * 키 조회
+   * @param {string} id - 키 ID
+   * @returns {Object|null} 키 정보 또는 null
+   */
+  getKey(id) {
+    return this.keys.get(id) || null;
+  }
+
+  /**
+   * API 응답용 키 정보 (키 해시 제외)
+   * @param {Object} apiKey - 키 정보
+   * @returns {Object} 직렬화된 키 정보
+   */
+  serialize(apiKey) {
+    this.getDailyUsage(apiKey);
+    const { keyHash, ...info } = apiKey;
+    return { ...info, status: apiKey.revokedAt ? 'revoked' : 'active' };
+  }
+
+  /**
+   * 키 해시
+   * @param {string} key - 키 원문
+   * @returns {string} SHA-256 (hex)
+   */
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+}
+
+/**
+ * 오늘 날짜 (UTC, YYYY-MM-DD)
+ * @returns {string} 날짜
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// 싱글톤 인스턴스
+const apiKeyManager = new ApiKeyManager();
+
+module.exports = apiKeyManager;
@@ -0,0 +1,223 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs-extra');
+const path = require('path');
+const { compressImage } = require('./imageCompression');
+const storage = require('./storage');
+const workQueue = require('./workQueue');
+
+// 일괄 처리 설정
+const DEFAULT_CONCURRENCY = 3; // 동시에 압축할 이미지 수
+const MAX_CONCURRENCY = 8;
+const MAX_BATCH_FILES = 500; // 한 번에 처리할 최대 이미지 수
+const MAX_EXTRACTED_SIZE = 1024 * 1024 * 1024; // ZIP 압축 해제 최대 총 용량 (1GB)
+
+// ZIP에서 꺼낼 이미지 확장자
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif'];
+
+/**
+ * 여러 이미지를 동시 처리 수를 제한하여 압축하고 결과를 ZIP으로 묶음
+ * - 각 파일은 이미지 처리 대기열을 거치므로 다른 요청과 함께 서버 전체 동시 실행 수 안에서 처리
+ * - 파일 하나가 실패해도 나머지는 계속 처리하며, 실패한 파일은 error와 함께 결과에 포함
+ * @param {Array<Object>} inputs - 입력 이미지 목록 [{ path, name }]
+ * @param {number} targetSizeKB - 파일별 목표 용량 (KB)
+ * @param {Object} [options] - 압축 및 작업 옵션
+ * @param {number} [options.concurrency] - 동시 처리 수 (기본값 3, 최대 8)
+ * @param {string} [options.outputFormat] - 출력 형식 (compressImage와 동일)
+ * @param {number} [options.maxWidth] - 최대 너비 (px)
+ * @param {number} [options.maxHeight] - 최대 높이 (px)
+ * @param {Object} [options.metadata] - 메타데이터 처리 옵션 (compressImage와 동일)
+ * @param {Function} [options.onProgress] - 진행률 콜백 ({ partNumber, totalParts, percent }) - 파일마다 한 파트
+ * @param {Function} [options.onCommand] - ffmpeg 명령 시작 시 호출 (작업 취소용)
+ * @param {Function} [options.isCancelled] - 작업 취소 여부 확인 (취소되면 남은 파일을 시작하지 않음)
+ * @returns {Promise<Object>} 처리 결과
+ */
+async function compressImageBatch(inputs, targetSizeKB, options = {}) {
+  const startTime = Date.now(); // 처리 시간 측정 시작
+  
+  try {
+    const outputDir = storage.outputDir;
+    await fs.ensureDir(outputDir);
+    
+    if (inputs.length > MAX_BATCH_FILES) {
+      throw new Error(`한 번에 최대 ${MAX_BATCH_FILES}개의 이미지만 처리할 수 있습니다.`);
+    }
+    
+    const concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, options.concurrency || DEFAULT_CONCURRENCY));
+    const totalParts = inputs.length;
+    
+    const results = await mapWithConcurrency(inputs, concurrency, async (input, index) => {
+      if (options.isCancelled && options.isCancelled()) {
+        return { fileName: input.name, success: false, error: '작업이 취소되었습니다.' };
+      }
+      
+      try {
+        const { size } = await fs.stat(input.path);
+        const result = await workQueue.run('image', () => compressImage(input.path, targetSizeKB, {
+          outputFormat: options.outputFormat,
+          maxWidth: options.maxWidth,
+          maxHeight: options.maxHeight,
+          metadata: options.metadata,
+          onCommand: options.onCommand,
+          onProgress: ({ percent }) => {
+            if (options.onProgress) {
+              options.onProgress({ partNumber: index + 1, totalParts, percent });
+            }
+          }
+        }), { size, isCancelled: options.isCancelled });
+        
+        if (options.onProgress) {
+          options.onProgress({ partNumber: index + 1, totalParts, percent: 100 });
+        }
+        
+        return { fileName: input.name, ...result };
+      } catch (error) {
+        console.error(`일괄 압축 실패 (${input.name}):`, error.message);
+        if (options.onProgress) {
+          options.onProgress({ partNumber: index + 1, totalParts, percent: 100 });
+        }
+        return { fileName: input.name, success: false, error: error.message };
+      }
+    });
+    
+    const succeeded = results.filter(result => result.success);
+    
+    // 성공한 결과를 원본 파일 이름으로 ZIP에 묶음
+    let zipPath = null;
+    if (succeeded.length > 0) {
+      zipPath = path.join(outputDir, `batch_${Date.now()}.zip`);
+      const zip = new AdmZip();
+      const usedNames = new Set();
+      
+      for (const result of succeeded) {
+        const extension = path.extname(storage.fileName(result.outputPath));
+        const entryName = uniqueEntryName(result.fileName, extension, usedNames);
+        zip.addFile(entryName, await storage.read(result.outputPath));
+        result.zipEntry = entryName;
+      }
+      
+      await zip.writeZipPromise(zipPath);
+    }
+    
+    return {
+      success: true,
+      message: `${results.length}개 중 ${succeeded.length}개 이미지가 압축되었습니다.`,
+      totalFiles: results.length,
+      succeeded: succeeded.length,
+      failed: results.length - succeeded.length,
+      results,
+      outputPath: zipPath ? await storage.publish(zipPath) : null,
+      action: 'batch_compressed',
+      processingTime: `${(Date.now() - startTime) / 1000} 초`
+    };
+    
+  } catch (error) {
+    console.error('일괄 압축 오류:', error);
+    throw new Error(`일괄 압축 실패: ${error.message}`);
+  }
+}
+
+/**
+ * ZIP 파일에서 이미지 파일만 꺼내 임시 파일로 저장
+ * - 항목 경로는 파일 이름으로만 사용하고 저장 경로는 새로 만들어 경로 조작을 막음
+ * - 압축 해제 총 용량과 파일 수를 제한 (헤더의 용량은 조작할 수 있으므로 실제로 풀린 용량 기준)
+ * @param {string} zipPath - 업로드된 ZIP 파일 경로
+ * @param {string} destDir - 임시 파일 저장 디렉토리
+ * @returns {Promise<Array<Object>>} 추출된 이미지 목록 [{ path, name }]
+ */
+async function extractImagesFromZip(zipPath, destDir) {
+  const zip = new AdmZip(zipPath);
+  // adm-zip은 헤더에 기록된 용량까지만 압축을 풀기 때문에, 용량이 0으로 기록된 항목은
+  // 제한 없이 풀릴 수 있어 제외 (정상적인 빈 파일도 이미지가 아니므로 함께 제외됨)
+  const entries = zip.getEntries().filter(entry =>
+    !entry.isDirectory &&
+    entry.header.size > 0 &&
+    !entry.entryName.startsWith('__MACOSX/') &&
+    !path.basename(entry.entryName).startsWith('.') &&
+    IMAGE_EXTENSIONS.includes(path.extname(entry.entryName).toLowerCase())
+  );
+  
+  if (entries.length > MAX_BATCH_FILES) {
+    throw new Error(`ZIP 파일에는 최대 ${MAX_BATCH_FILES}개의 이미지만 포함할 수 있습니다.`);
+  }
+  
+  // 헤더 기준으로 먼저 확인하여 명백히 큰 ZIP은 압축을 풀기 전에 거부
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalSize > MAX_EXTRACTED_SIZE) {
+    throw new Error('ZIP 파일의 압축 해제 용량이 너무 큽니다.');
+  }
+  
+  const extracted = [];
+  const prefix = `zip-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  let remaining = MAX_EXTRACTED_SIZE;
+  
+  try {
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const extension = path.extname(entry.entryName).toLowerCase();
+      const filePath = path.join(destDir, `${prefix}-${i}${extension}`);
+      
+      // 실제로 풀린 용량으로 남은 한도 확인
+      const data = entry.getData();
+      if (data.length > remaining) {
+        throw new Error('ZIP 파일의 압축 해제 용량이 너무 큽니다.');
+      }
+      remaining -= data.length;
+      
+      await fs.writeFile(filePath, data);
+      extracted.push({ path: filePath, name: path.basename(entry.entryName) });
+    }
+  } catch (error) {
+    await Promise.all(extracted.map(file => fs.remove(file.path)));
+    throw error;
+  }
+  
+  return extracted;
+}
+
+/**
+ * 동시 실행 수를 제한하여 비동기 함수를 적용 (결과 순서는 입력 순서 유지)
+ * @param {Array} items - 입력 목록
+ * @param {number} limit - 동시 실행 수
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} 결과 목록
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * ZIP 안에서 겹치지 않는 파일 이름 생성 (확장자는 실제 출력 형식을 따름)
+ * @param {string} fileName - 원본 파일 이름
+ * @param {string} extension - 출력 파일 확장자
+ * @param {Set<string>} usedNames - 이미 사용한 이름
+ * @returns {string} ZIP 항목 이름
+ */
+function uniqueEntryName(fileName, extension, usedNames) {
+  const baseName = path.basename(fileName, path.extname(fileName));
+  let entryName = `${baseName}${extension}`;
+  let counter = 2;
+  
+  while (usedNames.has(entryName.toLowerCase())) {
+    entryName = `${baseName}_${counter}${extension}`;
+    counter++;
+  }
+  
+  usedNames.add(entryName.toLowerCase());
+  return entryName;
+}
+
+module.exports = {
+  compressImageBatch,
+  extractImagesFromZip
+};
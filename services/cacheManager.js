@@ -1,63 +1,165 @@
 const fs = require('fs-extra');
 const crypto = require('crypto');
-const path = require('path');
+const storage = require('./storage');
 
-// 메모리 기반 캐시 (Railway 환경 고려하여 제한적 사용)
-const metadataCache = new Map();
-const MAX_CACHE_SIZE = 100; // 최대 캐시 항목 수
-const CACHE_TTL = 5 * 60 * 1000; // 5분 TTL
+// 처리 결과 캐시 - 같은 내용의 파일을 같은 파라미터로 다시 요청하면 기존 결과 파일을 재사용
+// (Map 삽입 순서를 최근 사용 순서로 사용하며, 맨 앞 항목이 가장 오래 사용되지 않은 항목)
+const resultCache = new Map();
+const MAX_CACHE_SIZE = 500; // 최대 캐시 항목 수
+const MAX_CACHE_BYTES = (parseInt(process.env.RESULT_CACHE_MAX_MB) || 1024) * 1024 * 1024; // 캐시가 참조하는 결과 파일 총 용량 (기본 1GB)
+const CACHE_TTL = (parseInt(process.env.RESULT_CACHE_TTL_MINUTES) || 60) * 60 * 1000; // 기본 1시간 TTL
+
+let cachedBytes = 0;
 
 /**
- * 파일 해시 생성
+ * 파일 내용의 SHA-256 해시 생성
  * @param {string} filePath - 파일 경로
- * @returns {Promise<string>} 파일 해시
+ * @returns {Promise<string>} 파일 해시 (hex)
  */
-async function generateFileHash(filePath) {
-  const stats = await fs.stat(filePath);
-  const hash = crypto.createHash('md5');
-  hash.update(filePath + stats.size + stats.mtime.getTime());
-  return hash.digest('hex');
+function generateFileHash(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
 }
 
 /**
- * 캐시에서 메타데이터 조회
- * @param {string} filePath - 파일 경로
- * @returns {Object|null} 캐시된 메타데이터
+ * 파일 해시와 작업 종류, 처리 파라미터로 캐시 키 생성
+ * - 파라미터 객체의 키 순서와 값이 없는(undefined) 항목은 키에 영향을 주지 않음
+ * @param {string} fileHash - generateFileHash 결과
+ * @param {string} operation - 작업 종류 (예: compress-image)
+ * @param {Object} params - 결과에 영향을 주는 처리 파라미터
+ * @returns {string} 캐시 키
+ */
+function generateCacheKey(fileHash, operation, params) {
+  const normalized = JSON.stringify({ operation, params: sortKeys(params) });
+  return crypto.createHash('sha256').update(`${fileHash}:${normalized}`).digest('hex');
+}
+
+/**
+ * 객체 키를 재귀적으로 정렬 (캐시 키 정규화용)
+ * @param {*} value - 정렬할 값
+ * @returns {*} 키가 정렬된 값
  */
-function getCachedMetadata(filePath) {
-  const hash = crypto.createHash('md5').update(filePath).digest('hex');
-  const cached = metadataCache.get(hash);
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = sortKeys(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * 캐시에서 처리 결과 조회
+ * - 만료되었거나 결과 파일이 하나라도 사라진 항목은 삭제하고 null 반환
+ * - 저장소 다운로드 URL은 만료될 수 있으므로 새로 발급하여 반환
+ * @param {string} key - 캐시 키
+ * @returns {Promise<Object|null>} 캐시된 처리 결과 (복사본) 또는 null
+ */
+async function getCachedResult(key) {
+  const cached = resultCache.get(key);
+  if (!cached) {
+    return null;
+  }
   
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
+  if (Date.now() - cached.timestamp >= CACHE_TTL) {
+    removeEntry(key);
+    return null;
   }
   
-  // 만료된 캐시 삭제
-  if (cached) {
-    metadataCache.delete(hash);
+  const stats = await Promise.all(cached.files.map(outputPath => storage.stat(outputPath)));
+  if (stats.includes(null)) {
+    removeEntry(key);
+    return null;
+  }
+  
+  // 최근 사용 항목으로 이동
+  resultCache.delete(key);
+  resultCache.set(key, cached);
+  
+  const result = JSON.parse(JSON.stringify(cached.result));
+  if (result.outputPath) {
+    result.outputPath = await storage.refreshUrl(result.outputPath);
+  }
+  for (const part of [...(result.parts || []), ...(result.renditions || [])]) {
+    if (part.outputPath) {
+      part.outputPath = await storage.refreshUrl(part.outputPath);
+    }
   }
   
-  return null;
+  return result;
 }
 
 /**
- * 메타데이터를 캐시에 저장
- * @param {string} filePath - 파일 경로
- * @param {Object} metadata - 메타데이터
+ * 처리 결과를 캐시에 저장
+ * - 항목 수나 결과 파일 총 용량이 한도를 넘으면 가장 오래 사용되지 않은 항목부터 제거
+ * - 결과 파일 자체는 삭제하지 않음 (캐시에서만 제외)
+ * @param {string} key - 캐시 키
+ * @param {Object} result - 서비스 함수의 처리 결과
  */
-function setCachedMetadata(filePath, metadata) {
-  // 캐시 크기 제한
-  if (metadataCache.size >= MAX_CACHE_SIZE) {
-    // 가장 오래된 항목 삭제
-    const oldestKey = metadataCache.keys().next().value;
-    metadataCache.delete(oldestKey);
+async function setCachedResult(key, result) {
+  if (!result || !result.success) {
+    return;
+  }
+  
+  // 이후 Base64 추가 등으로 원본 결과가 바뀌어도 영향이 없도록 먼저 복사
+  const stored = JSON.parse(JSON.stringify(result));
+  const files = collectOutputFiles(stored);
+  if (files.length === 0) {
+    return;
+  }
+  
+  const stats = await Promise.all(files.map(outputPath => storage.stat(outputPath)));
+  if (stats.includes(null)) {
+    return;
+  }
+  const bytes = stats.reduce((sum, stat) => sum + stat.size, 0);
+  if (bytes > MAX_CACHE_BYTES) {
+    return;
   }
   
-  const hash = crypto.createHash('md5').update(filePath).digest('hex');
-  metadataCache.set(hash, {
-    data: metadata,
+  removeEntry(key);
+  while (resultCache.size > 0 && (resultCache.size >= MAX_CACHE_SIZE || cachedBytes + bytes > MAX_CACHE_BYTES)) {
+    removeEntry(resultCache.keys().next().value);
+  }
+  
+  resultCache.set(key, {
+    result: stored,
+    files,
+    bytes,
     timestamp: Date.now()
   });
+  cachedBytes += bytes;
+}
+
+/**
+ * 처리 결과가 참조하는 결과 파일 목록
+ * @param {Object} result - 처리 결과 (outputPath, parts[].outputPath 또는 renditions[].outputPath)
+ * @returns {Array<string>} outputPath 목록
+ */
+function collectOutputFiles(result) {
+  return [result.outputPath, ...[...(result.parts || []), ...(result.renditions || [])].map(part => part.outputPath)]
+    .filter(Boolean);
+}
+
+/**
+ * 캐시 항목 삭제
+ * @param {string} key - 캐시 키
+ */
+function removeEntry(key) {
+  const cached = resultCache.get(key);
+  if (cached) {
+    cachedBytes -= cached.bytes;
+    resultCache.delete(key);
+  }
 }
 
 /**
@@ -65,9 +167,9 @@ function setCachedMetadata(filePath, metadata) {
  */
 function clearExpiredCache() {
   const now = Date.now();
-  for (const [key, value] of metadataCache.entries()) {
+  for (const [key, value] of resultCache.entries()) {
     if (now - value.timestamp > CACHE_TTL) {
-      metadataCache.delete(key);
+      removeEntry(key);
     }
   }
 }
@@ -76,7 +178,8 @@ function clearExpiredCache() {
  * 전체 캐시 정리
  */
 function clearAllCache() {
-  metadataCache.clear();
+  resultCache.clear();
+  cachedBytes = 0;
 }
 
 // 주기적 캐시 정리 (메모리 최적화)
@@ -84,8 +187,9 @@ setInterval(clearExpiredCache, 60000); // 1분마다 실행
 
 module.exports = {
   generateFileHash,
-  getCachedMetadata,
-  setCachedMetadata,
+  generateCacheKey,
+  getCachedResult,
+  setCachedResult,
   clearExpiredCache,
   clearAllCache
 };
@@ -7,6 +7,13 @@ class CompressionCache {
     this.cache = new Map();
     this.maxSize = 100; // 최대 캐시 항목 수
     this.maxAge = 1000 * 60 * 60; // 1시간
+    this.hits = 0;
+    this.misses = 0;
+    // 품질 탐색 통계 (학습된 품질로 시작한 탐색 / 전체 범위 탐색)
+    this.searches = {
+      seeded: { count: 0, iterations: 0 },
+      unseeded: { count: 0, iterations: 0 }
+    };
   }
 
   /**
@@ -37,6 +44,7 @@ class CompressionCache {
       const age = Date.now() - cached.timestamp;
       if (age < this.maxAge) {
         // 캐시 히트 - 가중 평균 품질 반환
+        this.hits++;
         return Math.round(cached.totalQuality / cached.count);
       } else {
         // 캐시 만료
@@ -44,6 +52,7 @@ class CompressionCache {
       }
     }
     
+    this.misses++;
     return null;
   }
 
@@ -81,6 +90,17 @@ class CompressionCache {
     }
   }
 
+  /**
+   * 품질 탐색에 사용한 인코딩 횟수 기록
+   * @param {boolean} seeded - 캐시된 품질로 탐색을 시작했는지 여부
+   * @param {number} iterations - 인코딩 횟수
+   */
+  recordSearch(seeded, iterations) {
+    const stats = seeded ? this.searches.seeded : this.searches.unseeded;
+    stats.count++;
+    stats.iterations += iterations;
+  }
+
   /**
    * 가장 오래된 캐시 키 찾기
    * @returns {string|null} 가장 오래된 키
@@ -104,6 +124,10 @@ class CompressionCache {
    */
   clear() {
     this.cache.clear();
+    this.hits = 0;
+    this.misses = 0;
+    this.searches.seeded = { count: 0, iterations: 0 };
+    this.searches.unseeded = { count: 0, iterations: 0 };
   }
 
   /**
@@ -111,9 +135,23 @@ class CompressionCache {
    * @returns {Object} 캐시 통계 정보
    */
   getStats() {
+    const average = (stats) => (stats.count > 0 ? parseFloat((stats.iterations / stats.count).toFixed(2)) : null);
+    const seededAverage = average(this.searches.seeded);
+    const unseededAverage = average(this.searches.unseeded);
+    
     return {
       size: this.cache.size,
       maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+      searches: {
+        seeded: { count: this.searches.seeded.count, averageIterations: seededAverage },
+        unseeded: { count: this.searches.unseeded.count, averageIterations: unseededAverage }
+      },
+      // 전체 범위 탐색 평균 대비 절약한 인코딩 횟수 (두 종류의 탐색이 모두 있어야 계산)
+      savedIterations: seededAverage !== null && unseededAverage !== null
+        ? Math.round((unseededAverage - seededAverage) * this.searches.seeded.count)
+        : null,
       entries: Array.from(this.cache.entries()).map(([key, value]) => ({
         key,
         averageQuality: Math.round(value.totalQuality / value.count),
@@ -1,26 +1,140 @@
 const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegStatic = require('ffmpeg-static');
 const fs = require('fs-extra');
 const path = require('path');
+const { compressVideo } = require('./videoCompression');
+const { createSsimReference, measureImageSsim } = require('./qualityMetrics');
+const compressionCache = require('./compressionCache');
+const storage = require('./storage');
+
+// ffmpeg 경로 설정
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+// 지원하는 출력 형식 (keep: 원본 형식 유지, mp4: 애니메이션 GIF 전용)
+const OUTPUT_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'mp4', 'keep'];
+
+// 크기 조정 API 출력 형식 (MP4 변환 제외)
+const RESIZE_OUTPUT_FORMATS = OUTPUT_FORMATS.filter(format => format !== 'mp4');
+
+// 모든 프레임을 유지하는 애니메이션 형식
+const ANIMATED_FORMATS = ['gif', 'webp'];
+
+// 크기 조정 맞춤 방식, 자르기 기준 위치, 스마트 자르기 전략
+const RESIZE_FITS = ['cover', 'contain', 'inside', 'fill'];
+const RESIZE_POSITIONS = [
+  'center', 'centre', 'north', 'northeast', 'east', 'southeast',
+  'south', 'southwest', 'west', 'northwest'
+];
+const SMART_CROP_STRATEGIES = ['attention', 'entropy'];
+
+// 품질 탐색 범위
+const MIN_QUALITY = 10;
+const MAX_QUALITY = 100;
+const SEED_WINDOW = 8; // 학습된 품질로 시작할 때 먼저 탐색하는 범위 (±)
+
+// 최저 품질로도 목표 용량을 넘을 때 차례로 시도하는 축소 배율
+const SCALE_STEPS = [1, 0.85, 0.7, 0.55, 0.4, 0.3, 0.2, 0.1];
+const MIN_DIMENSION = 16; // 축소 시 최소 변 길이 (px)
+
+// 메타데이터 처리 방식
+const ICC_MODES = ['keep', 'srgb', 'strip'];
+const EXIF_MODES = ['keep', 'strip'];
+const DEFAULT_METADATA_OPTIONS = { autoOrient: true, icc: 'srgb', exif: 'strip' };
+
+// EXIF 화이트리스트로 지정할 수 있는 항목 그룹 (IFD별 태그 이름)
+// IFD0: 기본 이미지 정보, IFD2: Exif 세부 정보, IFD3: GPS 정보
+const EXIF_FIELD_GROUPS = {
+  copyright: { IFD0: ['Copyright', 'Artist'] },
+  camera: { IFD0: ['Make', 'Model'], IFD2: ['LensMake', 'LensModel'] },
+  datetime: { IFD0: ['DateTime'], IFD2: ['DateTimeOriginal', 'DateTimeDigitized'] },
+  description: { IFD0: ['ImageDescription'] },
+  gps: { IFD3: ['GPSLatitudeRef', 'GPSLatitude', 'GPSLongitudeRef', 'GPSLongitude', 'GPSAltitude'] }
+};
+
+// exif-reader 결과의 섹션 이름과 sharp withExif의 IFD 이름 대응
+const EXIF_SECTIONS = { IFD0: 'Image', IFD2: 'Photo', IFD3: 'GPSInfo' };
+
+// 애니메이션 GIF 색상 수 탐색 범위
+const MIN_COLOURS = 4;
+const MAX_COLOURS = 256;
+
+// 색상/품질만으로 목표 용량을 넘을 때 차례로 시도하는 프레임 속도 (fps)
+const FPS_STEPS = [15, 12, 10, 8, 5];
+
+// 형식별 출력 확장자 (sharp metadata의 format 기준)
+const FORMAT_EXTENSIONS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp',
+  avif: 'avif',
+  gif: 'gif'
+};
 
 /**
  * 이미지를 목표 용량 이하로 압축
+ * - 품질만으로 목표에 도달할 수 없으면 해상도를 단계적으로 줄여가며 탐색
+ * - 끝내 도달할 수 없으면 가장 작은 결과와 함께 targetNotReached: true 반환
+ * - 애니메이션 GIF/WebP는 모든 프레임을 유지하며 압축 (compressAnimatedImage)
+ * - targetQuality를 지정하면 용량 대신 원본 대비 SSIM이 목표 이상인 가장 낮은 품질을 탐색
  * @param {string} inputPath - 입력 이미지 경로
- * @param {number} targetSizeKB - 목표 용량 (KB)
+ * @param {number|null} targetSizeKB - 목표 용량 (KB, targetQuality 사용 시 무시)
+ * @param {Object} [options] - 압축 및 작업 옵션
+ * @param {string} [options.outputFormat] - 출력 형식 (jpeg, png, webp, avif, mp4, keep - 기본값 keep)
+ * @param {number} [options.maxWidth] - 최대 너비 (px, 비율 유지)
+ * @param {number} [options.maxHeight] - 최대 높이 (px, 비율 유지)
+ * @param {Object} [options.metadata] - 메타데이터 처리 (정지 이미지에만 적용)
+ * @param {boolean} [options.metadata.autoOrient] - EXIF 방향대로 회전 (기본값 true)
+ * @param {string} [options.metadata.icc] - ICC 프로파일 (keep, srgb, strip - 기본값 srgb)
+ * @param {string|string[]} [options.metadata.exif] - EXIF/XMP (keep, strip 또는 EXIF_FIELD_GROUPS 이름 목록 - 기본값 strip)
+ * @param {number} [options.targetQuality] - 목표 SSIM (0~1, 정지 이미지 전용)
+ * @param {Function} [options.onIteration] - 탐색 단계마다 호출 ({ iteration, quality, scale, size, ssim })
+ * @param {Function} [options.onProgress] - 진행률 콜백 ({ partNumber, totalParts, percent })
+ * @param {Function} [options.onCommand] - ffmpeg 명령 시작 시 호출 (애니메이션 처리 작업 취소용)
  * @returns {Promise<Object>} 압축 결과
  */
-async function compressImage(inputPath, targetSizeKB) {
+async function compressImage(inputPath, targetSizeKB, options = {}) {
   const startTime = Date.now(); // 처리 시간 측정 시작
+  const candidatePaths = []; // 탐색 중 만든 후보 파일 (최종 결과 외에는 삭제)
   
   try {
-    const outputDir = path.join(__dirname, '..', 'output');
+    const outputDir = storage.outputDir;
     await fs.ensureDir(outputDir);
     
     // 원본 파일 정보
     const originalStats = await fs.stat(inputPath);
     const originalSizeKB = (originalStats.size / 1024).toFixed(2);
     
-    // 이미 목표 용량 이하인 경우
-    if (parseFloat(originalSizeKB) <= targetSizeKB) {
+    // 이미지 메타데이터 가져오기
+    const metadata = await sharp(inputPath).metadata();
+    const metadataOptions = { ...DEFAULT_METADATA_OPTIONS, ...options.metadata };
+    
+    // 자동 회전 시 90도 회전 방향(5~8)이면 가로/세로가 바뀜
+    const swapped = metadataOptions.autoOrient && metadata.orientation >= 5;
+    const width = swapped ? metadata.height : metadata.width;
+    const height = swapped ? metadata.width : metadata.height;
+    const outputFormat = resolveOutputFormat(options.outputFormat, metadata.format);
+    const baseFileName = path.basename(inputPath, path.extname(inputPath));
+    const isAnimated = metadata.pages > 1 && ANIMATED_FORMATS.includes(metadata.format);
+    const qualityMode = options.targetQuality !== undefined && options.targetQuality !== null;
+    
+    if (outputFormat === 'mp4' && !(isAnimated && metadata.format === 'gif')) {
+      throw new Error('MP4 변환은 애니메이션 GIF에서만 지원됩니다.');
+    }
+    if (qualityMode && isAnimated && (outputFormat === 'mp4' || ANIMATED_FORMATS.includes(outputFormat))) {
+      throw new Error('목표 품질(targetQuality) 모드는 정지 이미지 출력에서만 지원됩니다.');
+    }
+    
+    // 최대 크기 제한 적용 (비율 유지, 확대하지 않음)
+    const bounded = fitWithin(width, height, options.maxWidth, options.maxHeight);
+    const needsResize = bounded.width < width || bounded.height < height;
+    
+    // 원본 메타데이터를 그대로 유지해도 되는지 (정지 이미지는 EXIF와 ICC를 모두 keep으로 요청한 경우만)
+    const keepsOriginalMetadata = isAnimated || (metadataOptions.exif === 'keep' && metadataOptions.icc === 'keep');
+    
+    // 이미 목표 용량 이하이고 형식 변환, 크기 조정, 메타데이터 변경이 필요 없는 경우
+    if (!qualityMode && parseFloat(originalSizeKB) <= targetSizeKB && outputFormat === metadata.format && !needsResize && keepsOriginalMetadata) {
       const outputPath = path.join(outputDir, `compressed_${Date.now()}_${path.basename(inputPath)}`);
       await fs.copy(inputPath, outputPath);
       
@@ -30,111 +144,756 @@ async function compressImage(inputPath, targetSizeKB) {
         originalSize: parseFloat(originalSizeKB),
         compressedSize: parseFloat(originalSizeKB),
         compressionRatio: 0,
-        outputPath: `/output/${path.basename(outputPath)}`,
+        format: outputFormat,
+        originalFormat: metadata.format,
+        outputPath: await storage.publish(outputPath),
         action: 'copied',
+        targetNotReached: false,
         processingTime: `${(Date.now() - startTime) / 1000} 초`
       };
     }
     
-    // 이미지 메타데이터 가져오기
-    const metadata = await sharp(inputPath).metadata();
-    const { width, height, format } = metadata;
+    // 애니메이션 출력 (JPEG/PNG/AVIF로 요청하면 첫 프레임만 정지 이미지로 압축)
+    if (isAnimated && (outputFormat === 'mp4' || ANIMATED_FORMATS.includes(outputFormat))) {
+      return await compressAnimatedImage(inputPath, targetSizeKB, {
+        metadata,
+        outputFormat,
+        bounded,
+        originalSizeKB: parseFloat(originalSizeKB),
+        startTime,
+        candidatePaths
+      }, options);
+    }
     
-    // 압축 품질 설정 (초기값)
-    let quality = 80;
-    let outputPath;
-    let compressedSizeKB;
+    // EXIF 화이트리스트는 원본에서 한 번만 읽어 둠
+    const selectedExif = Array.isArray(metadataOptions.exif) ? selectExifFields(metadata.exif, metadataOptions.exif) : null;
     
-    // 이진 탐색으로 최적 품질 찾기
-    let minQuality = 10;
-    let maxQuality = 100;
-    let bestQuality = quality;
+    // 목표 품질 모드는 자동 회전과 최대 크기를 적용한 원본을 SSIM 비교 기준으로 사용
+    const ssimReference = qualityMode
+      ? await createSsimReference(inputPath, bounded, { autoOrient: metadataOptions.autoOrient })
+      : null;
     
-    while (minQuality <= maxQuality) {
-      quality = Math.floor((minQuality + maxQuality) / 2);
-      
-      outputPath = path.join(outputDir, `compressed_${Date.now()}_${path.basename(inputPath)}`);
+    // 진행률 계산용 배율당 예상 탐색 횟수 (최저 품질 확인 1회 + 이진 탐색)
+    const expectedIterations = 1 + Math.ceil(Math.log2(MAX_QUALITY - MIN_QUALITY + 1));
+    let iteration = 0;
+    
+    // 주어진 배율과 품질로 후보 이미지 인코딩
+    const encodeCandidate = async (scale, quality) => {
+      iteration++;
+      const dimensions = scaleDimensions(bounded, scale);
+      // 같은 밀리초에 인코딩한 후보끼리 덮어쓰지 않도록 탐색 횟수를 이름에 포함
+      const candidatePath = path.join(outputDir, `compressed_${Date.now()}_${iteration}_${baseFileName}.${FORMAT_EXTENSIONS[outputFormat]}`);
+      candidatePaths.push(candidatePath);
       
-      // 이미지 압축
-      await sharp(inputPath)
-        .jpeg({ quality: quality })
-        .png({ quality: quality })
-        .webp({ quality: quality })
-        .toFile(outputPath);
+      let pipeline = applyMetadataOptions(sharp(inputPath), metadataOptions, selectedExif);
+      if (dimensions.width !== width || dimensions.height !== height) {
+        pipeline = pipeline.resize(dimensions.width, dimensions.height, { fit: 'fill' });
+      }
+      await applyEncoder(pipeline, outputFormat, quality).toFile(candidatePath);
       
       // 압축된 파일 크기 확인
-      const compressedStats = await fs.stat(outputPath);
-      compressedSizeKB = (compressedStats.size / 1024).toFixed(2);
+      const candidateStats = await fs.stat(candidatePath);
+      const sizeKB = parseFloat((candidateStats.size / 1024).toFixed(2));
+      const ssim = ssimReference ? parseFloat((await measureImageSsim(ssimReference, candidatePath)).toFixed(4)) : undefined;
+      
+      if (options.onIteration) {
+        options.onIteration(qualityMode
+          ? { iteration, quality, scale, size: sizeKB, ssim, targetQuality: options.targetQuality }
+          : { iteration, quality, scale, size: sizeKB, targetSize: targetSizeKB });
+      }
+      if (options.onProgress) {
+        options.onProgress({ percent: Math.min(95, (iteration / expectedIterations) * 100) });
+      }
+      
+      return { quality, scale, ...dimensions, sizeKB, ssim, outputPath: candidatePath };
+    };
+    
+    // 목표 품질 모드: 원래 크기에서 이진 탐색으로 SSIM이 목표 이상인 가장 낮은 품질(가장 작은 결과)을 찾음
+    if (qualityMode) {
+      let best = null;
+      let highest = null;
+      let minQuality = MIN_QUALITY;
+      let maxQuality = MAX_QUALITY;
+      
+      while (minQuality <= maxQuality) {
+        const quality = Math.floor((minQuality + maxQuality) / 2);
+        const candidate = await encodeCandidate(1, quality);
+        
+        if (candidate.ssim >= options.targetQuality) {
+          best = candidate;
+          maxQuality = quality - 1;
+        } else {
+          if (!highest || candidate.quality > highest.quality) {
+            highest = candidate;
+          }
+          minQuality = quality + 1;
+        }
+      }
+      
+      // 최고 품질로도 목표 SSIM에 도달하지 못한 경우 가장 높은 품질의 결과를 반환
+      const targetNotReached = best === null;
+      const result = best || highest;
+      await removeCandidates(candidatePaths, result.outputPath);
+      
+      const compressionRatio = (((parseFloat(originalSizeKB) - result.sizeKB) / parseFloat(originalSizeKB)) * 100).toFixed(1);
+      const keptMetadata = await describeMetadata(path.join(outputDir, path.basename(result.outputPath)), metadataOptions, metadataOptions.autoOrient && metadata.orientation > 1);
+      
+      return {
+        success: true,
+        message: targetNotReached
+          ? `최고 품질(${MAX_QUALITY})로도 목표 SSIM(${options.targetQuality})에 도달하지 못했습니다.`
+          : `이미지가 목표 품질로 압축되었습니다.`,
+        originalSize: parseFloat(originalSizeKB),
+        compressedSize: result.sizeKB,
+        compressionRatio: parseFloat(compressionRatio),
+        quality: result.quality,
+        ssim: result.ssim,
+        targetQuality: options.targetQuality,
+        scale: result.scale,
+        dimensions: `${result.width}x${result.height}`,
+        originalDimensions: `${width}x${height}`,
+        format: outputFormat,
+        originalFormat: metadata.format,
+        metadata: keptMetadata,
+        outputPath: await storage.publish(result.outputPath),
+        action: result.width !== width || result.height !== height ? 'compressed_and_resized' : 'compressed',
+        targetNotReached,
+        processingTime: `${(Date.now() - startTime) / 1000} 초`
+      };
+    }
+    
+    let best = null;
+    let smallest = null;
+    
+    // 주어진 배율의 품질 범위를 이진 탐색하여 목표 용량 이하인 가장 높은 품질의 결과를 찾음
+    const searchQuality = async (scale, minQuality, maxQuality, found) => {
+      while (minQuality <= maxQuality) {
+        const quality = Math.floor((minQuality + maxQuality) / 2);
+        const candidate = await encodeCandidate(scale, quality);
+        if (!smallest || candidate.sizeKB < smallest.sizeKB) {
+          smallest = candidate;
+        }
+        
+        if (candidate.sizeKB <= targetSizeKB) {
+          found = candidate;
+          minQuality = quality + 1;
+        } else {
+          maxQuality = quality - 1;
+        }
+      }
+      return found;
+    };
+    
+    // 같은 형식/원본 용량/목표 비율에서 학습된 품질이 있으면 원래 크기에서 그 주변 범위부터 탐색하고,
+    // 범위 끝까지 결과가 한쪽으로 치우치면 남은 범위로 넓혀 탐색
+    const cacheFormat = `${metadata.format}_${outputFormat}`;
+    const learnedQuality = compressionCache.get(cacheFormat, parseFloat(originalSizeKB), targetSizeKB);
+    
+    if (learnedQuality !== null) {
+      const guess = Math.min(MAX_QUALITY, Math.max(MIN_QUALITY, learnedQuality));
+      const guessCandidate = await encodeCandidate(1, guess);
+      smallest = guessCandidate;
       
-      if (parseFloat(compressedSizeKB) <= targetSizeKB) {
-        bestQuality = quality;
-        minQuality = quality + 1;
+      if (guessCandidate.sizeKB <= targetSizeKB) {
+        const upper = Math.min(MAX_QUALITY, guess + SEED_WINDOW);
+        best = await searchQuality(1, guess + 1, upper, guessCandidate);
+        if (best.quality === upper && upper < MAX_QUALITY) {
+          best = await searchQuality(1, upper + 1, MAX_QUALITY, best);
+        }
       } else {
-        maxQuality = quality - 1;
+        const lower = Math.max(MIN_QUALITY, guess - SEED_WINDOW);
+        best = await searchQuality(1, lower, guess - 1, null);
+        if (!best && lower > MIN_QUALITY) {
+          best = await searchQuality(1, MIN_QUALITY, lower - 1, null);
+        }
       }
     }
     
-    // 최종 압축
-    outputPath = path.join(outputDir, `compressed_${Date.now()}_${path.basename(inputPath)}`);
-    await sharp(inputPath)
-      .jpeg({ quality: bestQuality })
-      .png({ quality: bestQuality })
-      .webp({ quality: bestQuality })
-      .toFile(outputPath);
+    // 품질 x 배율 탐색: 큰 배율부터 최저 품질로 목표 달성 가능 여부를 확인하고,
+    // 가능한 첫 배율에서 이진 탐색으로 가장 높은 품질을 찾음
+    // (학습된 품질로 원래 크기를 이미 탐색했다면 축소 배율부터)
+    const remainingScales = best ? [] : SCALE_STEPS.slice(learnedQuality === null ? 0 : 1);
     
-    const finalStats = await fs.stat(outputPath);
-    const finalSizeKB = (finalStats.size / 1024).toFixed(2);
+    for (const scale of remainingScales) {
+      const dimensions = scaleDimensions(bounded, scale);
+      if (scale < 1 && Math.min(dimensions.width, dimensions.height) < MIN_DIMENSION) {
+        break;
+      }
+      
+      const floorCandidate = await encodeCandidate(scale, MIN_QUALITY);
+      smallest = floorCandidate;
+      if (floorCandidate.sizeKB > targetSizeKB) {
+        continue;
+      }
+      
+      best = await searchQuality(scale, MIN_QUALITY + 1, MAX_QUALITY, floorCandidate);
+      break;
+    }
+    
+    // 원래 크기에서 찾은 품질은 다음 탐색의 시작값으로 학습
+    if (best && best.scale === 1) {
+      compressionCache.set(cacheFormat, parseFloat(originalSizeKB), targetSizeKB, best.quality);
+      compressionCache.recordSearch(learnedQuality !== null, iteration);
+    }
     
-    const compressionRatio = (((parseFloat(originalSizeKB) - parseFloat(finalSizeKB)) / parseFloat(originalSizeKB)) * 100).toFixed(1);
+    // 최소 크기/최저 품질로도 목표에 도달하지 못한 경우 가장 작은 결과를 반환
+    const targetNotReached = best === null;
+    const result = best || smallest;
+    await removeCandidates(candidatePaths, result.outputPath);
+    
+    const compressionRatio = (((parseFloat(originalSizeKB) - result.sizeKB) / parseFloat(originalSizeKB)) * 100).toFixed(1);
+    const keptMetadata = await describeMetadata(path.join(outputDir, path.basename(result.outputPath)), metadataOptions, metadataOptions.autoOrient && metadata.orientation > 1);
     
     return {
       success: true,
-      message: `이미지가 성공적으로 압축되었습니다.`,
+      message: targetNotReached
+        ? `최저 품질(${MIN_QUALITY})과 최소 크기로도 목표 용량(${targetSizeKB}KB)에 도달하지 못했습니다.`
+        : `이미지가 성공적으로 압축되었습니다.`,
       originalSize: parseFloat(originalSizeKB),
-      compressedSize: parseFloat(finalSizeKB),
+      compressedSize: result.sizeKB,
       compressionRatio: parseFloat(compressionRatio),
-      quality: bestQuality,
-      dimensions: `${width}x${height}`,
-      format: format,
-      outputPath: `/output/${path.basename(outputPath)}`,
-      action: 'compressed',
+      quality: result.quality,
+      scale: result.scale,
+      iterations: iteration,
+      dimensions: `${result.width}x${result.height}`,
+      originalDimensions: `${width}x${height}`,
+      format: outputFormat,
+      originalFormat: metadata.format,
+      metadata: keptMetadata,
+      outputPath: await storage.publish(result.outputPath),
+      action: result.width !== width || result.height !== height ? 'compressed_and_resized' : 'compressed',
+      targetNotReached,
       processingTime: `${(Date.now() - startTime) / 1000} 초`
     };
     
   } catch (error) {
     console.error('이미지 압축 오류:', error);
+    await removeCandidates(candidatePaths);
     throw new Error(`이미지 압축 실패: ${error.message}`);
   }
 }
 
 /**
- * 이미지 리사이즈
+ * 애니메이션 GIF/WebP를 모든 프레임을 유지한 채 목표 용량 이하로 압축
+ * - 색상 수(GIF) 또는 품질(WebP) → 프레임 속도 → 해상도 순으로 줄여가며 탐색
+ * - GIF 원본은 ffmpeg(palettegen/libwebp_anim)로, WebP 원본은 sharp로 인코딩
+ *   (sharp로는 프레임을 솎아낼 수 없으므로 WebP 원본은 원래 프레임 속도 유지)
+ * - MP4 출력은 videoCompression의 2-pass 인코딩으로 변환
  * @param {string} inputPath - 입력 이미지 경로
- * @param {number} maxWidth - 최대 너비
- * @param {number} maxHeight - 최대 높이
- * @returns {Promise<Object>} 리사이즈 결과
+ * @param {number} targetSizeKB - 목표 용량 (KB)
+ * @param {Object} source - compressImage에서 읽은 원본 정보
+ * @param {Object} source.metadata - sharp 메타데이터 (pages, delay, loop 포함)
+ * @param {string} source.outputFormat - 출력 형식 (gif, webp, mp4)
+ * @param {Object} source.bounded - 최대 크기 제한을 적용한 기준 크기 { width, height }
+ * @param {number} source.originalSizeKB - 원본 용량 (KB)
+ * @param {number} source.startTime - 처리 시작 시각
+ * @param {Array<string>} source.candidatePaths - 후보 파일 경로 목록 (탐색 중 추가, 최종 결과 외에는 삭제)
+ * @param {Object} options - compressImage 옵션 (onIteration, onProgress, onCommand)
+ * @returns {Promise<Object>} 압축 결과
  */
-async function resizeImage(inputPath, maxWidth, maxHeight) {
-  const startTime = Date.now(); // 처리 시간 측정 시작
-  const outputDir = path.join(__dirname, '..', 'output');
-  await fs.ensureDir(outputDir);
+async function compressAnimatedImage(inputPath, targetSizeKB, source, options) {
+  const { metadata, outputFormat, bounded, originalSizeKB, startTime, candidatePaths } = source;
+  
+  if (outputFormat === 'mp4') {
+    const result = await compressVideo(inputPath, targetSizeKB, { ...options, forceEncode: true });
+    return {
+      ...result,
+      message: '애니메이션 GIF가 MP4로 변환되었습니다.',
+      format: 'mp4',
+      originalFormat: metadata.format,
+      animated: true,
+      action: 'converted',
+      processingTime: `${(Date.now() - startTime) / 1000} 초`
+    };
+  }
+  
+  const outputDir = storage.outputDir;
+  const baseFileName = path.basename(inputPath, path.extname(inputPath));
+  const useFfmpeg = metadata.format === 'gif';
+  const levelName = outputFormat === 'gif' ? 'colours' : 'quality';
+  const minLevel = outputFormat === 'gif' ? MIN_COLOURS : MIN_QUALITY;
+  const maxLevel = outputFormat === 'gif' ? MAX_COLOURS : MAX_QUALITY;
   
-  const outputPath = path.join(outputDir, `resized_${Date.now()}_${path.basename(inputPath)}`);
+  // 프레임 지연 시간으로 원본 프레임 속도 계산 (브라우저처럼 10ms 이하는 100ms로 간주)
+  const delays = (metadata.delay || []).map(delay => (delay > 10 ? delay : 100));
+  const totalDelay = delays.reduce((sum, delay) => sum + delay, 0);
+  const originalFps = totalDelay > 0 ? parseFloat((metadata.pages / (totalDelay / 1000)).toFixed(2)) : null;
+  const fpsSteps = [null, ...(useFfmpeg && originalFps ? FPS_STEPS.filter(fps => fps < originalFps) : [])];
   
-  await sharp(inputPath)
-    .resize(maxWidth, maxHeight, {
-      fit: 'inside',
-      withoutEnlargement: true
-    })
-    .toFile(outputPath);
+  const expectedIterations = 1 + Math.ceil(Math.log2(maxLevel - minLevel + 1));
+  let iteration = 0;
+  
+  // 주어진 배율, 프레임 속도, 색상 수/품질로 후보 애니메이션 인코딩
+  const encodeCandidate = async (scale, fps, level) => {
+    iteration++;
+    const dimensions = scaleDimensions(bounded, scale);
+    // 같은 밀리초에 인코딩한 후보끼리 덮어쓰지 않도록 탐색 횟수를 이름에 포함
+    const candidatePath = path.join(outputDir, `compressed_${Date.now()}_${iteration}_${baseFileName}.${FORMAT_EXTENSIONS[outputFormat]}`);
+    candidatePaths.push(candidatePath);
+    const resize = dimensions.width !== metadata.width || dimensions.height !== metadata.height;
+    
+    if (useFfmpeg) {
+      await encodeAnimationWithFfmpeg(inputPath, candidatePath, {
+        format: outputFormat,
+        width: resize ? dimensions.width : null,
+        height: resize ? dimensions.height : null,
+        fps,
+        level,
+        loop: metadata.loop || 0
+      }, options);
+    } else {
+      let pipeline = sharp(inputPath, { animated: true });
+      if (resize) {
+        pipeline = pipeline.resize(dimensions.width, dimensions.height, { fit: 'fill' });
+      }
+      pipeline = outputFormat === 'gif'
+        ? pipeline.gif({ colours: level, effort: 10 })
+        : pipeline.webp({ quality: level, effort: 4 });
+      await pipeline.toFile(candidatePath);
+    }
+    
+    const candidateStats = await fs.stat(candidatePath);
+    const sizeKB = parseFloat((candidateStats.size / 1024).toFixed(2));
+    
+    if (options.onIteration) {
+      options.onIteration({ iteration, [levelName]: level, fps: fps || originalFps, scale, size: sizeKB, targetSize: targetSizeKB });
+    }
+    if (options.onProgress) {
+      options.onProgress({ percent: Math.min(95, (iteration / expectedIterations) * 100) });
+    }
+    
+    return { level, scale, fps: fps || originalFps, ...dimensions, sizeKB, outputPath: candidatePath };
+  };
+  
+  let best = null;
+  let smallest = null;
+  
+  for (const scale of SCALE_STEPS) {
+    const dimensions = scaleDimensions(bounded, scale);
+    if (scale < 1 && Math.min(dimensions.width, dimensions.height) < MIN_DIMENSION) {
+      break;
+    }
+    
+    for (const fps of fpsSteps) {
+      const floorCandidate = await encodeCandidate(scale, fps, minLevel);
+      smallest = floorCandidate;
+      if (floorCandidate.sizeKB > targetSizeKB) {
+        continue;
+      }
+      
+      best = floorCandidate;
+      let low = minLevel + 1;
+      let high = maxLevel;
+      
+      while (low <= high) {
+        const level = Math.floor((low + high) / 2);
+        const candidate = await encodeCandidate(scale, fps, level);
+        
+        if (candidate.sizeKB <= targetSizeKB) {
+          best = candidate;
+          low = level + 1;
+        } else {
+          high = level - 1;
+        }
+      }
+      break;
+    }
+    
+    if (best) {
+      break;
+    }
+  }
+  
+  const targetNotReached = best === null;
+  const result = best || smallest;
+  await removeCandidates(candidatePaths, result.outputPath);
+  const outputMetadata = await sharp(result.outputPath, { animated: true }).metadata();
+  const compressionRatio = (((originalSizeKB - result.sizeKB) / originalSizeKB) * 100).toFixed(1);
+  const resized = result.width !== metadata.width || result.height !== metadata.height;
   
   return {
-    outputPath: outputPath,
+    success: true,
+    message: targetNotReached
+      ? `최소 ${levelName === 'colours' ? '색상 수' : '품질'}, 프레임 속도, 크기로도 목표 용량(${targetSizeKB}KB)에 도달하지 못했습니다.`
+      : `애니메이션 이미지가 성공적으로 압축되었습니다.`,
+    originalSize: originalSizeKB,
+    compressedSize: result.sizeKB,
+    compressionRatio: parseFloat(compressionRatio),
+    [levelName]: result.level,
+    fps: result.fps,
+    originalFps,
+    frames: outputMetadata.pages || 1,
+    originalFrames: metadata.pages,
+    scale: result.scale,
+    dimensions: `${result.width}x${result.height}`,
+    originalDimensions: `${metadata.width}x${metadata.height}`,
+    format: outputFormat,
+    originalFormat: metadata.format,
+    animated: true,
+    outputPath: await storage.publish(result.outputPath),
+    action: resized ? 'compressed_and_resized' : 'compressed',
+    targetNotReached,
     processingTime: `${(Date.now() - startTime) / 1000} 초`
   };
 }
 
+/**
+ * ffmpeg로 애니메이션 GIF를 GIF 또는 애니메이션 WebP로 인코딩
+ * @param {string} inputPath - 입력 GIF 경로
+ * @param {string} outputPath - 출력 경로
+ * @param {Object} settings - 인코딩 설정
+ * @param {string} settings.format - 출력 형식 (gif, webp)
+ * @param {number|null} settings.width - 출력 너비 (null이면 원본 유지)
+ * @param {number|null} settings.height - 출력 높이 (null이면 원본 유지)
+ * @param {number|null} settings.fps - 프레임 속도 (null이면 원본 프레임 타이밍 유지)
+ * @param {number} settings.level - 색상 수(GIF) 또는 품질(WebP)
+ * @param {number} settings.loop - 반복 횟수 (0: 무한)
+ * @param {Object} options - 작업 옵션 (onCommand)
+ * @returns {Promise<void>}
+ */
+function encodeAnimationWithFfmpeg(inputPath, outputPath, settings, options) {
+  const { format, width, height, fps, level, loop } = settings;
+  const filters = [];
+  if (fps) filters.push(`fps=${fps}`);
+  if (width && height) filters.push(`scale=${width}:${height}:flags=lanczos`);
+  
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    
+    if (format === 'gif') {
+      // 프레임 전체에서 색상 팔레트를 만든 뒤 변경된 영역만 다시 그림
+      const prefix = filters.length > 0 ? `${filters.join(',')},` : '';
+      command
+        .complexFilter(`[0:v]${prefix}split[a][b];[a]palettegen=max_colors=${level}:stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle`)
+        .outputOptions([`-loop ${loop}`]);
+    } else {
+      if (filters.length > 0) {
+        command.videoFilters(filters);
+      }
+      command.outputOptions([
+        '-c:v libwebp_anim',
+        '-lossless 0',
+        `-quality ${level}`,
+        '-compression_level 6',
+        `-loop ${loop}`
+      ]);
+    }
+    
+    command
+      .output(outputPath)
+      .on('start', (cmd) => {
+        console.log('FFmpeg 명령어 실행 (애니메이션):', cmd);
+        if (options.onCommand) options.onCommand(command);
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => {
+        console.error('애니메이션 인코딩 오류:', err);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * 메타데이터 처리 옵션을 sharp 파이프라인에 적용
+ * - autoOrient: EXIF 방향대로 회전하고 방향 태그 제거
+ * - exif keep: EXIF/XMP/IPTC 유지, 화이트리스트: 선택한 EXIF 항목만 기록 (XMP 제거)
+ * - icc keep: 원본 프로파일 유지, srgb: sRGB로 변환 후 sRGB 프로파일 포함, strip: sRGB로 변환 후 프로파일 제거
+ * @param {Object} pipeline - sharp 인스턴스
+ * @param {Object} settings - 메타데이터 처리 옵션 { autoOrient, icc, exif }
+ * @param {Object|null} selectedExif - 화이트리스트로 고른 EXIF 항목 (withExif 형식)
+ * @returns {Object} 메타데이터 옵션이 적용된 sharp 인스턴스
+ */
+function applyMetadataOptions(pipeline, settings, selectedExif) {
+  if (settings.autoOrient) {
+    pipeline.rotate();
+  }
+  
+  if (settings.exif === 'keep') {
+    pipeline.keepMetadata();
+  } else if (selectedExif) {
+    pipeline.withExif(selectedExif);
+  }
+  
+  if (settings.icc === 'keep') {
+    pipeline.keepIccProfile();
+  } else if (settings.icc === 'srgb') {
+    pipeline.withIccProfile('srgb');
+  } else if (settings.exif === 'keep') {
+    // keepMetadata가 ICC 유지도 켜므로 변환만 하고 프로파일은 붙이지 않음
+    pipeline.withIccProfile('srgb', { attach: false });
+  }
+  
+  return pipeline;
+}
+
+/**
+ * 원본 EXIF에서 화이트리스트 그룹에 해당하는 항목만 골라 withExif 형식으로 변환
+ * @param {Buffer} [exifBuffer] - sharp 메타데이터의 원본 EXIF 데이터
+ * @param {string[]} groups - EXIF_FIELD_GROUPS 이름 목록
+ * @returns {Object|null} { IFD0: { Copyright: '...' }, ... } 또는 null (남길 항목이 없는 경우)
+ */
+function selectExifFields(exifBuffer, groups) {
+  if (!exifBuffer) {
+    return null;
+  }
+  
+  let parsed;
+  try {
+    parsed = exifReader(exifBuffer);
+  } catch (error) {
+    console.error('EXIF 읽기 오류:', error.message);
+    return null;
+  }
+  
+  const selected = {};
+  for (const group of groups) {
+    for (const [ifd, tags] of Object.entries(EXIF_FIELD_GROUPS[group])) {
+      const section = parsed[EXIF_SECTIONS[ifd]] || {};
+      for (const tag of tags) {
+        if (section[tag] === undefined || section[tag] === null) {
+          continue;
+        }
+        selected[ifd] = selected[ifd] || {};
+        selected[ifd][tag] = formatExifValue(section[tag]);
+      }
+    }
+  }
+  
+  return Object.keys(selected).length > 0 ? selected : null;
+}
+
+/**
+ * exif-reader가 해석한 값을 libvips EXIF 문자열 형식으로 변환
+ * - 날짜: YYYY:MM:DD HH:MM:SS
+ * - 숫자(유리수): 분자/분모, 배열은 공백으로 구분
+ * @param {*} value - EXIF 값
+ * @returns {string} 문자열 값
+ */
+function formatExifValue(value) {
+  if (value instanceof Date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getUTCFullYear()}:${pad(value.getUTCMonth() + 1)}:${pad(value.getUTCDate())} ` +
+      `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatExifValue).join(' ');
+  }
+  if (typeof value === 'number') {
+    return `${Math.round(value * 10000)}/10000`;
+  }
+  return String(value).replace(/\0+$/, '');
+}
+
+/**
+ * 출력 파일에 실제로 남은 메타데이터 요약
+ * @param {string} filePath - 출력 파일 경로
+ * @param {Object} settings - 메타데이터 처리 옵션 { autoOrient, icc, exif }
+ * @param {boolean} rotated - 자동 회전이 적용되었는지 여부
+ * @returns {Promise<Object>} { autoOriented, icc, exif, xmp }
+ */
+async function describeMetadata(filePath, settings, rotated) {
+  const output = await sharp(filePath).metadata();
+  let exifFields = [];
+  
+  if (output.exif) {
+    try {
+      const parsed = exifReader(output.exif);
+      exifFields = Object.values(EXIF_SECTIONS)
+        .flatMap(section => Object.keys(parsed[section] || {}))
+        .filter(tag => !['ExifTag', 'GPSTag'].includes(tag));
+    } catch (error) {
+      console.error('EXIF 읽기 오류:', error.message);
+    }
+  }
+  
+  return {
+    autoOriented: Boolean(rotated),
+    icc: output.icc ? (settings.icc === 'keep' ? 'original' : 'srgb') : null,
+    exif: exifFields,
+    xmp: Boolean(output.xmp)
+  };
+}
+
+/**
+ * 품질 탐색 중 만든 후보 파일 삭제
+ * @param {Array<string>} candidatePaths - 후보 파일 경로 목록
+ * @param {string} [keepPath] - 삭제하지 않을 최종 결과 파일 경로
+ */
+async function removeCandidates(candidatePaths, keepPath) {
+  const removable = [...new Set(candidatePaths)].filter(candidatePath => candidatePath !== keepPath);
+  await Promise.all(removable.map(candidatePath => fs.remove(candidatePath)));
+}
+
+/**
+ * 최대 너비/높이 안에 들어가도록 비율을 유지하며 크기 계산 (확대하지 않음)
+ * @param {number} width - 원본 너비
+ * @param {number} height - 원본 높이
+ * @param {number} [maxWidth] - 최대 너비
+ * @param {number} [maxHeight] - 최대 높이
+ * @returns {Object} { width, height }
+ */
+function fitWithin(width, height, maxWidth, maxHeight) {
+  const ratio = Math.min(
+    1,
+    maxWidth ? maxWidth / width : 1,
+    maxHeight ? maxHeight / height : 1
+  );
+  return {
+    width: Math.max(1, Math.round(width * ratio)),
+    height: Math.max(1, Math.round(height * ratio))
+  };
+}
+
+/**
+ * 배율을 적용한 크기 계산
+ * @param {Object} dimensions - 기준 크기 { width, height }
+ * @param {number} scale - 배율 (0~1)
+ * @returns {Object} { width, height }
+ */
+function scaleDimensions(dimensions, scale) {
+  return {
+    width: Math.max(1, Math.round(dimensions.width * scale)),
+    height: Math.max(1, Math.round(dimensions.height * scale))
+  };
+}
+
+/**
+ * 요청된 출력 형식을 실제 인코더 형식으로 결정
+ * @param {string} [requested] - 요청 형식 (jpeg, png, webp, avif, keep)
+ * @param {string} inputFormat - 원본 형식 (sharp metadata 기준)
+ * @returns {string} 인코더 형식 (jpeg, png, webp, avif, gif)
+ */
+function resolveOutputFormat(requested, inputFormat) {
+  if (requested && requested !== 'keep') {
+    return requested;
+  }
+  // sharp는 AVIF 입력을 heif로 보고하므로 AVIF로 출력
+  if (inputFormat === 'heif') {
+    return 'avif';
+  }
+  // 그 외 인코딩할 수 없는 원본 형식(예: tiff, svg)은 JPEG로 출력
+  return FORMAT_EXTENSIONS[inputFormat] ? inputFormat : 'jpeg';
+}
+
+/**
+ * 형식별로 조정된 인코더 설정 적용
+ * - JPEG: mozjpeg (트렐리스 양자화, 점진적 스캔)
+ * - PNG: 팔레트 양자화 (quality가 실제로 적용되도록 palette 모드 사용)
+ * - WebP/AVIF: 압축 효율을 위해 effort 상향
+ * @param {Object} pipeline - sharp 인스턴스
+ * @param {string} format - 인코더 형식
+ * @param {number} quality - 품질 (1~100)
+ * @returns {Object} 인코더가 설정된 sharp 인스턴스
+ */
+function applyEncoder(pipeline, format, quality) {
+  switch (format) {
+    case 'jpeg':
+      return pipeline.jpeg({ quality, mozjpeg: true });
+    case 'png':
+      return pipeline.png({ quality, palette: true, compressionLevel: 9, effort: 10 });
+    case 'webp':
+      return pipeline.webp({ quality, effort: 6, smartSubsample: true });
+    case 'avif':
+      return pipeline.avif({ quality, effort: 6 });
+    case 'gif':
+      // GIF는 품질 대신 팔레트 색상 수로 용량 조절
+      return pipeline.gif({ colours: Math.max(2, Math.round((quality / 100) * 256)), effort: 10 });
+    default:
+      throw new Error(`지원하지 않는 출력 형식입니다: ${format}`);
+  }
+}
+
+/**
+ * 이미지 크기 조정 및 자르기
+ * @param {string} inputPath - 입력 이미지 경로
+ * @param {Object} options - 크기 조정 옵션
+ * @param {number} [options.width] - 출력 너비 (px)
+ * @param {number} [options.height] - 출력 높이 (px)
+ * @param {string} [options.fit] - 맞춤 방식 (cover, contain, inside, fill - 기본값 cover)
+ * @param {string} [options.position] - cover 자르기 기준 위치 (center, north, southeast 등 - 기본값 center)
+ * @param {string} [options.smartCrop] - cover 스마트 자르기 전략 (attention, entropy) - position보다 우선
+ * @param {string} [options.background] - contain 여백 색상 (예: #ffffff, rgba(0,0,0,0))
+ * @param {boolean} [options.withoutEnlargement] - 원본보다 크게 확대하지 않음
+ * @param {string} [options.outputFormat] - 출력 형식 (jpeg, png, webp, avif, keep - 기본값 keep)
+ * @param {number} [options.quality] - 인코딩 품질 (1~100, 생략 시 형식별 기본값)
+ * @returns {Promise<Object>} 처리 결과
+ */
+async function resizeImage(inputPath, options = {}) {
+  const startTime = Date.now(); // 처리 시간 측정 시작
+  
+  try {
+    const outputDir = storage.outputDir;
+    await fs.ensureDir(outputDir);
+    
+    // 원본 파일 정보
+    const originalStats = await fs.stat(inputPath);
+    const originalSizeKB = (originalStats.size / 1024).toFixed(2);
+    
+    const metadata = await sharp(inputPath).metadata();
+    const outputFormat = resolveOutputFormat(options.outputFormat, metadata.format);
+    const baseFileName = path.basename(inputPath, path.extname(inputPath));
+    const outputPath = path.join(outputDir, `resized_${Date.now()}_${baseFileName}.${FORMAT_EXTENSIONS[outputFormat]}`);
+    
+    const fit = options.fit || 'cover';
+    const resizeOptions = {
+      fit,
+      withoutEnlargement: Boolean(options.withoutEnlargement)
+    };
+    
+    // 스마트 자르기는 cover에서만 의미가 있으므로 그 외에는 위치만 적용
+    if (fit === 'cover' && options.smartCrop) {
+      resizeOptions.position = sharp.strategy[options.smartCrop];
+    } else if (options.position) {
+      resizeOptions.position = options.position;
+    }
+    if (options.background) {
+      resizeOptions.background = options.background;
+    }
+    
+    const pipeline = sharp(inputPath).resize(options.width || null, options.height || null, resizeOptions);
+    
+    // 품질을 지정하지 않으면 형식별 기본 인코더 사용 (PNG 무손실 등)
+    if (options.quality) {
+      applyEncoder(pipeline, outputFormat, options.quality);
+    } else {
+      pipeline.toFormat(outputFormat);
+    }
+    
+    const info = await pipeline.toFile(outputPath);
+    const resizedSizeKB = (info.size / 1024).toFixed(2);
+    
+    return {
+      success: true,
+      message: `이미지 크기가 ${info.width}x${info.height}로 조정되었습니다.`,
+      originalSize: parseFloat(originalSizeKB),
+      resizedSize: parseFloat(resizedSizeKB),
+      dimensions: `${info.width}x${info.height}`,
+      originalDimensions: `${metadata.width}x${metadata.height}`,
+      fit,
+      position: fit === 'cover' && options.smartCrop ? options.smartCrop : (options.position || 'center'),
+      format: outputFormat,
+      originalFormat: metadata.format,
+      outputPath: await storage.publish(outputPath),
+      action: 'resized',
+      processingTime: `${(Date.now() - startTime) / 1000} 초`
+    };
+    
+  } catch (error) {
+    console.error('이미지 크기 조정 오류:', error);
+    throw new Error(`이미지 크기 조정 실패: ${error.message}`);
+  }
+}
+
 module.exports = {
   compressImage,
-  resizeImage
+  resizeImage,
+  OUTPUT_FORMATS,
+  RESIZE_OUTPUT_FORMATS,
+  ICC_MODES,
+  EXIF_MODES,
+  EXIF_FIELD_GROUPS,
+  RESIZE_FITS,
+  RESIZE_POSITIONS,
+  SMART_CROP_STRATEGIES
 };
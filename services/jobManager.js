@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * 작업 관리 모듈 - 오래 걸리는 ffmpeg 처리를 비동기 작업(Job)으로 실행하고 진행 상황을 추적
+ * 진행 상황은 'event' 이벤트({ jobId, type, data })로도 발행되어 SSE 스트림에 전달됩니다.
+ */
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+class JobManager extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // SSE 구독자 수 제한 없음
+    this.jobs = new Map();
+    this.maxAge = 1000 * 60 * 60; // 종료된 작업 보관 시간 (1시간)
+  }
+
+  /**
+   * 새 작업 생성
+   * @param {string} type - 작업 종류 (예: compress-video)
+   * @param {Object} params - 요청 파라미터 (조회 응답에 그대로 포함)
+   * @param {string|null} [apiKeyId] - 요청한 API 키 ID (키 없는 요청은 null)
+   * @returns {Object} 생성된 작업
+   */
+  createJob(type, params = {}, apiKeyId = null) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      apiKeyId, // 조회 범위 제한용 (응답에는 포함하지 않음)
+      status: JOB_STATUS.QUEUED,
+      progress: {
+        percent: 0,
+        parts: []
+      },
+      result: null,
+      error: null,
+      queuePosition: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      commands: new Set()
+    };
+
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  /**
+   * 작업 실행 시작 (완료를 기다리지 않음)
+   * @param {Object} job - createJob으로 생성한 작업
+   * @param {Function} task - (context) => Promise<Object> 형태의 처리 함수
+   */
+  startJob(job, task) {
+    job.status = JOB_STATUS.PROCESSING;
+    job.startedAt = Date.now();
+
+    // 처리 함수를 바로 호출해 대기열 순번이 등록 응답 전에 반영되도록 함
+    new Promise(resolve => resolve(task(this.createContext(job))))
+      .then((result) => {
+        if (job.status === JOB_STATUS.CANCELLED) {
+          return;
+        }
+        job.status = JOB_STATUS.COMPLETED;
+        job.result = result;
+        job.progress.percent = 100;
+        job.progress.parts.forEach(part => { part.percent = 100; });
+        job.finishedAt = Date.now();
+        this.publish(job, 'completed', this.serialize(job));
+      })
+      .catch((error) => {
+        if (job.status === JOB_STATUS.CANCELLED) {
+          return;
+        }
+        console.error(`작업 ${job.id} 실패:`, error);
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+        job.finishedAt = Date.now();
+        this.publish(job, 'failed', this.serialize(job));
+      })
+      .finally(() => {
+        job.commands.clear();
+      });
+  }
+
+  /**
+   * 서비스 함수에 전달할 작업 컨텍스트 생성
+   * - onProgress: 파트별 진행률 보고
+   * - onIteration: 이미지 품질 탐색 단계 보고
+   * - onCommand: 실행 중인 ffmpeg 명령 등록 (취소 시 종료 대상)
+   * - onQueue: 처리 대기열 순번 보고 (0이면 실행 시작)
+   * @param {Object} job - 작업
+   * @returns {Object} 작업 컨텍스트
+   */
+  createContext(job) {
+    return {
+      onProgress: ({ partNumber = 1, totalParts = 1, percent = 0 }) => {
+        this.updateProgress(job, partNumber, totalParts, percent);
+      },
+      onIteration: (iteration) => {
+        this.publish(job, 'iteration', iteration);
+      },
+      onCommand: (command) => {
+        if (job.status === JOB_STATUS.CANCELLED) {
+          command.kill('SIGKILL');
+          return;
+        }
+        job.commands.add(command);
+        command.on('end', () => job.commands.delete(command));
+        command.on('error', () => job.commands.delete(command));
+      },
+      onQueue: (position) => {
+        if (job.status === JOB_STATUS.CANCELLED) {
+          return;
+        }
+        job.queuePosition = position || null;
+        job.status = position ? JOB_STATUS.QUEUED : JOB_STATUS.PROCESSING;
+        job.startedAt = position ? null : Date.now();
+        this.publish(job, 'queue', { position });
+      },
+      isCancelled: () => job.status === JOB_STATUS.CANCELLED
+    };
+  }
+
+  /**
+   * 파트별 진행률 갱신 및 전체 진행률 계산
+   * @param {Object} job - 작업
+   * @param {number} partNumber - 파트 번호 (1부터 시작)
+   * @param {number} totalParts - 전체 파트 수
+   * @param {number} percent - 해당 파트 진행률 (0~100)
+   */
+  updateProgress(job, partNumber, totalParts, percent) {
+    const parts = job.progress.parts;
+    while (parts.length < totalParts) {
+      parts.push({ partNumber: parts.length + 1, percent: 0 });
+    }
+
+    const part = parts[partNumber - 1];
+    part.percent = Math.min(100, Math.max(0, parseFloat(percent.toFixed(2))));
+
+    const total = parts.reduce((sum, p) => sum + p.percent, 0);
+    job.progress.percent = parseFloat((total / parts.length).toFixed(2));
+
+    this.publish(job, 'progress', {
+      partNumber,
+      totalParts,
+      percent: part.percent,
+      overallPercent: job.progress.percent
+    });
+  }
+
+  /**
+   * 작업 이벤트 발행
+   * @param {Object} job - 작업
+   * @param {string} type - 이벤트 종류 (progress, iteration, queue, completed, failed, cancelled)
+   * @param {Object} data - 이벤트 데이터
+   */
+  publish(job, type, data) {
+    this.emit('event', { jobId: job.id, type, data });
+  }
+
+  /**
+   * 작업 조회 (다른 API 키로 등록한 작업은 찾지 않음)
+   * @param {string} id - 작업 ID
+   * @param {string|null} [apiKeyId] - 조회하는 API 키 ID (키 없는 요청은 null)
+   * @returns {Object|null} 작업 또는 null
+   */
+  getJob(id, apiKeyId = null) {
+    const job = this.jobs.get(id);
+    return job && job.apiKeyId === apiKeyId ? job : null;
+  }
+
+  /**
+   * 작업 취소 - 실행 중인 ffmpeg 프로세스를 종료
+   * @param {string} id - 작업 ID
+   * @returns {Object|null} 취소된 작업 또는 null (존재하지 않는 경우)
+   */
+  cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.PROCESSING) {
+      job.status = JOB_STATUS.CANCELLED;
+      job.finishedAt = Date.now();
+      job.queuePosition = null;
+
+      for (const command of job.commands) {
+        command.kill('SIGKILL');
+      }
+      job.commands.clear();
+      this.publish(job, 'cancelled', this.serialize(job));
+    }
+
+    return job;
+  }
+
+  /**
+   * 작업이 종료 상태인지 확인
+   * @param {Object} job - 작업
+   * @returns {boolean} 종료 여부
+   */
+  isFinished(job) {
+    return [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status);
+  }
+
+  /**
+   * API 응답용 작업 정보
+   * @param {Object} job - 작업
+   * @returns {Object} 직렬화된 작업 정보
+   */
+  serialize(job) {
+    return {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      params: job.params,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      queuePosition: job.queuePosition,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * 보관 시간이 지난 종료 작업 정리
+   */
+  clearExpiredJobs() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs.entries()) {
+      if (this.isFinished(job) && now - job.finishedAt > this.maxAge) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+// 싱글톤 인스턴스
+const jobManager = new JobManager();
+
+// 주기적 작업 정리
+setInterval(() => jobManager.clearExpiredJobs(), 60000); // 1분마다 실행
+
+module.exports = jobManager;
+module.exports.JOB_STATUS = JOB_STATUS;
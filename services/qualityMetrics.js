@@ -0,0 +1,208 @@
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegStatic = require('ffmpeg-static');
+
+// ffmpeg 경로 설정
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+/**
+ * 품질 측정 모듈 - 압축 결과를 원본과 비교한 지각 품질 점수 계산
+ * - 이미지: 휘도(그레이스케일) 기준 SSIM
+ * - 영상: ffmpeg ssim/psnr 필터로 샘플 구간 비교
+ */
+
+// 이미지 SSIM 계산 설정
+const METRIC_MAX_DIMENSION = 1024; // 측정 해상도 상한 (긴 변, px)
+const SSIM_WINDOW = 8; // 비교 창 크기 (px)
+const SSIM_STRIDE = 4; // 비교 창 이동 간격 (px)
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// 영상 샘플 구간 설정
+const VIDEO_SAMPLE_COUNT = 3; // 샘플 구간 수
+const VIDEO_SAMPLE_DURATION = 2; // 샘플 구간 길이 (초)
+
+/**
+ * SSIM 비교 기준이 되는 원본 이미지의 휘도 데이터 준비
+ * @param {string} inputPath - 원본 이미지 경로
+ * @param {Object} target - 압축 결과와 같은 기준 크기 { width, height }
+ * @param {Object} [options] - 옵션
+ * @param {boolean} [options.autoOrient] - 압축 결과와 같이 EXIF 방향대로 회전할지 여부
+ * @returns {Promise<Object>} { data, width, height } - 측정 해상도의 그레이스케일 픽셀
+ */
+async function createSsimReference(inputPath, target, options = {}) {
+  const ratio = Math.min(1, METRIC_MAX_DIMENSION / Math.max(target.width, target.height));
+  const width = Math.max(SSIM_WINDOW, Math.round(target.width * ratio));
+  const height = Math.max(SSIM_WINDOW, Math.round(target.height * ratio));
+  
+  let pipeline = sharp(inputPath);
+  if (options.autoOrient) {
+    pipeline = pipeline.rotate();
+  }
+  const data = await toLuma(pipeline, width, height);
+  
+  return { data, width, height };
+}
+
+/**
+ * 압축 결과 이미지와 원본의 SSIM 계산
+ * @param {Object} reference - createSsimReference 결과
+ * @param {string} candidatePath - 압축 결과 이미지 경로
+ * @returns {Promise<number>} SSIM (0~1, 1이면 동일)
+ */
+async function measureImageSsim(reference, candidatePath) {
+  const data = await toLuma(sharp(candidatePath), reference.width, reference.height);
+  return calculateSsim(reference.data, data, reference.width, reference.height);
+}
+
+/**
+ * 측정 해상도의 그레이스케일 픽셀 데이터 추출 (투명 영역은 흰 배경으로 합성)
+ * @param {Object} pipeline - sharp 인스턴스
+ * @param {number} width - 측정 너비
+ * @param {number} height - 측정 높이
+ * @returns {Promise<Buffer>} 픽셀당 1바이트 휘도 데이터
+ */
+function toLuma(pipeline, width, height) {
+  return pipeline
+    .flatten({ background: '#ffffff' })
+    .resize(width, height, { fit: 'fill' })
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * 두 휘도 이미지의 평균 SSIM 계산 (8x8 창, 4px 간격)
+ * @param {Buffer} a - 원본 휘도 데이터
+ * @param {Buffer} b - 비교 휘도 데이터
+ * @param {number} width - 너비
+ * @param {number} height - 높이
+ * @returns {number} 평균 SSIM
+ */
+function calculateSsim(a, b, width, height) {
+  const count = SSIM_WINDOW * SSIM_WINDOW;
+  let total = 0;
+  let windows = 0;
+  
+  for (let y = 0; y + SSIM_WINDOW <= height; y += SSIM_STRIDE) {
+    for (let x = 0; x + SSIM_WINDOW <= width; x += SSIM_STRIDE) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      
+      for (let wy = 0; wy < SSIM_WINDOW; wy++) {
+        let offset = (y + wy) * width + x;
+        for (let wx = 0; wx < SSIM_WINDOW; wx++, offset++) {
+          const pa = a[offset];
+          const pb = b[offset];
+          sumA += pa;
+          sumB += pb;
+          sumAA += pa * pa;
+          sumBB += pb * pb;
+          sumAB += pa * pb;
+        }
+      }
+      
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varA = sumAA / count - meanA * meanA;
+      const varB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+      
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+      windows++;
+    }
+  }
+  
+  return windows > 0 ? total / windows : 1;
+}
+
+/**
+ * 영상 전체에 고르게 퍼진 품질 측정용 샘플 구간 선택
+ * @param {number} duration - 영상 길이 (초)
+ * @returns {Array<Object>} 샘플 구간 목록 [{ startTime, duration }]
+ */
+function selectSampleWindows(duration) {
+  // 짧은 영상은 전체를 하나의 샘플로 사용
+  if (duration <= VIDEO_SAMPLE_COUNT * VIDEO_SAMPLE_DURATION) {
+    return [{ startTime: 0, duration }];
+  }
+  
+  const samples = [];
+  for (let i = 0; i < VIDEO_SAMPLE_COUNT; i++) {
+    const center = (duration * (i + 1)) / (VIDEO_SAMPLE_COUNT + 1);
+    samples.push({
+      startTime: parseFloat(Math.max(0, center - VIDEO_SAMPLE_DURATION / 2).toFixed(3)),
+      duration: VIDEO_SAMPLE_DURATION
+    });
+  }
+  return samples;
+}
+
+/**
+ * 인코딩된 영상 구간과 원본 구간의 SSIM/PSNR 측정
+ * - 두 입력을 같은 해상도로 맞춘 뒤 ffmpeg ssim, psnr 필터로 비교
+ * @param {string} originalPath - 원본 영상 경로
+ * @param {Object} originalWindow - 원본에서 비교할 구간 { startTime, duration, fps }
+ *   - fps: 인코딩 시 프레임레이트를 낮춘 경우 원본도 같은 프레임레이트로 맞춰 프레임을 짝지음 (생략 가능)
+ * @param {string} encodedPath - 인코딩된 영상 경로
+ * @param {number} encodedStartTime - 인코딩된 영상에서 비교 구간 시작 시간 (초)
+ * @param {string} resolution - 비교 해상도 (예: 1920x1080)
+ * @param {Object} [options] - 작업 옵션 (onCommand)
+ * @returns {Promise<Object>} { ssim, psnr }
+ */
+function measureVideoQuality(originalPath, originalWindow, encodedPath, encodedStartTime, resolution, options = {}) {
+  const [width, height] = resolution.split('x').map(Number);
+  const fpsFilter = originalWindow.fps ? `fps=${originalWindow.fps},` : '';
+  
+  return new Promise((resolve, reject) => {
+    let ssim = null;
+    let psnr = null;
+    
+    const command = ffmpeg()
+      .input(encodedPath)
+      .inputOptions([`-ss ${encodedStartTime}`, `-t ${originalWindow.duration}`])
+      .input(originalPath)
+      .inputOptions([`-ss ${originalWindow.startTime}`, `-t ${originalWindow.duration}`])
+      .complexFilter([
+        `[0:v]scale=${width}:${height},setpts=PTS-STARTPTS,${fpsFilter}split[a1][a2]`,
+        `[1:v]scale=${width}:${height},setpts=PTS-STARTPTS,${fpsFilter}split[b1][b2]`,
+        '[a1][b1]ssim',
+        '[a2][b2]psnr'
+      ])
+      .outputOptions(['-f null'])
+      .output('-')
+      .on('start', () => {
+        if (options.onCommand) options.onCommand(command);
+      })
+      .on('stderr', (line) => {
+        // 예: [Parsed_ssim_4 @ ...] SSIM Y:0.98 U:0.99 V:0.99 All:0.985 (18.3)
+        const ssimMatch = line.match(/SSIM .*All:([\d.]+)/);
+        if (ssimMatch) ssim = parseFloat(ssimMatch[1]);
+        // 예: [Parsed_psnr_5 @ ...] PSNR y:41.2 u:45.0 v:45.3 average:42.1 min:38.0 max:47.9
+        const psnrMatch = line.match(/PSNR .*average:([\d.]+|inf)/);
+        if (psnrMatch) psnr = psnrMatch[1] === 'inf' ? Infinity : parseFloat(psnrMatch[1]);
+      })
+      .on('end', () => {
+        if (ssim === null || psnr === null) {
+          reject(new Error('품질 측정 결과를 읽을 수 없습니다.'));
+          return;
+        }
+        resolve({ ssim, psnr });
+      })
+      .on('error', reject);
+    
+    command.run();
+  });
+}
+
+module.exports = {
+  createSsimReference,
+  measureImageSsim,
+  calculateSsim,
+  selectSampleWindows,
+  measureVideoQuality
+};
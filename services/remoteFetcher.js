@@ -0,0 +1,330 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns').promises;
+const net = require('net');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * 원격 파일 가져오기 모듈 - sourceUrl의 파일을 업로드 파일처럼 uploads/에 내려받기
+ * - http/https만 허용하고 사설망, 루프백, 링크 로컬 등 내부 주소로의 요청 차단 (SSRF 방지)
+ * - 검증한 IP 주소로만 연결하여 DNS 재바인딩을 막고, 리다이렉트마다 주소를 다시 검증
+ * - 응답 크기와 전체 다운로드 시간 제한
+ * - 파일 형식은 Content-Type 헤더가 아니라 파일 앞부분의 시그니처로 판별
+ */
+
+const MAX_BYTES = (parseInt(process.env.SOURCE_URL_MAX_MB) || 500) * 1024 * 1024; // 최대 파일 크기 (기본 500MB, 업로드 제한과 동일)
+const TIMEOUT = (parseInt(process.env.SOURCE_URL_TIMEOUT_SECONDS) || 60) * 1000; // 리다이렉트를 포함한 전체 다운로드 제한 시간 (기본 60초)
+const ALLOW_PRIVATE = process.env.SOURCE_URL_ALLOW_PRIVATE === 'true'; // 내부 주소 허용 (개발 환경 전용)
+const MAX_REDIRECTS = 5;
+const MAX_SOURCE_URLS = 50; // 한 요청에서 내려받을 최대 URL 수 (일괄 압축 API)
+const SNIFF_BYTES = 64; // 형식 판별에 사용하는 파일 앞부분 크기
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// 요청을 차단할 주소 대역
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // 통신사 NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // 링크 로컬 (클라우드 메타데이터 주소 포함)
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'], // 멀티캐스트
+  ['240.0.0.0', 4, 'ipv4'], // 예약 대역, 브로드캐스트
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['fc00::', 7, 'ipv6'], // 고유 로컬 주소
+  ['fe80::', 10, 'ipv6'], // 링크 로컬
+  ['ff00::', 8, 'ipv6'] // 멀티캐스트
+].forEach(([network, prefix, type]) => blockedAddresses.addSubnet(network, prefix, type));
+
+/**
+ * sourceUrl의 파일을 내려받아 업로드 파일과 같은 형태로 반환
+ * @param {string} sourceUrl - 내려받을 파일 URL (http/https)
+ * @param {string} destDir - 저장 디렉토리 (uploads/)
+ * @param {Object} [options] - 옵션
+ * @param {boolean} [options.allowArchive] - ZIP 파일 허용 여부 (일괄 압축 API)
+ * @returns {Promise<Object>} { originalname, mimetype, path, size } - multer 업로드 파일과 같은 필드
+ */
+async function fetchRemoteFile(sourceUrl, destDir, options = {}) {
+  let url = parseSourceUrl(sourceUrl);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT);
+  
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const address = await resolveAddress(url.hostname);
+      const response = await sendRequest(url, address, { signal: controller.signal });
+      
+      if (REDIRECT_STATUSES.includes(response.statusCode)) {
+        response.resume();
+        if (!response.headers.location) {
+          throw new Error('리다이렉트 응답에 이동할 주소가 없습니다.');
+        }
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error(`리다이렉트가 너무 많습니다. (최대 ${MAX_REDIRECTS}회)`);
+        }
+        url = parseSourceUrl(new URL(response.headers.location, url).href);
+        continue;
+      }
+      
+      if (response.statusCode !== 200) {
+        response.resume();
+        throw new Error(`원격 서버 응답 오류 (HTTP ${response.statusCode})`);
+      }
+      
+      return await saveResponse(response, url, destDir, options);
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`다운로드 시간이 초과되었습니다. (최대 ${TIMEOUT / 1000}초)`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * sourceUrl 형식 검증
+ * @param {string} sourceUrl - 파일 URL
+ * @returns {URL} 파싱된 URL
+ */
+function parseSourceUrl(sourceUrl) {
+  let url;
+  try {
+    url = new URL(String(sourceUrl));
+  } catch (error) {
+    throw new Error('올바른 URL이 아닙니다.');
+  }
+  
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('http 또는 https URL만 사용할 수 있습니다.');
+  }
+  if (url.username || url.password) {
+    throw new Error('사용자 정보가 포함된 URL은 사용할 수 없습니다.');
+  }
+  
+  return url;
+}
+
+/**
+ * 호스트 이름을 IP 주소로 변환하고 내부 주소인지 검증
+ * @param {string} hostname - URL 호스트 이름 (IPv6는 대괄호 포함)
+ * @returns {Promise<Object>} 연결할 주소 { address, family }
+ */
+async function resolveAddress(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.lookup(host, { all: true });
+  
+  if (addresses.length === 0) {
+    throw new Error('호스트 주소를 찾을 수 없습니다.');
+  }
+  
+  // 여러 주소 중 하나라도 내부 주소면 차단 (주소 선택에 따라 결과가 달라지지 않도록)
+  if (!ALLOW_PRIVATE && addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error('내부 네트워크 주소로는 요청할 수 없습니다.');
+  }
+  
+  return addresses[0];
+}
+
+/**
+ * 차단 대역에 속한 주소인지 확인 (IPv4 매핑 IPv6 주소는 IPv4로 검사)
+ * @param {string} address - IP 주소
+ * @returns {boolean} 차단 여부
+ */
+function isBlockedAddress(address) {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) {
+    return blockedAddresses.check(dotted[1], 'ipv4');
+  }
+  
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const high = parseInt(hex[1], 16);
+    const low = parseInt(hex[2], 16);
+    return blockedAddresses.check(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`, 'ipv4');
+  }
+  
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * 검증한 주소로만 연결하는 HTTP 요청 (TLS 인증서는 원래 호스트 이름으로 검증)
+ * @param {URL} url - 요청 URL
+ * @param {Object} address - resolveAddress 결과
+ * @param {Object} [options] - 요청 옵션
+ * @param {string} [options.method] - HTTP 메서드 (기본값 GET)
+ * @param {Object} [options.headers] - 추가 요청 헤더
+ * @param {string|Buffer} [options.body] - 요청 본문
+ * @param {AbortSignal} [options.signal] - 제한 시간 신호
+ * @returns {Promise<Object>} 응답 (http.IncomingMessage)
+ */
+function sendRequest(url, address, options = {}) {
+  const client = url.protocol === 'https:' ? https : http;
+  
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: options.method || 'GET',
+      signal: options.signal,
+      headers: { 'User-Agent': 'IVCP-Service', ...options.headers },
+      // DNS를 다시 조회하지 않고 검증한 주소 사용
+      lookup: (hostname, lookupOptions, callback) => {
+        if (lookupOptions.all) {
+          callback(null, [address]);
+        } else {
+          callback(null, address.address, address.family);
+        }
+      }
+    }, resolve);
+    request.on('error', reject);
+    request.end(options.body);
+  });
+}
+
+/**
+ * 응답 본문을 크기 제한을 지키며 저장하고 형식 판별
+ * @param {Object} response - 응답 (http.IncomingMessage)
+ * @param {URL} url - 최종 URL (원본 파일 이름용)
+ * @param {string} destDir - 저장 디렉토리
+ * @param {Object} options - fetchRemoteFile 옵션
+ * @returns {Promise<Object>} 내려받은 파일 정보
+ */
+async function saveResponse(response, url, destDir, options) {
+  const limitMB = MAX_BYTES / 1024 / 1024;
+  if (parseInt(response.headers['content-length']) > MAX_BYTES) {
+    response.resume();
+    throw new Error(`파일 크기가 너무 큽니다. (최대 ${limitMB}MB)`);
+  }
+  
+  await fs.ensureDir(destDir);
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const tempPath = path.join(destDir, `source-${uniqueSuffix}.download`);
+  
+  // Content-Length가 없거나 실제와 다른 경우를 위해 받은 크기를 직접 제한
+  let size = 0;
+  let head = Buffer.alloc(0);
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > MAX_BYTES) {
+        callback(new Error(`파일 크기가 너무 큽니다. (최대 ${limitMB}MB)`));
+        return;
+      }
+      if (head.length < SNIFF_BYTES) {
+        head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+      }
+      callback(null, chunk);
+    }
+  });
+  
+  try {
+    await pipeline(response, limiter, fs.createWriteStream(tempPath));
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+  
+  const fileType = sniffFileType(head);
+  if (!fileType || (fileType.mimetype === 'application/zip' && !options.allowArchive)) {
+    await fs.remove(tempPath);
+    throw new Error('지원하지 않는 파일 형식입니다.');
+  }
+  
+  const filePath = path.join(destDir, `source-${uniqueSuffix}${fileType.extension}`);
+  await fs.move(tempPath, filePath);
+  
+  return {
+    originalname: originalNameFromUrl(url, fileType.extension),
+    mimetype: fileType.mimetype,
+    path: filePath,
+    size
+  };
+}
+
+/**
+ * 파일 앞부분의 시그니처로 형식 판별
+ * @param {Buffer} head - 파일 앞부분
+ * @returns {Object|null} { mimetype, extension } 또는 null (지원하지 않는 형식)
+ */
+function sniffFileType(head) {
+  if (head.length < 12) {
+    return null;
+  }
+  
+  const ascii = (start, end) => head.toString('latin1', start, end);
+  
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+    return { mimetype: 'image/jpeg', extension: '.jpg' };
+  }
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') {
+    return { mimetype: 'image/png', extension: '.png' };
+  }
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+    return { mimetype: 'image/gif', extension: '.gif' };
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return { mimetype: 'image/webp', extension: '.webp' };
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') {
+    return { mimetype: 'video/x-msvideo', extension: '.avi' };
+  }
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'avif' || brand === 'avis') {
+      return { mimetype: 'image/avif', extension: '.avif' };
+    }
+    if (brand === 'qt  ') {
+      return { mimetype: 'video/quicktime', extension: '.mov' };
+    }
+    return { mimetype: 'video/mp4', extension: '.mp4' };
+  }
+  if (head.readUInt32BE(0) === 0x1a45dfa3) {
+    // EBML 헤더의 DocType으로 WebM과 Matroska 구분
+    return ascii(0, head.length).includes('webm')
+      ? { mimetype: 'video/webm', extension: '.webm' }
+      : { mimetype: 'video/x-matroska', extension: '.mkv' };
+  }
+  if (ascii(0, 4) === 'PK\x03\x04') {
+    return { mimetype: 'application/zip', extension: '.zip' };
+  }
+  
+  return null;
+}
+
+/**
+ * URL 경로의 파일 이름 (없으면 판별한 확장자로 만든 이름)
+ * @param {URL} url - 파일 URL
+ * @param {string} extension - 판별한 확장자
+ * @returns {string} 원본 파일 이름
+ */
+function originalNameFromUrl(url, extension) {
+  let name = path.posix.basename(url.pathname);
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // 잘못된 퍼센트 인코딩은 그대로 사용
+  }
+  return name || `source${extension}`;
+}
+
+module.exports = {
+  fetchRemoteFile,
+  parseSourceUrl,
+  resolveAddress,
+  sendRequest,
+  sniffFileType,
+  isBlockedAddress,
+  MAX_SOURCE_URLS,
+  SNIFF_BYTES
+};
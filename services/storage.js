@@ -0,0 +1,281 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * 결과 파일 저장소 모듈 - 서비스가 만든 결과 파일을 게시하고 outputPath(다운로드 URL)를 발급
+ * - 서비스는 항상 로컬 작업 디렉토리(outputDir)에 파일을 만든 뒤 publish()로 게시
+ * - local: output/ 디렉토리를 /output 경로로 그대로 제공 (기본값)
+ * - s3: S3 호환 버킷에 업로드하고 로컬 파일은 삭제, outputPath는 서명된 다운로드 URL
+ *   (여러 인스턴스가 같은 버킷을 사용하면 어느 인스턴스가 발급한 URL이든 유효)
+ * 두 드라이버 모두 publish, read, stat, remove, refreshUrl, fileName을 제공합니다.
+ */
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'output');
+
+// 확장자별 Content-Type (S3 업로드 시 브라우저에서 바로 열리도록 지정)
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.mkv': 'video/x-matroska',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mpd': 'application/dash+xml',
+  '.m4s': 'video/iso.segment',
+  '.vtt': 'text/vtt',
+  '.zip': 'application/zip'
+};
+
+/**
+ * 로컬 디스크 저장소 - output/ 파일을 express.static으로 제공
+ */
+class LocalStorage {
+  constructor() {
+    this.driver = 'local';
+    this.outputDir = OUTPUT_DIR;
+  }
+
+  /**
+   * 작업 디렉토리의 결과 파일 게시
+   * @param {string} filePath - 작업 디렉토리의 결과 파일 경로
+   * @returns {Promise<string>} outputPath (/output/파일이름)
+   */
+  async publish(filePath) {
+    return `/output/${path.basename(filePath)}`;
+  }
+
+  /**
+   * outputPath의 파일 이름
+   * @param {string} outputPath - publish가 반환한 경로
+   * @returns {string} 파일 이름
+   */
+  fileName(outputPath) {
+    return path.basename(outputPath);
+  }
+
+  /**
+   * 게시된 파일 내용 읽기
+   * @param {string} outputPath - publish가 반환한 경로
+   * @returns {Promise<Buffer>} 파일 내용
+   */
+  read(outputPath) {
+    return fs.readFile(path.join(this.outputDir, this.fileName(outputPath)));
+  }
+
+  /**
+   * 게시된 파일 정보
+   * @param {string} outputPath - publish가 반환한 경로
+   * @returns {Promise<Object|null>} { size } 또는 null (파일이 없는 경우)
+   */
+  async stat(outputPath) {
+    try {
+      const stats = await fs.stat(path.join(this.outputDir, this.fileName(outputPath)));
+      return { size: stats.size };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 게시된 파일 삭제
+   * @param {string} outputPath - publish가 반환한 경로
+   */
+  async remove(outputPath) {
+    await fs.remove(path.join(this.outputDir, this.fileName(outputPath)));
+  }
+
+  /**
+   * 만료되지 않은 다운로드 URL 재발급 (로컬 경로는 만료되지 않음)
+   * @param {string} outputPath - publish가 반환한 경로
+   * @returns {Promise<string>} outputPath
+   */
+  async refreshUrl(outputPath) {
+    return outputPath;
+  }
+}
+
+/**
+ * S3 호환 저장소 (AWS S3, MinIO, Cloudflare R2 등)
+ */
+class S3Storage {
+  /**
+   * @param {Object} config - 저장소 설정
+   * @param {string} config.bucket - 버킷 이름
+   * @param {string} [config.region] - 리전 (기본값 us-east-1)
+   * @param {string} [config.endpoint] - S3 호환 서버 주소 (예: http://localhost:9000)
+   * @param {boolean} [config.forcePathStyle] - 경로 방식 URL 사용 (MinIO 등)
+   * @param {string} [config.accessKeyId] - 액세스 키 (생략 시 AWS 기본 자격 증명 사용)
+   * @param {string} [config.secretAccessKey] - 시크릿 키
+   * @param {string} [config.prefix] - 객체 키 접두사 (예: outputs/)
+   * @param {number} [config.urlExpiresIn] - 다운로드 URL 유효 시간 (초, 기본값 3600)
+   */
+  constructor(config) {
+    if (!config.bucket) {
+      throw new Error('S3 저장소를 사용하려면 S3_BUCKET을 설정해야 합니다.');
+    }
+
+    // S3 드라이버를 사용할 때만 SDK 로드
+    const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+    this.commands = { PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand };
+    this.getSignedUrl = getSignedUrl;
+
+    this.driver = 's3';
+    this.outputDir = OUTPUT_DIR;
+    this.bucket = config.bucket;
+    this.prefix = config.prefix || '';
+    this.urlExpiresIn = config.urlExpiresIn || 3600;
+    this.client = new S3Client({
+      region: config.region || 'us-east-1',
+      endpoint: config.endpoint || undefined,
+      forcePathStyle: Boolean(config.forcePathStyle),
+      // 체크섬은 필요한 요청에만 사용 (aws-chunked 업로드를 지원하지 않는 S3 호환 서버 대응)
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
+      credentials: config.accessKeyId
+        ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+        : undefined
+    });
+  }
+
+  /**
+   * 결과 파일을 버킷에 업로드하고 로컬 파일 삭제
+   * @param {string} filePath - 작업 디렉토리의 결과 파일 경로
+   * @returns {Promise<string>} 서명된 다운로드 URL
+   */
+  async publish(filePath) {
+    const { PutObjectCommand } = this.commands;
+    const fileName = path.basename(filePath);
+    const stats = await fs.stat(filePath);
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + fileName,
+      Body: fs.createReadStream(filePath),
+      ContentLength: stats.size,
+      ContentType: CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream'
+    }));
+    await fs.remove(filePath);
+
+    return this.signUrl(fileName);
+  }
+
+  /**
+   * 서명된 URL의 파일 이름 (URL 경로의 마지막 부분)
+   * @param {string} outputPath - publish가 반환한 URL
+   * @returns {string} 파일 이름
+   */
+  fileName(outputPath) {
+    return path.basename(decodeURIComponent(new URL(outputPath).pathname));
+  }
+
+  /**
+   * 객체 다운로드용 서명 URL 발급
+   * @param {string} fileName - 파일 이름
+   * @returns {Promise<string>} 서명된 URL
+   */
+  signUrl(fileName) {
+    const { GetObjectCommand } = this.commands;
+    return this.getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + fileName
+    }), { expiresIn: this.urlExpiresIn });
+  }
+
+  /**
+   * 게시된 파일 내용 읽기
+   * @param {string} outputPath - publish가 반환한 URL
+   * @returns {Promise<Buffer>} 파일 내용
+   */
+  async read(outputPath) {
+    const { GetObjectCommand } = this.commands;
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + this.fileName(outputPath)
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  /**
+   * 게시된 파일 정보
+   * @param {string} outputPath - publish가 반환한 URL
+   * @returns {Promise<Object|null>} { size } 또는 null (객체가 없는 경우)
+   */
+  async stat(outputPath) {
+    const { HeadObjectCommand } = this.commands;
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.prefix + this.fileName(outputPath)
+      }));
+      return { size: response.ContentLength };
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 게시된 파일 삭제
+   * @param {string} outputPath - publish가 반환한 URL
+   */
+  async remove(outputPath) {
+    const { DeleteObjectCommand } = this.commands;
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + this.fileName(outputPath)
+    }));
+  }
+
+  /**
+   * 만료되지 않은 다운로드 URL 재발급 (캐시된 결과를 다시 응답할 때 사용)
+   * @param {string} outputPath - publish가 반환한 URL
+   * @returns {Promise<string>} 새로 서명된 URL
+   */
+  refreshUrl(outputPath) {
+    return this.signUrl(this.fileName(outputPath));
+  }
+}
+
+/**
+ * 환경 변수 설정에 맞는 저장소 생성
+ * @returns {LocalStorage|S3Storage} 저장소
+ */
+function createStorage() {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') {
+    return new LocalStorage();
+  }
+
+  if (driver === 's3') {
+    return new S3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX,
+      urlExpiresIn: parseInt(process.env.S3_URL_EXPIRES_SECONDS) || undefined
+    });
+  }
+
+  throw new Error(`지원하지 않는 저장소 드라이버입니다: ${driver}`);
+}
+
+// 싱글톤 인스턴스
+const storage = createStorage();
+
+module.exports = storage;
+module.exports.LocalStorage = LocalStorage;
+module.exports.S3Storage = S3Storage;
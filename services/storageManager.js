@@ -0,0 +1,237 @@
+const fs = require('fs-extra');
+const path = require('path');
+const storage = require('./storage');
+
+/**
+ * 저장소 관리 모듈 - output/ 결과 파일 보관 기간 및 총 용량 관리, uploads/ 고아 파일 정리
+ * - 결과 파일은 생성(수정) 시각부터 보관 기간이 지나면 삭제
+ * - 총 용량이 한도를 넘으면 오래된 결과 파일부터 삭제
+ * - 처리 중인 요청과 진행 중인 작업이 사용하는 업로드 파일은 protect()로 등록하여 정리 대상에서 제외
+ * - s3 저장소를 사용하면 output/은 게시 전 작업 파일만 남으므로, 버킷의 객체 만료는 버킷 수명 주기 규칙으로 설정
+ */
+
+const OUTPUT_DIR = storage.outputDir;
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+class StorageManager {
+  constructor() {
+    this.outputTtl = (parseFloat(process.env.OUTPUT_TTL_HOURS) || 24) * 60 * 60 * 1000; // 결과 파일 보관 기간 (기본 24시간)
+    this.maxOutputBytes = (parseInt(process.env.OUTPUT_MAX_SIZE_MB) || 5120) * 1024 * 1024; // output/ 최대 총 용량 (기본 5GB)
+    this.orphanAge = (parseFloat(process.env.UPLOAD_ORPHAN_HOURS) || 1) * 60 * 60 * 1000; // 고아 업로드 파일로 간주하는 경과 시간 (기본 1시간)
+    this.protectedPaths = new Map(); // 사용 중인 업로드 파일 경로 → 참조 수
+    this.lastSweep = null;
+    this.sweeping = null;
+  }
+
+  /**
+   * 진행 중인 작업이 사용하는 파일을 정리 대상에서 제외
+   * @param {string|string[]} filePaths - 파일 경로 (여러 개면 배열)
+   * @returns {Function} 보호 해제 함수
+   */
+  protect(filePaths) {
+    const paths = [].concat(filePaths).map(filePath => path.resolve(filePath));
+    paths.forEach(filePath => {
+      this.protectedPaths.set(filePath, (this.protectedPaths.get(filePath) || 0) + 1);
+    });
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      paths.forEach(filePath => {
+        const count = this.protectedPaths.get(filePath) - 1;
+        if (count > 0) {
+          this.protectedPaths.set(filePath, count);
+        } else {
+          this.protectedPaths.delete(filePath);
+        }
+      });
+    };
+  }
+
+  /**
+   * 보호 중인 파일인지 확인
+   * @param {string} filePath - 파일 경로
+   * @returns {boolean} 보호 여부
+   */
+  isProtected(filePath) {
+    return this.protectedPaths.has(path.resolve(filePath));
+  }
+
+  /**
+   * 요청에 업로드된 파일 중 보호되지 않은 파일 삭제 (요청 처리가 끝난 뒤 호출)
+   * @param {Object} req - Express 요청 객체 (multer의 file/files)
+   */
+  async removeUploads(req) {
+    const files = [];
+    if (req.file) {
+      files.push(req.file);
+    }
+    if (req.files) {
+      files.push(...(Array.isArray(req.files) ? req.files : Object.values(req.files).flat()));
+    }
+
+    await Promise.all(files
+      .filter(file => !this.isProtected(file.path))
+      .map(file => fs.remove(file.path)));
+  }
+
+  /**
+   * 보관 기간 만료, 용량 초과, 고아 업로드 파일 정리 (동시에 한 번만 실행)
+   * @returns {Promise<Object>} 정리 결과
+   */
+  sweep() {
+    if (!this.sweeping) {
+      this.sweeping = this.runSweep().finally(() => {
+        this.sweeping = null;
+      });
+    }
+    return this.sweeping;
+  }
+
+  /**
+   * 정리 실행
+   * @returns {Promise<Object>} 정리 결과
+   */
+  async runSweep() {
+    const now = Date.now();
+    const summary = {
+      at: new Date(now).toISOString(),
+      expired: 0,
+      evicted: 0,
+      orphanedUploads: 0,
+      freedBytes: 0
+    };
+
+    // 1. 보관 기간이 지난 결과 파일 삭제
+    const outputs = await this.listFiles(OUTPUT_DIR);
+    const remaining = [];
+    for (const file of outputs) {
+      if (now - file.mtime > this.outputTtl) {
+        await this.removeFile(file, summary, 'expired');
+      } else {
+        remaining.push(file);
+      }
+    }
+
+    // 2. 총 용량이 한도를 넘으면 오래된 파일부터 삭제
+    let totalBytes = remaining.reduce((sum, file) => sum + file.size, 0);
+    remaining.sort((a, b) => a.mtime - b.mtime);
+    while (totalBytes > this.maxOutputBytes && remaining.length > 0) {
+      const file = remaining.shift();
+      await this.removeFile(file, summary, 'evicted');
+      totalBytes -= file.size;
+    }
+
+    // 3. 요청이 실패하거나 중단되어 남은 업로드 파일 삭제
+    const uploads = await this.listFiles(UPLOAD_DIR);
+    for (const file of uploads) {
+      if (now - file.mtime > this.orphanAge && !this.isProtected(file.path)) {
+        await this.removeFile(file, summary, 'orphanedUploads');
+      }
+    }
+
+    if (summary.expired + summary.evicted + summary.orphanedUploads > 0) {
+      console.log(`저장소 정리: 만료 ${summary.expired}개, 용량 초과 ${summary.evicted}개, 고아 업로드 ${summary.orphanedUploads}개 삭제 (${(summary.freedBytes / 1024 / 1024).toFixed(2)}MB)`);
+    }
+
+    this.lastSweep = summary;
+    return summary;
+  }
+
+  /**
+   * 파일 삭제 및 정리 결과 집계 (이미 삭제된 파일은 무시)
+   * @param {Object} file - listFiles 항목
+   * @param {Object} summary - 정리 결과
+   * @param {string} reason - 집계 항목 (expired, evicted, orphanedUploads)
+   */
+  async removeFile(file, summary, reason) {
+    try {
+      await fs.remove(file.path);
+      summary[reason]++;
+      summary.freedBytes += file.size;
+    } catch (error) {
+      console.error(`파일 삭제 실패 (${file.name}):`, error.message);
+    }
+  }
+
+  /**
+   * 디렉토리의 파일 목록과 크기, 수정 시각
+   * @param {string} dir - 디렉토리 경로
+   * @returns {Promise<Array<Object>>} [{ name, path, size, mtime }]
+   */
+  async listFiles(dir) {
+    await fs.ensureDir(dir);
+    const names = await fs.readdir(dir);
+    const files = [];
+
+    for (const name of names) {
+      const filePath = path.join(dir, name);
+      try {
+        const stats = await fs.stat(filePath);
+        if (stats.isFile()) {
+          files.push({ name, path: filePath, size: stats.size, mtime: stats.mtimeMs });
+        }
+      } catch (error) {
+        // 목록 조회 중 삭제된 파일은 무시
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * 저장소 사용 현황 보고
+   * @returns {Promise<Object>} output/, uploads/ 사용량과 정리 설정 및 최근 정리 결과
+   */
+  async getReport() {
+    const now = Date.now();
+    const outputs = await this.listFiles(OUTPUT_DIR);
+    const uploads = await this.listFiles(UPLOAD_DIR);
+    const outputBytes = outputs.reduce((sum, file) => sum + file.size, 0);
+
+    // 파일 이름 접두사(compressed_, split_, webm_, resized_, batch_ 등)별 사용량
+    const byType = {};
+    for (const file of outputs) {
+      const type = file.name.split('_')[0];
+      byType[type] = byType[type] || { files: 0, bytes: 0 };
+      byType[type].files++;
+      byType[type].bytes += file.size;
+    }
+
+    const oldest = outputs.reduce((min, file) => Math.min(min, file.mtime), Infinity);
+
+    return {
+      driver: storage.driver,
+      output: {
+        files: outputs.length,
+        bytes: outputBytes,
+        sizeMB: parseFloat((outputBytes / 1024 / 1024).toFixed(2)),
+        maxSizeMB: parseFloat((this.maxOutputBytes / 1024 / 1024).toFixed(2)),
+        usagePercent: parseFloat(((outputBytes / this.maxOutputBytes) * 100).toFixed(1)),
+        ttlHours: this.outputTtl / 60 / 60 / 1000,
+        oldestAgeMinutes: outputs.length > 0 ? Math.round((now - oldest) / 60000) : null,
+        byType
+      },
+      uploads: {
+        files: uploads.length,
+        bytes: uploads.reduce((sum, file) => sum + file.size, 0),
+        inUse: uploads.filter(file => this.isProtected(file.path)).length,
+        orphanAfterHours: this.orphanAge / 60 / 60 / 1000
+      },
+      lastSweep: this.lastSweep
+    };
+  }
+}
+
+// 싱글톤 인스턴스
+const storageManager = new StorageManager();
+
+// 주기적 저장소 정리
+setInterval(() => {
+  storageManager.sweep().catch(error => console.error('저장소 정리 오류:', error));
+}, 5 * 60 * 1000); // 5분마다 실행
+
+module.exports = storageManager;
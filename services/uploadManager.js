@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const fs = require('fs-extra');
+const path = require('path');
+const storageManager = require('./storageManager');
+const { sniffFileType, SNIFF_BYTES } = require('./remoteFetcher');
+
+/**
+ * 분할 업로드 관리 모듈 - 큰 파일을 여러 요청으로 나눠 uploads/에 이어 붙이고, 끊기면 받은 위치부터 재개
+ * - 생성(init) → 이어 붙이기(append, Upload-Offset 기준) → 완료(complete) 순서로 진행
+ * - 완료된 업로드는 처리 API의 uploadId로 한 번 사용할 수 있으며, 사용하면 일반 업로드 파일처럼 처리 후 삭제
+ * - 진행 중인 업로드 파일은 고아 업로드 정리 대상에서 제외하고, 보관 시간이 지나면 삭제
+ * - 업로드 상태는 메모리에 보관하므로 서버를 재시작하면 진행 중인 업로드는 처음부터 다시 시작
+ */
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+const UPLOAD_STATUS = {
+  UPLOADING: 'uploading',
+  COMPLETED: 'completed'
+};
+
+class UploadManager {
+  constructor() {
+    this.maxBytes = (parseInt(process.env.CHUNKED_UPLOAD_MAX_MB) || 500) * 1024 * 1024; // 업로드 1건 최대 크기 (기본 500MB, 일반 업로드 제한과 동일)
+    this.maxAge = (parseFloat(process.env.CHUNKED_UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000; // 마지막 요청 후 보관 시간 (기본 24시간)
+    this.uploads = new Map();
+  }
+
+  /**
+   * 새 분할 업로드 생성 (빈 파일 생성)
+   * @param {Object} info - 업로드 정보
+   * @param {string} info.fileName - 원본 파일 이름
+   * @param {number} info.size - 전체 파일 크기 (바이트)
+   * @param {string|null} [info.apiKeyId] - 요청한 API 키 ID (키 없는 요청은 null)
+   * @returns {Promise<Object>} 생성된 업로드
+   */
+  async createUpload({ fileName, size, apiKeyId = null }) {
+    const id = crypto.randomUUID();
+    const filePath = path.join(UPLOAD_DIR, `chunked-${id}.part`);
+    await fs.ensureDir(UPLOAD_DIR);
+    await fs.writeFile(filePath, '');
+
+    const upload = {
+      id,
+      apiKeyId, // 조회 범위 제한용 (응답에는 포함하지 않음)
+      fileName,
+      size,
+      offset: 0,
+      status: UPLOAD_STATUS.UPLOADING,
+      mimetype: null,
+      path: filePath,
+      writing: false,
+      release: storageManager.protect(filePath),
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    this.uploads.set(id, upload);
+    return upload;
+  }
+
+  /**
+   * 요청 본문을 업로드 파일 끝에 이어 붙이기
+   * - 전송이 중간에 끊겨도 받은 데이터까지는 유지하고 offset에 반영
+   * @param {Object} upload - 업로드 (offset이 요청의 Upload-Offset과 같은지 먼저 확인)
+   * @param {Object} stream - 요청 본문 스트림
+   * @returns {Promise<Object>} 갱신된 업로드
+   */
+  async appendChunk(upload, stream) {
+    const remaining = upload.size - upload.offset;
+    let received = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          callback(new Error(`전체 파일 크기(${upload.size}바이트)를 넘는 데이터입니다.`));
+          return;
+        }
+        callback(null, chunk);
+      }
+    });
+
+    upload.writing = true;
+    try {
+      await pipeline(stream, limiter, fs.createWriteStream(upload.path, { flags: 'a' }));
+    } finally {
+      // 크기 초과로 중단된 경우에도 실제로 기록된 위치에서 이어받을 수 있도록 파일 크기를 다시 확인
+      const { size } = await fs.stat(upload.path);
+      if (size > upload.size) {
+        await fs.truncate(upload.path, upload.size);
+      }
+      upload.offset = Math.min(size, upload.size);
+      upload.updatedAt = Date.now();
+      upload.writing = false;
+    }
+
+    return upload;
+  }
+
+  /**
+   * 업로드 완료 처리 - 파일 형식을 판별하고 확장자를 붙임
+   * @param {Object} upload - 모든 데이터를 받은 업로드
+   * @returns {Promise<Object>} 완료된 업로드
+   */
+  async completeUpload(upload) {
+    const head = Buffer.alloc(SNIFF_BYTES);
+    const fd = await fs.open(upload.path, 'r');
+    let bytesRead;
+    try {
+      ({ bytesRead } = await fs.read(fd, head, 0, SNIFF_BYTES, 0));
+    } finally {
+      await fs.close(fd);
+    }
+
+    const fileType = sniffFileType(head.subarray(0, bytesRead));
+    if (!fileType) {
+      throw new Error('지원하지 않는 파일 형식입니다.');
+    }
+
+    const filePath = path.join(UPLOAD_DIR, `chunked-${upload.id}${fileType.extension}`);
+    const release = storageManager.protect(filePath);
+    await fs.move(upload.path, filePath, { overwrite: true });
+    upload.release();
+
+    upload.path = filePath;
+    upload.release = release;
+    upload.mimetype = fileType.mimetype;
+    upload.status = UPLOAD_STATUS.COMPLETED;
+    upload.updatedAt = Date.now();
+    return upload;
+  }
+
+  /**
+   * 완료된 업로드를 처리 입력으로 가져가기 (한 번만 사용 가능)
+   * - 이후 파일은 일반 업로드 파일처럼 요청 처리가 끝나면 삭제됨
+   * - 파일 수정 시각은 마지막 청크 시점이므로, 정리 보호는 해제하지 않고 release로 넘겨
+   *   가져간 요청이 끝날 때 해제하도록 함
+   * @param {string} id - 업로드 ID
+   * @param {Object} [options] - 옵션
+   * @param {boolean} [options.allowArchive] - ZIP 파일 허용 여부 (일괄 압축 API)
+   * @param {string|null} [options.apiKeyId] - 가져가는 API 키 ID (키 없는 요청은 null)
+   * @returns {Object} { originalname, mimetype, path, size, release } - multer 업로드 파일과 같은 필드와 보호 해제 함수
+   */
+  claimUpload(id, options = {}) {
+    const upload = this.getUpload(id, options.apiKeyId);
+    if (!upload) {
+      throw new Error('업로드를 찾을 수 없습니다.');
+    }
+    if (upload.status !== UPLOAD_STATUS.COMPLETED) {
+      throw new Error('완료되지 않은 업로드입니다.');
+    }
+    if (upload.mimetype === 'application/zip' && !options.allowArchive) {
+      throw new Error('ZIP 파일은 이미지 일괄 압축 API에서만 사용할 수 있습니다.');
+    }
+
+    this.uploads.delete(id);
+
+    return {
+      originalname: upload.fileName,
+      mimetype: upload.mimetype,
+      path: upload.path,
+      size: upload.size,
+      release: upload.release
+    };
+  }
+
+  /**
+   * 업로드 취소 및 파일 삭제
+   * @param {Object} upload - 업로드
+   */
+  async removeUpload(upload) {
+    this.uploads.delete(upload.id);
+    upload.release();
+    await fs.remove(upload.path);
+  }
+
+  /**
+   * 업로드 조회 (다른 API 키로 만든 업로드는 찾지 않음)
+   * @param {string} id - 업로드 ID
+   * @param {string|null} [apiKeyId] - 조회하는 API 키 ID (키 없는 요청은 null)
+   * @returns {Object|null} 업로드 또는 null
+   */
+  getUpload(id, apiKeyId = null) {
+    const upload = this.uploads.get(id);
+    return upload && upload.apiKeyId === apiKeyId ? upload : null;
+  }
+
+  /**
+   * API 응답용 업로드 정보
+   * @param {Object} upload - 업로드
+   * @returns {Object} 직렬화된 업로드 정보
+   */
+  serialize(upload) {
+    return {
+      uploadId: upload.id,
+      fileName: upload.fileName,
+      size: upload.size,
+      offset: upload.offset,
+      status: upload.status,
+      mimetype: upload.mimetype,
+      createdAt: new Date(upload.createdAt).toISOString(),
+      expiresAt: new Date(upload.updatedAt + this.maxAge).toISOString()
+    };
+  }
+
+  /**
+   * 보관 시간이 지난 업로드 삭제 (전송 중인 업로드 제외)
+   */
+  async clearExpiredUploads() {
+    const now = Date.now();
+    for (const upload of Array.from(this.uploads.values())) {
+      if (!upload.writing && now - upload.updatedAt > this.maxAge) {
+        await this.removeUpload(upload);
+      }
+    }
+  }
+}
+
+// 싱글톤 인스턴스
+const uploadManager = new UploadManager();
+
+// 주기적 만료 업로드 정리
+setInterval(() => {
+  uploadManager.clearExpiredUploads().catch(error => console.error('분할 업로드 정리 오류:', error));
+}, 60000); // 1분마다 실행
+
+module.exports = uploadManager;
+module.exports.UPLOAD_STATUS = UPLOAD_STATUS;
@@ -0,0 +1,275 @@
+const { execFile } = require('child_process');
+const ffmpegStatic = require('ffmpeg-static');
+
+/**
+ * 영상 출력 코덱 모듈 - 영상/오디오 코덱, 컨테이너, 프리셋 검증과 인코더별 ffmpeg 옵션
+ * - 사용 가능한 인코더는 서버 시작 시 번들 ffmpeg(ffmpeg-static)의 `-encoders` 목록으로 한 번 확인
+ * - 프리셋은 x264 이름(ultrafast ~ veryslow)으로 받아 인코더별 속도 옵션으로 변환
+ * - 기본값(h264 + aac + mp4 + fast)은 기존 압축 결과와 동일
+ */
+
+// 영상 코덱별 인코더, 담을 수 있는 컨테이너, 품질 목표 압축의 CRF 탐색 범위,
+// 같은 화질에 필요한 비트 비율 (H.264 대비, 해상도 자동 축소 기준에 사용)
+const VIDEO_CODECS = {
+  h264: { encoder: 'libx264', containers: ['mp4', 'mkv', 'mov'], crfRange: [18, 45], efficiency: 1 },
+  h265: { encoder: 'libx265', containers: ['mp4', 'mkv', 'mov'], crfRange: [18, 45], efficiency: 0.6 },
+  vp9: { encoder: 'libvpx-vp9', containers: ['webm', 'mkv', 'mp4'], crfRange: [15, 60], efficiency: 0.65 },
+  av1: { encoder: 'libaom-av1', containers: ['mp4', 'webm', 'mkv'], crfRange: [15, 60], efficiency: 0.5, experimental: true }
+};
+
+// 오디오 코덱별 인코더와 담을 수 있는 컨테이너
+const AUDIO_CODECS = {
+  aac: { encoder: 'aac', containers: ['mp4', 'mkv', 'mov'] },
+  opus: { encoder: 'libopus', containers: ['webm', 'mkv'] },
+  mp3: { encoder: 'libmp3lame', containers: ['mp4', 'mkv', 'mov'] },
+  vorbis: { encoder: 'libvorbis', containers: ['webm', 'mkv'] }
+};
+
+// 컨테이너별 ffmpeg muxer 이름 (1-pass 출력 형식 지정용)
+const CONTAINERS = { mp4: 'mp4', mkv: 'matroska', webm: 'webm', mov: 'mov' };
+
+// 느릴수록 같은 용량에서 화질이 좋음
+const PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const DEFAULT_PRESET = 'fast';
+
+// 프리셋 순서별 -cpu-used 값 (libvpx-vp9, libaom-av1 - 클수록 빠름)
+const CPU_USED = {
+  'libvpx-vp9': [5, 5, 4, 4, 3, 2, 1, 1, 0],
+  'libaom-av1': [8, 8, 7, 6, 5, 4, 3, 2, 1]
+};
+
+let encodersPromise = null;
+
+/**
+ * 번들 ffmpeg에서 사용할 수 있는 인코더 목록 확인 (처음 한 번만 실행하고 결과 재사용)
+ * @returns {Promise<Set<string>>} 인코더 이름 집합 (확인에 실패하면 빈 집합)
+ */
+function probeEncoders() {
+  if (!encodersPromise) {
+    encodersPromise = new Promise((resolve) => {
+      execFile(ffmpegStatic, ['-hide_banner', '-encoders'], { maxBuffer: 4 * 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          console.error('ffmpeg 인코더 확인 오류:', error.message);
+          resolve(new Set());
+          return;
+        }
+        // 예: " V..... libx264              libx264 H.264 / AVC ..."
+        const encoders = stdout.split('\n')
+          .map(line => line.match(/^\s[VAS][.A-Z]{5}\s+(\S+)/))
+          .filter(Boolean)
+          .map(match => match[1]);
+        resolve(new Set(encoders));
+      });
+    });
+  }
+  return encodersPromise;
+}
+
+/**
+ * 이 서버에서 사용할 수 있는 코덱, 컨테이너, 프리셋 목록
+ * @returns {Promise<Object>} { videoCodecs, audioCodecs, containers, presets }
+ */
+async function getSupportedCodecs() {
+  const encoders = await probeEncoders();
+  const available = (codecs) => Object.entries(codecs)
+    .filter(([, codec]) => encoders.has(codec.encoder))
+    .map(([name, codec]) => ({ name, encoder: codec.encoder, containers: codec.containers }));
+
+  return {
+    videoCodecs: available(VIDEO_CODECS),
+    audioCodecs: available(AUDIO_CODECS),
+    containers: Object.keys(CONTAINERS),
+    presets: PRESETS,
+    defaultPreset: DEFAULT_PRESET
+  };
+}
+
+/**
+ * 요청의 코덱 파라미터 검증 및 기본값 적용
+ * - 컨테이너를 생략하면 두 코덱을 모두 담을 수 있는 첫 컨테이너 (h264/aac는 mp4)
+ * - 오디오 코덱을 생략하면 컨테이너에 담을 수 있는 첫 코덱 (mp4는 aac, webm은 opus)
+ * @param {Object} params - 요청 파라미터
+ * @param {string} [params.videoCodec] - 영상 코덱 (h264, h265, vp9, av1)
+ * @param {string} [params.audioCodec] - 오디오 코덱 (aac, opus, mp3, vorbis)
+ * @param {string} [params.container] - 컨테이너 (mp4, mkv, webm, mov)
+ * @param {string} [params.preset] - 인코딩 속도 프리셋
+ * @returns {Promise<Object>} { encoding } 또는 { error }
+ */
+async function resolveEncoding({ videoCodec, audioCodec, container, preset }) {
+  const encoders = await probeEncoders();
+
+  if (videoCodec !== undefined && !VIDEO_CODECS[videoCodec]) {
+    return { error: `영상 코덱은 ${Object.keys(VIDEO_CODECS).join(', ')} 중 하나여야 합니다.` };
+  }
+  if (audioCodec !== undefined && !AUDIO_CODECS[audioCodec]) {
+    return { error: `오디오 코덱은 ${Object.keys(AUDIO_CODECS).join(', ')} 중 하나여야 합니다.` };
+  }
+  if (container !== undefined && !CONTAINERS[container]) {
+    return { error: `컨테이너는 ${Object.keys(CONTAINERS).join(', ')} 중 하나여야 합니다.` };
+  }
+  if (preset !== undefined && !PRESETS.includes(preset)) {
+    return { error: `프리셋은 ${PRESETS.join(', ')} 중 하나여야 합니다.` };
+  }
+
+  const video = videoCodec || (container === 'webm' ? 'vp9' : 'h264');
+  const resolvedContainer = container || VIDEO_CODECS[video].containers
+    .find(name => !audioCodec || AUDIO_CODECS[audioCodec].containers.includes(name));
+  const audio = audioCodec || Object.keys(AUDIO_CODECS)
+    .find(name => AUDIO_CODECS[name].containers.includes(resolvedContainer) && encoders.has(AUDIO_CODECS[name].encoder));
+
+  if (!resolvedContainer || !VIDEO_CODECS[video].containers.includes(resolvedContainer)) {
+    return { error: `${video} 영상은 ${VIDEO_CODECS[video].containers.join(', ')} 컨테이너에만 담을 수 있습니다.` };
+  }
+  if (!audio || !AUDIO_CODECS[audio].containers.includes(resolvedContainer)) {
+    return { error: `${resolvedContainer} 컨테이너에 담을 수 있는 오디오 코덱은 ${Object.keys(AUDIO_CODECS).filter(name => AUDIO_CODECS[name].containers.includes(resolvedContainer)).join(', ')}입니다.` };
+  }
+  if (!encoders.has(VIDEO_CODECS[video].encoder)) {
+    return { error: `이 서버의 ffmpeg는 ${video} 인코더(${VIDEO_CODECS[video].encoder})를 지원하지 않습니다.` };
+  }
+  if (!encoders.has(AUDIO_CODECS[audio].encoder)) {
+    return { error: `이 서버의 ffmpeg는 ${audio} 인코더(${AUDIO_CODECS[audio].encoder})를 지원하지 않습니다.` };
+  }
+
+  return {
+    encoding: {
+      videoCodec: video,
+      audioCodec: audio,
+      container: resolvedContainer,
+      preset: preset || DEFAULT_PRESET
+    }
+  };
+}
+
+/**
+ * 기본 인코딩 설정 (h264 + aac + mp4 + fast)
+ * @returns {Object} { videoCodec, audioCodec, container, preset }
+ */
+function defaultEncoding() {
+  return { videoCodec: 'h264', audioCodec: 'aac', container: 'mp4', preset: DEFAULT_PRESET };
+}
+
+/**
+ * 영상 인코더와 속도 프리셋 옵션
+ * @param {Object} encoding - resolveEncoding 결과
+ * @returns {Array<string>} ffmpeg 출력 옵션
+ */
+function videoCodecOptions(encoding) {
+  const { encoder, experimental } = VIDEO_CODECS[encoding.videoCodec];
+  const speed = PRESETS.indexOf(encoding.preset);
+  const options = [`-c:v ${encoder}`];
+
+  if (CPU_USED[encoder]) {
+    options.push(`-cpu-used ${CPU_USED[encoder][speed]}`);
+    if (encoder === 'libvpx-vp9') {
+      options.push('-deadline good');
+    }
+  } else {
+    options.push(`-preset ${encoding.preset}`);
+  }
+  if (encoder === 'libx265') {
+    options.push('-x265-params log-level=error');
+  }
+  if (experimental) {
+    options.push('-strict experimental');
+  }
+  return options;
+}
+
+/**
+ * 2-pass 인코딩 단계 옵션 (libx265는 자체 통계 파일 옵션 사용)
+ * @param {Object} encoding - resolveEncoding 결과
+ * @param {number} pass - 단계 (1, 2)
+ * @param {string} passLogPrefix - 통계 파일 경로 접두사
+ * @returns {Array<string>} ffmpeg 출력 옵션
+ */
+function passOptions(encoding, pass, passLogPrefix) {
+  if (VIDEO_CODECS[encoding.videoCodec].encoder === 'libx265') {
+    return [`-x265-params pass=${pass}:stats=${passLogPrefix}-x265.log:log-level=error`];
+  }
+  return [`-pass ${pass}`, `-passlogfile ${passLogPrefix}`];
+}
+
+/**
+ * 고정 품질(CRF) 옵션 (libvpx-vp9, libaom-av1은 비트레이트 0으로 지정해야 CRF만 사용)
+ * @param {Object} encoding - resolveEncoding 결과
+ * @param {number} crf - CRF 값
+ * @returns {Array<string>} ffmpeg 출력 옵션
+ */
+function crfOptions(encoding, crf) {
+  return CPU_USED[VIDEO_CODECS[encoding.videoCodec].encoder]
+    ? [`-crf ${crf}`, '-b:v 0']
+    : [`-crf ${crf}`];
+}
+
+/**
+ * 오디오 인코더 옵션
+ * @param {Object} encoding - resolveEncoding 결과
+ * @param {number} audioBitrate - 오디오 비트레이트 (kbps, 0이면 오디오 제거)
+ * @returns {Array<string>} ffmpeg 출력 옵션
+ */
+function audioCodecOptions(encoding, audioBitrate) {
+  if (audioBitrate <= 0) {
+    return ['-an'];
+  }
+  return [`-c:a ${AUDIO_CODECS[encoding.audioCodec].encoder}`, `-b:a ${audioBitrate}k`];
+}
+
+/**
+ * 컨테이너 옵션 (MP4/MOV는 스트리밍 재생을 위해 moov를 앞으로, HEVC는 Apple 호환 태그 지정)
+ * @param {Object} encoding - resolveEncoding 결과
+ * @returns {Array<string>} ffmpeg 출력 옵션
+ */
+function containerOptions(encoding) {
+  if (!['mp4', 'mov'].includes(encoding.container)) {
+    return [];
+  }
+  return [
+    ...(encoding.videoCodec === 'h265' ? ['-tag:v hvc1'] : []),
+    '-movflags +faststart'
+  ];
+}
+
+/**
+ * 컨테이너의 ffmpeg muxer 이름
+ * @param {Object} encoding - resolveEncoding 결과
+ * @returns {string} muxer 이름 (-f 값)
+ */
+function muxerName(encoding) {
+  return CONTAINERS[encoding.container];
+}
+
+/**
+ * 품질 목표 압축의 CRF 탐색 범위
+ * @param {Object} encoding - resolveEncoding 결과
+ * @returns {Array<number>} [최소 CRF, 최대 CRF]
+ */
+function crfRange(encoding) {
+  return VIDEO_CODECS[encoding.videoCodec].crfRange;
+}
+
+/**
+ * 같은 화질에 필요한 비트 비율 (H.264 = 1)
+ * @param {Object} encoding - resolveEncoding 결과
+ * @returns {number} 비율
+ */
+function codecEfficiency(encoding) {
+  return VIDEO_CODECS[encoding.videoCodec].efficiency;
+}
+
+// 서버 시작 시 인코더 목록을 미리 확인
+probeEncoders();
+
+module.exports = {
+  getSupportedCodecs,
+  resolveEncoding,
+  defaultEncoding,
+  videoCodecOptions,
+  passOptions,
+  crfOptions,
+  audioCodecOptions,
+  containerOptions,
+  muxerName,
+  crfRange,
+  codecEfficiency,
+  PRESETS
+};
@@ -2,29 +2,97 @@ const ffmpeg = require('fluent-ffmpeg');
 const ffmpegStatic = require('ffmpeg-static');
 const fs = require('fs-extra');
 const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { selectSampleWindows, measureVideoQuality } = require('./qualityMetrics');
+const storage = require('./storage');
+const videoCodecs = require('./videoCodecs');
 
 // ffmpeg 경로 설정
 ffmpeg.setFfmpegPath(ffmpegStatic);
 
+// 크기 목표 압축 설정
+const CONTAINER_OVERHEAD_RATIO = 0.02; // MP4 컨테이너 오버헤드 (약 2%)
+const MIN_VIDEO_BITRATE = 20; // 최소 영상 비트레이트 (kbps)
+const MAX_ENCODE_ATTEMPTS = 4; // 용량 초과 시 최대 인코딩 시도 횟수
+
+// 목표 용량이 작을 때 해상도/프레임레이트 자동 축소 설정
+const MIN_BITS_PER_PIXEL = 0.05; // 프레임당 픽셀당 최소 비트 (H.264 기준, 이보다 낮으면 블록 노이즈가 심해짐)
+const RESOLUTION_STEPS = [1440, 1080, 720, 540, 480, 360, 240, 144]; // 축소 단계 (짧은 변 기준)
+const PREFERRED_MIN_HEIGHT = 360; // 이 해상도까지는 프레임레이트보다 해상도를 먼저 낮춤
+const HIGH_FPS = 30; // 이보다 높은 프레임레이트는 해상도보다 먼저 절반으로 낮춤
+const MIN_AUTO_FPS = 15; // 자동으로 낮출 최저 프레임레이트
+const DEFAULT_FPS = 30; // 프레임레이트를 알 수 없을 때 계산에 사용할 값
+
+// 품질 목표 압축 설정 (CRF 탐색 범위는 코덱별로 videoCodecs에 정의, 낮을수록 고품질)
+const QUALITY_METRICS = ['ssim', 'psnr'];
+const QUALITY_AUDIO_BITRATE = 128; // 품질 목표 압축 시 오디오 비트레이트 (kbps)
+
+// 적응형 스트리밍(HLS/DASH) 설정
+const STREAMING_FORMATS = ['hls', 'dash'];
+const SEGMENT_SECONDS = 4; // 세그먼트 길이 (초, 모든 렌디션의 키프레임 간격)
+const PACKAGING_OVERHEAD_RATIO = { hls: 0.08, dash: 0.03 }; // 세그먼트 컨테이너 오버헤드 (MPEG-TS가 더 큼)
+const MAX_LADDER_ATTEMPTS = 2; // 총 용량 초과 시 최대 래더 인코딩 횟수
+
+// 렌디션 래더 (짧은 변 기준 해상도, 예산 배분 가중치, 렌디션 총 비트레이트 최소/최대 kbps)
+const STREAM_LADDER = [
+  { name: '1080p', height: 1080, weight: 5, minBitrate: 1500, maxBitrate: 6000 },
+  { name: '720p', height: 720, weight: 3, minBitrate: 800, maxBitrate: 3500 },
+  { name: '480p', height: 480, weight: 1.5, minBitrate: 400, maxBitrate: 1500 },
+  { name: '360p', height: 360, weight: 1, minBitrate: 200, maxBitrate: 900 },
+  { name: '240p', height: 240, weight: 0.5, minBitrate: 80, maxBitrate: 450 }
+];
+
+// 구간 자르기 설정
+const MAX_TRIM_RANGES = 20; // 한 번에 이어 붙일 수 있는 최대 구간 수
+const TRIM_FLIPS = ['horizontal', 'vertical'];
+const TRIM_CRF = 18; // 재인코딩 시 CRF (원본과 거의 구분되지 않는 화질)
+const TRIM_AUDIO_BITRATE = 192; // 재인코딩 시 오디오 비트레이트 (kbps)
+const TRIM_PROGRESS_SHARE = 0.3; // 목표 용량 압축을 이어서 할 때 자르기 단계가 차지하는 진행률 비율
+const ROTATE_FILTERS = { 90: ['transpose=1'], 180: ['hflip', 'vflip'], 270: ['transpose=2'] }; // 시계 방향 회전 필터
+
+// 분할 시 스트림 복사가 가능한 컨테이너별 코덱
+const STREAM_COPY_CODECS = {
+  mp4: { video: ['h264', 'hevc', 'mpeg4', 'av1'], audio: ['aac', 'mp3', 'none'] },
+  webm: { video: ['vp8', 'vp9', 'av1'], audio: ['opus', 'vorbis', 'none'] }
+};
+
 /**
  * 영상을 목표 용량 이하로 압축
+ * - targetQuality를 지정하면 용량 대신 샘플 구간의 SSIM/PSNR이 목표 이상인 가장 높은 CRF로 인코딩
  * @param {string} inputPath - 입력 영상 경로
- * @param {number} targetSizeKB - 목표 용량 (KB)
+ * @param {number|null} targetSizeKB - 목표 용량 (KB, targetQuality 사용 시 무시)
+ * @param {Object} [options] - 압축 및 작업 옵션
+ * @param {number} [options.targetQuality] - 목표 품질 점수 (SSIM 0~1 또는 PSNR dB)
+ * @param {string} [options.qualityMetric] - 품질 지표 (ssim, psnr - 기본값 ssim)
+ * @param {Function} [options.onIteration] - 품질 탐색 단계마다 호출 ({ iteration, crf, score, metric })
+ * @param {Function} [options.onProgress] - 진행률 콜백 ({ partNumber, totalParts, percent })
+ * @param {Function} [options.onCommand] - ffmpeg 명령 시작 시 호출 (작업 취소용)
+ * @param {boolean} [options.forceEncode] - 목표 용량 이하여도 MP4로 인코딩 (예: 애니메이션 GIF 변환)
+ * @param {Object} [options.encoding] - 출력 코덱 설정 (videoCodecs.resolveEncoding 결과, 지정하면 목표 용량 이하여도 인코딩)
+ * @param {Object} [options.limits] - 출력 최대 크기 { maxWidth, maxHeight, maxFps } (원본이 넘으면 목표 용량 이하여도 인코딩)
  * @returns {Promise<Object>} 압축 결과
  */
-async function compressVideo(inputPath, targetSizeKB) {
+async function compressVideo(inputPath, targetSizeKB, options = {}) {
   const startTime = Date.now(); // 처리 시간 측정 시작
   
   try {
-    const outputDir = path.join(__dirname, '..', 'output');
+    const outputDir = storage.outputDir;
     await fs.ensureDir(outputDir);
     
     // 원본 파일 정보
     const originalStats = await fs.stat(inputPath);
     const originalSizeKB = (originalStats.size / 1024).toFixed(2);
     
-    // 이미 목표 용량 이하인 경우
-    if (parseFloat(originalSizeKB) <= targetSizeKB) {
+    if (options.targetQuality !== undefined && options.targetQuality !== null) {
+      return await compressToTargetQuality(inputPath, parseFloat(originalSizeKB), startTime, options);
+    }
+    
+    // 영상 정보 가져오기
+    const videoInfo = await getVideoInfo(inputPath);
+    
+    // 이미 목표 용량 이하인 경우 (코덱을 지정했거나 최대 크기를 넘으면 변환을 위해 인코딩)
+    if (parseFloat(originalSizeKB) <= targetSizeKB && !options.forceEncode && !options.encoding && !exceedsLimits(videoInfo, options.limits)) {
       const outputPath = path.join(outputDir, `compressed_${Date.now()}_${path.basename(inputPath)}`);
       await fs.copy(inputPath, outputPath);
       
@@ -34,89 +102,1269 @@ async function compressVideo(inputPath, targetSizeKB) {
         originalSize: parseFloat(originalSizeKB),
         compressedSize: parseFloat(originalSizeKB),
         compressionRatio: 0,
-        outputPath: `/output/${path.basename(outputPath)}`,
+        outputPath: await storage.publish(outputPath),
         action: 'copied',
         processingTime: `${(Date.now() - startTime) / 1000} 초`
       };
     }
     
-    // 영상 정보 가져오기
-    const videoInfo = await getVideoInfo(inputPath);
+    const baseFileName = path.basename(inputPath, path.extname(inputPath));
+    const encoding = options.encoding || videoCodecs.defaultEncoding();
+    const outputPath = path.join(outputDir, `compressed_${Date.now()}_${baseFileName}.${encoding.container}`);
+    
+    // 비트레이트 예산으로 볼 때 화질이 너무 떨어지면 해상도/프레임레이트를 낮춤
+    const hasAudio = videoInfo.audioCodec !== 'none';
+    const { videoBitrate } = calculateBitrates(targetSizeKB, videoInfo.duration, hasAudio);
+    const output = selectOutputFormat(videoInfo, {
+      ...options.limits,
+      videoBitrate,
+      efficiency: videoCodecs.codecEfficiency(encoding)
+    });
+    
+    // 2-pass 인코딩 + 용량 검증/재인코딩
+    const encoded = await encodeToTargetSize(inputPath, outputPath, targetSizeKB, {
+      duration: videoInfo.duration,
+      hasAudio,
+      encoding,
+      ...output.settings
+    }, options);
+    const compressedSizeKB = encoded.sizeKB.toFixed(2);
+    
+    const compressionRatio = ((parseFloat(originalSizeKB) - parseFloat(compressedSizeKB)) / parseFloat(originalSizeKB) * 100).toFixed(1);
+    
+    return {
+      success: true,
+      message: `영상이 성공적으로 압축되었습니다.`,
+      originalSize: parseFloat(originalSizeKB),
+      compressedSize: parseFloat(compressedSizeKB),
+      compressionRatio: parseFloat(compressionRatio),
+      duration: videoInfo.duration,
+      resolution: videoInfo.resolution,
+      outputResolution: output.resolution,
+      fps: videoInfo.fps,
+      outputFps: output.fps,
+      bitrate: encoded.videoBitrate,
+      audioBitrate: encoded.audioBitrate,
+      videoCodec: encoding.videoCodec,
+      audioCodec: encoded.audioBitrate > 0 ? encoding.audioCodec : null,
+      container: encoding.container,
+      preset: encoding.preset,
+      attempts: encoded.attempts,
+      outputPath: await storage.publish(outputPath),
+      action: 'compressed',
+      processingTime: `${(Date.now() - startTime) / 1000} 초`
+    };
     
-    // 목표 비트레이트 계산 (kbps)
-    const targetBitrate = Math.floor((targetSizeKB * 8) / videoInfo.duration);
+  } catch (error) {
+    console.error('영상 압축 오류:', error);
+    throw new Error(`영상 압축 실패: ${error.message}`);
+  }
+}
+
+/**
+ * 품질 목표 압축 - 샘플 구간만 인코딩해 목표 품질을 만족하는 가장 높은 CRF를 이진 탐색한 뒤 전체 인코딩
+ * - 샘플 구간은 영상 전체에 고르게 퍼진 몇 초 길이 구간 (selectSampleWindows)
+ * - 탐색은 진행률 0~50%, 전체 인코딩과 최종 측정은 50~100%로 보고
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {number} originalSizeKB - 원본 용량 (KB)
+ * @param {number} startTime - 처리 시작 시각
+ * @param {Object} options - compressVideo 옵션
+ * @returns {Promise<Object>} 압축 결과
+ */
+async function compressToTargetQuality(inputPath, originalSizeKB, startTime, options) {
+  const metric = options.qualityMetric || 'ssim';
+  const targetQuality = options.targetQuality;
+  
+  if (!QUALITY_METRICS.includes(metric)) {
+    throw new Error(`지원하지 않는 품질 지표입니다: ${metric}`);
+  }
+  
+  const outputDir = storage.outputDir;
+  const encoding = options.encoding || videoCodecs.defaultEncoding();
+  const [lowestCrf, highestCrf] = videoCodecs.crfRange(encoding);
+  const videoInfo = await getVideoInfo(inputPath);
+  const hasAudio = videoInfo.audioCodec !== 'none';
+  // 품질 목표 압축은 자동 축소 없이 지정한 최대 크기만 적용
+  const output = selectOutputFormat(videoInfo, options.limits);
+  const samples = selectSampleWindows(videoInfo.duration);
+  const baseFileName = path.basename(inputPath, path.extname(inputPath));
+  const filePrefix = path.join(outputDir, `compressed_${Date.now()}_${baseFileName}`);
+  
+  // 탐색 단계 수 (진행률 계산용)
+  const expectedIterations = Math.ceil(Math.log2(highestCrf - lowestCrf + 1));
+  let iteration = 0;
+  
+  // 주어진 CRF로 샘플 구간을 인코딩하고 원본과 비교한 평균 점수 계산
+  const measureCrf = async (crf) => {
+    iteration++;
+    const scores = [];
+    
+    for (let i = 0; i < samples.length; i++) {
+      const samplePath = `${filePrefix}_sample${i + 1}.${encoding.container}`;
+      try {
+        await encodeCrf(inputPath, samplePath, { crf, ...samples[i], audioBitrate: 0, encoding, ...output.settings }, options);
+        scores.push(await measureVideoQuality(inputPath, { ...samples[i], fps: output.settings.fps }, samplePath, 0, videoInfo.resolution, options));
+      } finally {
+        await fs.remove(samplePath);
+      }
+      
+      if (options.onProgress) {
+        const done = (iteration - 1) + (i + 1) / samples.length;
+        options.onProgress({ percent: Math.min(50, (done / expectedIterations) * 50) });
+      }
+    }
     
-    const outputPath = path.join(outputDir, `compressed_${Date.now()}_${path.basename(inputPath)}`);
+    const score = averageScore(scores, metric);
+    if (options.onIteration) {
+      options.onIteration({ iteration, crf, metric, score, targetQuality });
+    }
+    return score;
+  };
+  
+  // 목표 점수를 만족하는 가장 높은 CRF(가장 작은 용량) 탐색
+  let bestCrf = null;
+  let minCrf = lowestCrf;
+  let maxCrf = highestCrf;
+  
+  while (minCrf <= maxCrf) {
+    const crf = Math.floor((minCrf + maxCrf) / 2);
+    const score = await measureCrf(crf);
     
-    // 영상 압축
+    if (score >= targetQuality) {
+      bestCrf = crf;
+      minCrf = crf + 1;
+    } else {
+      maxCrf = crf - 1;
+    }
+  }
+  
+  // 최저 CRF로도 목표에 도달하지 못하면 최저 CRF(최고 품질)로 인코딩
+  const crf = bestCrf === null ? lowestCrf : bestCrf;
+  const outputPath = `${filePrefix}.${encoding.container}`;
+  
+  await encodeCrf(inputPath, outputPath, {
+    crf,
+    encoding,
+    ...output.settings,
+    duration: videoInfo.duration,
+    audioBitrate: hasAudio ? QUALITY_AUDIO_BITRATE : 0,
+    onPercent: (percent) => {
+      if (options.onProgress) options.onProgress({ percent: 50 + percent * 0.45 });
+    }
+  }, options);
+  
+  // 완성된 파일의 같은 샘플 구간으로 최종 점수 측정
+  const finalScores = [];
+  for (const sample of samples) {
+    finalScores.push(await measureVideoQuality(inputPath, { ...sample, fps: output.settings.fps }, outputPath, sample.startTime, videoInfo.resolution, options));
+  }
+  const score = averageScore(finalScores, metric);
+  const targetNotReached = score < targetQuality;
+  
+  const stats = await fs.stat(outputPath);
+  const compressedSizeKB = parseFloat((stats.size / 1024).toFixed(2));
+  const compressionRatio = ((originalSizeKB - compressedSizeKB) / originalSizeKB * 100).toFixed(1);
+  
+  return {
+    success: true,
+    message: targetNotReached
+      ? `최저 CRF(${lowestCrf})로도 목표 ${metric.toUpperCase()}(${targetQuality})에 도달하지 못했습니다.`
+      : `영상이 목표 품질로 압축되었습니다.`,
+    originalSize: originalSizeKB,
+    compressedSize: compressedSizeKB,
+    compressionRatio: parseFloat(compressionRatio),
+    duration: videoInfo.duration,
+    resolution: videoInfo.resolution,
+    outputResolution: output.resolution,
+    fps: videoInfo.fps,
+    outputFps: output.fps,
+    crf,
+    qualityMetric: metric,
+    targetQuality,
+    score,
+    ssim: parseFloat(averageScore(finalScores, 'ssim').toFixed(4)),
+    psnr: parseFloat(averageScore(finalScores, 'psnr').toFixed(2)),
+    samples: samples.length,
+    audioBitrate: hasAudio ? QUALITY_AUDIO_BITRATE : 0,
+    videoCodec: encoding.videoCodec,
+    audioCodec: hasAudio ? encoding.audioCodec : null,
+    container: encoding.container,
+    preset: encoding.preset,
+    attempts: iteration,
+    outputPath: await storage.publish(outputPath),
+    action: 'compressed',
+    targetNotReached,
+    processingTime: `${(Date.now() - startTime) / 1000} 초`
+  };
+}
+
+/**
+ * 샘플 구간별 측정 결과의 평균 점수 (PSNR은 동일 프레임(inf)을 100dB로 간주)
+ * @param {Array<Object>} scores - measureVideoQuality 결과 목록
+ * @param {string} metric - 품질 지표 (ssim, psnr)
+ * @returns {number} 평균 점수
+ */
+function averageScore(scores, metric) {
+  const values = scores.map(score => Math.min(score[metric], 100));
+  const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return parseFloat(average.toFixed(metric === 'ssim' ? 4 : 2));
+}
+
+/**
+ * CRF(고정 품질) 인코딩
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {string} outputPath - 출력 영상 경로
+ * @param {Object} settings - 인코딩 설정
+ * @param {number} settings.crf - CRF 값
+ * @param {Object} [settings.encoding] - 출력 코덱 설정 (생략 시 h264 + aac + mp4)
+ * @param {number} [settings.width] - 출력 너비 (px, height와 함께 지정, 생략 시 원본 해상도)
+ * @param {number} [settings.height] - 출력 높이 (px)
+ * @param {number} [settings.fps] - 출력 프레임레이트 (생략 시 원본)
+ * @param {number} settings.duration - 인코딩 길이 (초)
+ * @param {number} [settings.startTime] - 구간 시작 시간 (초, 생략 시 처음부터)
+ * @param {number} settings.audioBitrate - 오디오 비트레이트 (kbps, 0이면 오디오 제거)
+ * @param {Function} [settings.onPercent] - 인코딩 진행률 콜백 (0~100)
+ * @param {Object} options - 작업 옵션 (onCommand)
+ * @returns {Promise<void>}
+ */
+function encodeCrf(inputPath, outputPath, settings, options) {
+  const { crf, duration, startTime, audioBitrate, onPercent, width, height, fps } = settings;
+  const encoding = settings.encoding || videoCodecs.defaultEncoding();
+  
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    
+    if (startTime !== undefined) {
+      command.seekInput(startTime).duration(duration);
+    }
+    
+    command
+      .outputOptions([
+        ...videoCodecs.videoCodecOptions(encoding),
+        ...videoCodecs.crfOptions(encoding, crf),
+        '-pix_fmt yuv420p',
+        width && height ? `-vf scale=${width}:${height}` : '-vf scale=trunc(iw/2)*2:trunc(ih/2)*2',
+        ...(fps ? [`-r ${fps}`] : []),
+        ...videoCodecs.audioCodecOptions(encoding, audioBitrate),
+        ...videoCodecs.containerOptions(encoding)
+      ])
+      .output(outputPath)
+      .on('start', (cmd) => {
+        console.log(`FFmpeg 명령어 실행 (CRF ${crf}):`, cmd);
+        if (options.onCommand) options.onCommand(command);
+      })
+      .on('progress', (progress) => {
+        if (onPercent) onPercent(calculatePercent(progress, duration));
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => {
+        console.error(`CRF ${crf} 인코딩 오류:`, err);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * 전체 비트레이트 예산에 맞는 오디오 비트레이트 선택
+ * - 기본 128kbps, 예산이 작으면 영상 비트레이트를 확보하기 위해 낮춤
+ * @param {number} totalBitrate - 전체 비트레이트 예산 (kbps)
+ * @returns {number} 오디오 비트레이트 (kbps)
+ */
+function selectAudioBitrate(totalBitrate) {
+  if (totalBitrate >= 640) return 128;
+  if (totalBitrate >= 256) return 64;
+  return 32;
+}
+
+/**
+ * 목표 용량과 길이로 비트레이트 예산 계산 (kbps, ffmpeg 기준 1kbit = 1000bit)
+ * - 컨테이너 오버헤드를 먼저 제외하고, 오디오가 있으면 오디오 비트레이트를 나눠 가짐
+ * @param {number} targetSizeKB - 목표 용량 (KB)
+ * @param {number} duration - 영상 길이 (초)
+ * @param {boolean} hasAudio - 오디오 포함 여부
+ * @returns {Object} { totalBitrate, audioBitrate, videoBitrate }
+ */
+function calculateBitrates(targetSizeKB, duration, hasAudio) {
+  const totalBitrate = Math.floor((targetSizeKB * 1024 * 8 * (1 - CONTAINER_OVERHEAD_RATIO)) / 1000 / duration);
+  const audioBitrate = hasAudio ? selectAudioBitrate(totalBitrate) : 0;
+  return { totalBitrate, audioBitrate, videoBitrate: totalBitrate - audioBitrate };
+}
+
+/**
+ * 출력 해상도와 프레임레이트 선택
+ * - maxWidth/maxHeight는 비율을 유지해 맞추고, maxFps보다 높은 프레임레이트는 maxFps로 낮춤
+ * - videoBitrate를 주면 픽셀당 비트가 기준(MIN_BITS_PER_PIXEL × 코덱 효율)보다 낮은 동안 단계적으로 축소
+ *   (30fps 초과는 절반으로 → 짧은 변 360까지 해상도 → 15fps → 나머지 해상도 단계 순)
+ * - 원본보다 키우지 않음
+ * @param {Object} videoInfo - getVideoInfo 결과
+ * @param {Object} [limits] - 선택 조건
+ * @param {number} [limits.maxWidth] - 최대 너비 (px)
+ * @param {number} [limits.maxHeight] - 최대 높이 (px)
+ * @param {number} [limits.maxFps] - 최대 프레임레이트
+ * @param {number} [limits.videoBitrate] - 영상 비트레이트 예산 (kbps, 생략하면 자동 축소 안 함)
+ * @param {number} [limits.efficiency] - H.264 대비 필요한 비트 비율 (기본값 1)
+ * @returns {Object} { resolution, fps, settings } - settings는 인코딩에 넘길 { width, height, fps } (원본과 같은 항목은 생략)
+ */
+function selectOutputFormat(videoInfo, limits = {}) {
+  const [sourceWidth, sourceHeight] = videoInfo.resolution.split('x').map(Number);
+  const sourceFps = videoInfo.fps || DEFAULT_FPS;
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+  
+  const fit = Math.min(1, limits.maxWidth ? limits.maxWidth / sourceWidth : 1, limits.maxHeight ? limits.maxHeight / sourceHeight : 1);
+  let width = fit < 1 ? even(sourceWidth * fit) : sourceWidth;
+  let height = fit < 1 ? even(sourceHeight * fit) : sourceHeight;
+  let fps = limits.maxFps ? Math.min(sourceFps, limits.maxFps) : sourceFps;
+  
+  if (limits.videoBitrate) {
+    const minBitsPerPixel = MIN_BITS_PER_PIXEL * (limits.efficiency || 1);
+    const bitsPerPixel = () => limits.videoBitrate * 1000 / (width * height * fps);
+    const scaleTo = (shortSide) => {
+      const scale = shortSide / Math.min(width, height);
+      width = even(width * scale);
+      height = even(height * scale);
+    };
+    
+    while (bitsPerPixel() < minBitsPerPixel) {
+      const shortSide = Math.min(width, height);
+      const step = RESOLUTION_STEPS.find(value => value < shortSide);
+      
+      if (fps > HIGH_FPS) {
+        fps = fps / 2;
+      } else if (step && shortSide > PREFERRED_MIN_HEIGHT) {
+        scaleTo(step);
+      } else if (fps > MIN_AUTO_FPS) {
+        fps = MIN_AUTO_FPS;
+      } else if (step) {
+        scaleTo(step);
+      } else {
+        break;
+      }
+    }
+  }
+  
+  fps = parseFloat(fps.toFixed(3));
+  const resized = width !== sourceWidth || height !== sourceHeight;
+  const fpsChanged = fps !== sourceFps;
+  
+  return {
+    resolution: `${width}x${height}`,
+    fps: videoInfo.fps || fpsChanged ? fps : null,
+    settings: {
+      ...(resized ? { width, height } : {}),
+      ...(fpsChanged ? { fps } : {})
+    }
+  };
+}
+
+/**
+ * 원본이 지정한 최대 해상도/프레임레이트를 넘는지 확인
+ * @param {Object} videoInfo - getVideoInfo 결과
+ * @param {Object} [limits] - { maxWidth, maxHeight, maxFps }
+ * @returns {boolean} 넘는 항목이 있으면 true
+ */
+function exceedsLimits(videoInfo, limits) {
+  if (!limits) {
+    return false;
+  }
+  const [width, height] = videoInfo.resolution.split('x').map(Number);
+  return Boolean((limits.maxWidth && width > limits.maxWidth) ||
+    (limits.maxHeight && height > limits.maxHeight) ||
+    (limits.maxFps && videoInfo.fps > limits.maxFps));
+}
+
+/**
+ * 영상(또는 영상의 한 구간)을 목표 용량 이하로 인코딩
+ * - 컨테이너 오버헤드와 오디오 비트레이트를 먼저 제외한 예산으로 2-pass 인코딩
+ * - 결과가 목표 용량을 넘으면 초과분만큼 비트레이트를 낮춰 재인코딩
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {string} outputPath - 출력 영상 경로 (확장자는 segment.encoding의 컨테이너)
+ * @param {number} targetSizeKB - 목표 용량 (KB)
+ * @param {Object} segment - 인코딩 구간 정보
+ * @param {number} segment.duration - 인코딩 길이 (초)
+ * @param {boolean} segment.hasAudio - 오디오 포함 여부
+ * @param {number} [segment.startTime] - 구간 시작 시간 (초, 생략 시 전체)
+ * @param {number} [segment.partNumber] - 진행률 보고용 파트 번호
+ * @param {number} [segment.totalParts] - 진행률 보고용 전체 파트 수
+ * @param {number} [segment.width] - 출력 너비 (px, height와 함께 지정, 생략 시 원본 해상도)
+ * @param {number} [segment.height] - 출력 높이 (px)
+ * @param {number} [segment.fps] - 출력 프레임레이트 (생략 시 원본)
+ * @param {number} [segment.keyframeInterval] - 키프레임 고정 간격 (초, 스트리밍 세그먼트용)
+ * @param {Object} [segment.encoding] - 출력 코덱 설정 (생략 시 h264 + aac + mp4)
+ * @param {Object} options - 작업 옵션 (onProgress, onCommand)
+ * @returns {Promise<Object>} { sizeKB, videoBitrate, audioBitrate, attempts }
+ */
+async function encodeToTargetSize(inputPath, outputPath, targetSizeKB, segment, options) {
+  const { duration, hasAudio } = segment;
+  const budget = calculateBitrates(targetSizeKB, duration, hasAudio);
+  const { totalBitrate, audioBitrate } = budget;
+  let videoBitrate = budget.videoBitrate;
+  
+  if (videoBitrate < MIN_VIDEO_BITRATE) {
+    throw new Error(`목표 용량(${targetSizeKB}KB)이 영상 길이(${duration.toFixed(1)}초)에 비해 너무 작습니다.`);
+  }
+  
+  const passLogPrefix = outputPath.replace(/\.[^.]+$/, '') + '_passlog';
+  let sizeKB;
+  let attempts = 0;
+  
+  try {
+    while (true) {
+      attempts++;
+      
+      await encodeTwoPass(inputPath, outputPath, {
+        ...segment,
+        videoBitrate,
+        audioBitrate,
+        passLogPrefix,
+        attempt: attempts
+      }, options);
+      
+      const stats = await fs.stat(outputPath);
+      sizeKB = stats.size / 1024;
+      
+      if (sizeKB <= targetSizeKB) {
+        break;
+      }
+      
+      await fs.remove(outputPath);
+      
+      if (attempts >= MAX_ENCODE_ATTEMPTS) {
+        throw new Error(`${attempts}회 인코딩 후에도 목표 용량(${targetSizeKB}KB)을 맞추지 못했습니다.`);
+      }
+      
+      // 초과 비율만큼 영상 비트레이트를 줄이고 여유분(5%)을 추가로 확보
+      const overshoot = (sizeKB * 1024 * 8 / 1000 / duration) - totalBitrate;
+      videoBitrate = Math.floor(Math.min(
+        videoBitrate * (targetSizeKB / sizeKB),
+        videoBitrate - overshoot
+      ) * 0.95);
+      
+      if (videoBitrate < MIN_VIDEO_BITRATE) {
+        throw new Error(`목표 용량(${targetSizeKB}KB)을 맞출 수 있는 비트레이트를 찾지 못했습니다.`);
+      }
+      
+      console.log(`목표 용량 초과 (${sizeKB.toFixed(2)}KB > ${targetSizeKB}KB), 비트레이트 ${videoBitrate}kbps로 재인코딩`);
+    }
+  } finally {
+    await removePassLogs(passLogPrefix);
+  }
+  
+  return { sizeKB, videoBitrate, audioBitrate, attempts };
+}
+
+/**
+ * 2-pass 인코딩
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {string} outputPath - 출력 영상 경로
+ * @param {Object} settings - 인코딩 설정
+ * @param {number} settings.videoBitrate - 영상 비트레이트 (kbps)
+ * @param {number} settings.audioBitrate - 오디오 비트레이트 (kbps, 0이면 오디오 제거)
+ * @param {number} settings.duration - 영상 길이 (초)
+ * @param {number} [settings.startTime] - 구간 시작 시간 (초, 생략 시 처음부터)
+ * @param {number} [settings.partNumber] - 진행률 보고용 파트 번호 (기본 1)
+ * @param {number} [settings.totalParts] - 진행률 보고용 전체 파트 수 (기본 1)
+ * @param {number} [settings.width] - 출력 너비 (px, height와 함께 지정, 생략 시 원본 해상도)
+ * @param {number} [settings.height] - 출력 높이 (px)
+ * @param {number} [settings.fps] - 출력 프레임레이트 (생략 시 원본)
+ * @param {number} [settings.keyframeInterval] - 키프레임 고정 간격 (초)
+ * @param {Object} [settings.encoding] - 출력 코덱 설정 (생략 시 h264 + aac + mp4)
+ * @param {string} settings.passLogPrefix - 2-pass 통계 파일 경로 접두사
+ * @param {number} settings.attempt - 현재 시도 번호 (로그용)
+ * @param {Object} options - 작업 옵션 (onProgress, onCommand)
+ * @returns {Promise<void>}
+ */
+async function encodeTwoPass(inputPath, outputPath, settings, options) {
+  const { videoBitrate, audioBitrate, duration, startTime, passLogPrefix, attempt, width, height, fps, keyframeInterval } = settings;
+  const partNumber = settings.partNumber || 1;
+  const totalParts = settings.totalParts || 1;
+  const encoding = settings.encoding || videoCodecs.defaultEncoding();
+  const videoOptions = [
+    ...videoCodecs.videoCodecOptions(encoding),
+    // 재생 호환성을 위해 4:2:0 및 짝수 해상도로 맞춤 (GIF 등 RGB/홀수 해상도 입력 대응)
+    '-pix_fmt yuv420p',
+    width && height ? `-vf scale=${width}:${height}` : '-vf scale=trunc(iw/2)*2:trunc(ih/2)*2',
+    ...(fps ? [`-r ${fps}`] : []),
+    `-b:v ${videoBitrate}k`,
+    `-maxrate ${Math.floor(videoBitrate * 1.5)}k`,
+    `-bufsize ${videoBitrate * 2}k`,
+    // 렌디션 간 세그먼트 경계를 맞추기 위해 일정 간격으로 키프레임 강제
+    ...(keyframeInterval ? [`-force_key_frames expr:gte(t,n_forced*${keyframeInterval})`] : [])
+  ];
+  const audioOptions = videoCodecs.audioCodecOptions(encoding, audioBitrate);
+  
+  for (const pass of [1, 2]) {
     await new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .videoBitrate(targetBitrate)
-        .audioBitrate('128k')
-        .outputOptions([
-          '-c:v libx264',
-          '-c:a aac',
-          '-preset fast',
-          '-crf 23',
-          '-maxrate ' + targetBitrate + 'k',
-          '-bufsize ' + (targetBitrate * 2) + 'k',
-          '-movflags +faststart'
-        ])
-        .output(outputPath)
+      const command = ffmpeg(inputPath);
+      
+      if (startTime !== undefined) {
+        command.seekInput(startTime).duration(duration);
+      }
+      
+      if (pass === 1) {
+        // 1-pass: 통계만 수집하므로 오디오 없이 버림
+        // (2-pass와 프레임 수가 같도록 null 대신 출력과 동일한 muxer 사용)
+        command
+          .outputOptions([...videoOptions, ...videoCodecs.passOptions(encoding, 1, passLogPrefix), '-an', `-f ${videoCodecs.muxerName(encoding)}`])
+          .output('/dev/null');
+      } else {
+        command
+          .outputOptions([...videoOptions, ...videoCodecs.passOptions(encoding, 2, passLogPrefix), ...audioOptions, ...videoCodecs.containerOptions(encoding)])
+          .output(outputPath);
+      }
+      
+      command
         .on('start', (cmd) => {
-          console.log('FFmpeg 명령어 실행:', cmd);
+          console.log(`FFmpeg 명령어 실행 (파트 ${partNumber}/${totalParts}, 시도 ${attempt}, pass ${pass}/2):`, cmd);
+          if (options.onCommand) options.onCommand(command);
         })
         .on('progress', (progress) => {
-          console.log(`압축 진행 중: ${progress.percent ? progress.percent.toFixed(2) : 0}%`);
+          // pass 1은 0~50%, pass 2는 50~100%로 환산
+          const percent = (pass - 1) * 50 + calculatePercent(progress, duration) / 2;
+          console.log(`압축 진행 중 (파트 ${partNumber}, 시도 ${attempt}): ${percent.toFixed(2)}%`);
+          if (options.onProgress) options.onProgress({ partNumber, totalParts, percent });
         })
         .on('end', () => {
-          console.log('압축 완료');
+          console.log(`pass ${pass} 완료 (시도 ${attempt})`);
           resolve();
         })
         .on('error', (err) => {
-          console.error('압축 오류:', err);
+          console.error(`pass ${pass} 오류 (시도 ${attempt}):`, err);
           reject(err);
         })
         .run();
     });
+  }
+}
+
+/**
+ * 2-pass 통계 파일 정리
+ * @param {string} passLogPrefix - 2-pass 통계 파일 경로 접두사
+ */
+async function removePassLogs(passLogPrefix) {
+  const dir = path.dirname(passLogPrefix);
+  const prefix = path.basename(passLogPrefix);
+  const files = await fs.readdir(dir);
+  await Promise.all(files
+    .filter(file => file.startsWith(prefix))
+    .map(file => fs.remove(path.join(dir, file))));
+}
+
+/**
+ * 적응형 스트리밍(HLS/DASH) 출력 - 여러 해상도/비트레이트의 렌디션을 만들어 세그먼트와 매니페스트로 패키징
+ * - targetSizeKB는 모든 렌디션의 세그먼트와 매니페스트를 합친 총 용량 예산이며, 해상도별 가중치로 나눔
+ * - 원본보다 큰 해상도는 만들지 않고, 예산이 부족하면 높은 해상도부터 제외
+ * - 패키징 후 총 용량이 목표를 넘으면 초과 비율만큼 예산을 줄여 다시 인코딩
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {number} targetSizeKB - 전체 출력 목표 용량 (KB)
+ * @param {Object} [options] - 출력 및 작업 옵션 (compressVideo와 동일)
+ * @param {string} [options.format] - 스트리밍 형식 (hls, dash - 기본값 hls)
+ * @returns {Promise<Object>} 스트리밍 출력 결과
+ */
+async function createAdaptiveStream(inputPath, targetSizeKB, options = {}) {
+  const startTime = Date.now(); // 처리 시간 측정 시작
+  const format = options.format || 'hls';
+  
+  try {
+    if (!STREAMING_FORMATS.includes(format)) {
+      throw new Error(`지원하지 않는 스트리밍 형식입니다: ${format}`);
+    }
     
-    // 압축된 파일 크기 확인
-    const compressedStats = await fs.stat(outputPath);
-    const compressedSizeKB = (compressedStats.size / 1024).toFixed(2);
+    const outputDir = storage.outputDir;
+    await fs.ensureDir(outputDir);
     
-    const compressionRatio = ((parseFloat(originalSizeKB) - parseFloat(compressedSizeKB)) / parseFloat(originalSizeKB) * 100).toFixed(1);
+    // 원본 파일 정보
+    const originalStats = await fs.stat(inputPath);
+    const originalSizeKB = parseFloat((originalStats.size / 1024).toFixed(2));
+    
+    const videoInfo = await getVideoInfo(inputPath);
+    const baseFileName = path.basename(inputPath, path.extname(inputPath));
+    const filePrefix = path.join(outputDir, `stream_${Date.now()}_${baseFileName}`);
+    
+    let budgetKB = targetSizeKB;
+    let attempts = 0;
+    let packaged;
+    
+    while (true) {
+      attempts++;
+      packaged = await encodeLadder(inputPath, budgetKB, { format, videoInfo, filePrefix }, options);
+      
+      if (packaged.totalKB <= targetSizeKB) {
+        break;
+      }
+      
+      await Promise.all(packaged.files.map(filePath => fs.remove(filePath)));
+      
+      if (attempts >= MAX_LADDER_ATTEMPTS) {
+        throw new Error(`${attempts}회 인코딩 후에도 목표 용량(${targetSizeKB}KB)을 맞추지 못했습니다.`);
+      }
+      
+      // 초과 비율만큼 예산을 줄이고 여유분(5%)을 추가로 확보
+      budgetKB = budgetKB * (targetSizeKB / packaged.totalKB) * 0.95;
+      console.log(`스트리밍 출력 목표 용량 초과 (${packaged.totalKB.toFixed(2)}KB > ${targetSizeKB}KB), 예산 ${budgetKB.toFixed(2)}KB로 재인코딩`);
+    }
+    
+    // 세그먼트를 먼저 게시하고 재생 목록과 매니페스트는 마지막에 게시
+    const urls = {};
+    for (const filePath of packaged.files) {
+      urls[filePath] = await storage.publish(filePath);
+    }
+    
+    const renditions = packaged.renditions.map(rendition => ({
+      name: rendition.name,
+      resolution: `${rendition.width}x${rendition.height}`,
+      bitrate: rendition.videoBitrate,
+      audioBitrate: rendition.audioBitrate,
+      size: parseFloat(rendition.sizeKB.toFixed(2)),
+      segments: rendition.segments,
+      ...(rendition.playlistPath ? { outputPath: urls[rendition.playlistPath] } : {})
+    }));
+    const compressionRatio = ((originalSizeKB - packaged.totalKB) / originalSizeKB * 100).toFixed(1);
     
     return {
       success: true,
-      message: `영상이 성공적으로 압축되었습니다.`,
-      originalSize: parseFloat(originalSizeKB),
-      compressedSize: parseFloat(compressedSizeKB),
+      message: `${format.toUpperCase()} 스트리밍 출력이 생성되었습니다. (렌디션 ${renditions.length}개)`,
+      format,
+      originalSize: originalSizeKB,
+      compressedSize: parseFloat(packaged.totalKB.toFixed(2)),
       compressionRatio: parseFloat(compressionRatio),
       duration: videoInfo.duration,
       resolution: videoInfo.resolution,
-      bitrate: targetBitrate,
-      outputPath: `/output/${path.basename(outputPath)}`,
-      action: 'compressed',
+      segmentDuration: SEGMENT_SECONDS,
+      renditions,
+      ...(packaged.audio ? { audio: packaged.audio } : {}),
+      totalFiles: packaged.files.length,
+      attempts,
+      outputPath: urls[packaged.manifestPath],
+      action: format,
       processingTime: `${(Date.now() - startTime) / 1000} 초`
     };
     
   } catch (error) {
-    console.error('영상 압축 오류:', error);
-    throw new Error(`영상 압축 실패: ${error.message}`);
+    console.error('스트리밍 출력 오류:', error);
+    throw new Error(`스트리밍 출력 실패: ${error.message}`);
+  }
+}
+
+/**
+ * 예산에 맞춰 렌디션을 인코딩하고 HLS/DASH로 패키징
+ * - HLS는 렌디션마다 오디오를 함께 담고, DASH는 오디오를 별도 표현(Representation) 하나로 인코딩
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {number} budgetKB - 전체 출력 용량 예산 (KB)
+ * @param {Object} context - 출력 정보
+ * @param {string} context.format - 스트리밍 형식 (hls, dash)
+ * @param {Object} context.videoInfo - getVideoInfo 결과
+ * @param {string} context.filePrefix - 출력 파일 경로 접두사
+ * @param {Object} options - 작업 옵션 (onProgress, onCommand)
+ * @returns {Promise<Object>} { files, manifestPath, renditions, audio, totalKB }
+ */
+async function encodeLadder(inputPath, budgetKB, context, options) {
+  const { format, videoInfo, filePrefix } = context;
+  const duration = videoInfo.duration;
+  const hasAudio = videoInfo.audioCodec !== 'none';
+  const overhead = PACKAGING_OVERHEAD_RATIO[format];
+  
+  // 전체 비트레이트 예산 (kbps), DASH 오디오는 한 번만 포함되므로 먼저 제외
+  const totalBitrate = budgetKB * 1024 * 8 / 1000 / duration;
+  const audioBitrate = format === 'dash' && hasAudio ? selectAudioBitrate(totalBitrate) : 0;
+  const ladder = selectLadder(videoInfo, totalBitrate - audioBitrate * (1 + overhead));
+  const totalParts = ladder.length + (audioBitrate > 0 ? 1 : 0);
+  
+  const renditions = [];
+  const intermediates = [];
+  let audioPath = null;
+  
+  try {
+    for (let i = 0; i < ladder.length; i++) {
+      const rung = ladder[i];
+      const rungPath = `${filePrefix}_${rung.name}.mp4`;
+      intermediates.push(rungPath);
+      
+      const encoded = await encodeToTargetSize(inputPath, rungPath, rung.bitrate * duration * 1000 / 8 / 1024 * (1 - overhead), {
+        duration,
+        hasAudio: format === 'hls' && hasAudio,
+        width: rung.width,
+        height: rung.height,
+        keyframeInterval: SEGMENT_SECONDS,
+        partNumber: i + 1,
+        totalParts
+      }, options);
+      
+      renditions.push({ ...rung, path: rungPath, videoBitrate: encoded.videoBitrate, audioBitrate: encoded.audioBitrate });
+    }
+    
+    if (audioBitrate > 0) {
+      audioPath = `${filePrefix}_audio.m4a`;
+      intermediates.push(audioPath);
+      await encodeAudioTrack(inputPath, audioPath, { audioBitrate, duration, partNumber: totalParts, totalParts }, options);
+    }
+    
+    const packaged = format === 'hls'
+      ? await packageHls(renditions, filePrefix, duration, options)
+      : await packageDash(renditions, audioPath, filePrefix, options);
+    
+    const sizes = await Promise.all(packaged.files.map(filePath => fs.stat(filePath).then(stats => stats.size)));
+    packaged.totalKB = sizes.reduce((sum, size) => sum + size, 0) / 1024;
+    if (audioPath) {
+      packaged.audio = { bitrate: audioBitrate };
+    }
+    return packaged;
+  } finally {
+    await Promise.all(intermediates.map(filePath => fs.remove(filePath)));
+  }
+}
+
+/**
+ * 원본 해상도와 비트레이트 예산에 맞는 렌디션 래더 선택
+ * - 원본의 짧은 변보다 큰 해상도는 제외하고, 가중치로 나눈 예산이 최소 비트레이트에 못 미치면 가장 높은 해상도부터 제외
+ * @param {Object} videoInfo - getVideoInfo 결과
+ * @param {number} bitrate - 렌디션 전체 비트레이트 예산 (kbps)
+ * @returns {Array<Object>} [{ name, width, height, bitrate }] - 높은 해상도 순, bitrate는 렌디션 총 비트레이트 (kbps)
+ */
+function selectLadder(videoInfo, bitrate) {
+  const [width, height] = videoInfo.resolution.split('x').map(Number);
+  const shortSide = Math.min(width, height);
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+  
+  let rungs = STREAM_LADDER.filter(rung => rung.height <= shortSide);
+  if (rungs.length === 0) {
+    // 가장 낮은 단계보다 작은 영상은 원본 해상도 하나로 출력
+    rungs = [{ name: `${even(shortSide)}p`, height: even(shortSide), weight: 1, minBitrate: 0, maxBitrate: Infinity }];
+  }
+  
+  const distribute = (list) => {
+    const totalWeight = list.reduce((sum, rung) => sum + rung.weight, 0);
+    return list.map(rung => ({ ...rung, bitrate: Math.min(rung.maxBitrate, bitrate * rung.weight / totalWeight) }));
+  };
+  
+  let ladder = distribute(rungs);
+  while (ladder.length > 1 && ladder.some(rung => rung.bitrate < rung.minBitrate)) {
+    rungs = rungs.slice(1);
+    ladder = distribute(rungs);
+  }
+  
+  return ladder.map(rung => {
+    const scale = rung.height / shortSide;
+    return {
+      name: rung.name,
+      width: width <= height ? rung.height : even(width * scale),
+      height: width <= height ? even(height * scale) : rung.height,
+      bitrate: Math.floor(rung.bitrate)
+    };
+  });
+}
+
+/**
+ * DASH용 오디오 트랙 인코딩 (AAC)
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {string} outputPath - 출력 오디오 경로 (.m4a)
+ * @param {Object} settings - 인코딩 설정
+ * @param {number} settings.audioBitrate - 오디오 비트레이트 (kbps)
+ * @param {number} settings.duration - 영상 길이 (초)
+ * @param {number} settings.partNumber - 진행률 보고용 파트 번호
+ * @param {number} settings.totalParts - 진행률 보고용 전체 파트 수
+ * @param {Object} options - 작업 옵션 (onProgress, onCommand)
+ * @returns {Promise<void>}
+ */
+function encodeAudioTrack(inputPath, outputPath, settings, options) {
+  const { audioBitrate, duration, partNumber, totalParts } = settings;
+  
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .outputOptions(['-vn', '-c:a aac', `-b:a ${audioBitrate}k`])
+      .output(outputPath)
+      .on('start', (cmd) => {
+        console.log(`FFmpeg 명령어 실행 (오디오 트랙 ${audioBitrate}kbps):`, cmd);
+        if (options.onCommand) options.onCommand(command);
+      })
+      .on('progress', (progress) => {
+        if (options.onProgress) options.onProgress({ partNumber, totalParts, percent: calculatePercent(progress, duration) });
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => {
+        console.error('오디오 트랙 인코딩 오류:', err);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * 렌디션을 HLS 세그먼트(MPEG-TS)와 재생 목록으로 나누고 마스터 재생 목록 작성
+ * @param {Array<Object>} renditions - 인코딩된 렌디션 목록 (path, name, width, height, videoBitrate, audioBitrate)
+ * @param {string} filePrefix - 출력 파일 경로 접두사
+ * @param {number} duration - 영상 길이 (초)
+ * @param {Object} options - 작업 옵션 (onCommand)
+ * @returns {Promise<Object>} { files, manifestPath, renditions }
+ */
+async function packageHls(renditions, filePrefix, duration, options) {
+  const files = [];
+  const packaged = [];
+  
+  for (const rendition of renditions) {
+    const playlistPath = `${filePrefix}_${rendition.name}.m3u8`;
+    const segmentPrefix = `${path.basename(filePrefix)}_${rendition.name}_`;
+    
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(rendition.path)
+        .outputOptions([
+          '-c copy',
+          '-f hls',
+          `-hls_time ${SEGMENT_SECONDS}`,
+          '-hls_playlist_type vod',
+          `-hls_segment_filename ${filePrefix}_${rendition.name}_%03d.ts`
+        ])
+        .output(playlistPath)
+        .on('start', (cmd) => {
+          console.log(`FFmpeg 명령어 실행 (HLS 패키징 ${rendition.name}):`, cmd);
+          if (options.onCommand) options.onCommand(command);
+        })
+        .on('end', () => resolve())
+        .on('error', (err) => {
+          console.error(`HLS 패키징 오류 (${rendition.name}):`, err);
+          reject(err);
+        })
+        .run();
+    });
+    
+    const segments = (await fs.readdir(path.dirname(filePrefix)))
+      .filter(name => name.startsWith(segmentPrefix) && name.endsWith('.ts'))
+      .map(name => path.join(path.dirname(filePrefix), name));
+    const sizes = await Promise.all([playlistPath, ...segments].map(filePath => fs.stat(filePath).then(stats => stats.size)));
+    const sizeKB = sizes.reduce((sum, size) => sum + size, 0) / 1024;
+    
+    files.push(...segments, playlistPath);
+    packaged.push({ ...rendition, playlistPath, segments: segments.length, sizeKB });
+  }
+  
+  // 마스터 재생 목록 (높은 화질 순, BANDWIDTH는 최대 비트레이트, AVERAGE-BANDWIDTH는 실제 평균)
+  const manifestPath = `${filePrefix}.m3u8`;
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const rendition of packaged) {
+    const peakBandwidth = (Math.floor(rendition.videoBitrate * 1.5) + rendition.audioBitrate) * 1000;
+    const averageBandwidth = Math.round(rendition.sizeKB * 1024 * 8 / duration);
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${Math.max(peakBandwidth, averageBandwidth)},AVERAGE-BANDWIDTH=${averageBandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+      path.basename(rendition.playlistPath)
+    );
+  }
+  await fs.writeFile(manifestPath, lines.join('\n') + '\n');
+  files.push(manifestPath);
+  
+  return { files, manifestPath, renditions: packaged };
+}
+
+/**
+ * 렌디션과 오디오 트랙을 DASH 세그먼트(fMP4)와 MPD 매니페스트로 패키징
+ * @param {Array<Object>} renditions - 인코딩된 렌디션 목록 (path, name, width, height, videoBitrate)
+ * @param {string|null} audioPath - 오디오 트랙 경로 (오디오가 없으면 null)
+ * @param {string} filePrefix - 출력 파일 경로 접두사
+ * @param {Object} options - 작업 옵션 (onCommand)
+ * @returns {Promise<Object>} { files, manifestPath, renditions }
+ */
+async function packageDash(renditions, audioPath, filePrefix, options) {
+  const manifestPath = `${filePrefix}.mpd`;
+  const baseName = path.basename(filePrefix);
+  const inputs = [...renditions.map(rendition => rendition.path), ...(audioPath ? [audioPath] : [])];
+  
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    inputs.forEach(input => command.input(input));
+    
+    command
+      .outputOptions([
+        ...renditions.map((rendition, i) => `-map ${i}:v:0`),
+        ...(audioPath ? [`-map ${renditions.length}:a:0`] : []),
+        '-c copy',
+        '-f dash',
+        `-seg_duration ${SEGMENT_SECONDS}`,
+        '-use_template 1',
+        '-use_timeline 1',
+        `-init_seg_name ${baseName}_init_$RepresentationID$.m4s`,
+        `-media_seg_name ${baseName}_$RepresentationID$_$Number%05d$.m4s`
+      ])
+      // 값에 공백이 있어 배열로 넘기면 나뉘므로 인자를 따로 전달
+      .outputOptions('-adaptation_sets', audioPath ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v')
+      .output(manifestPath)
+      .on('start', (cmd) => {
+        console.log(`FFmpeg 명령어 실행 (DASH 패키징 ${renditions.length}개 렌디션):`, cmd);
+        if (options.onCommand) options.onCommand(command);
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => {
+        console.error('DASH 패키징 오류:', err);
+        reject(err);
+      })
+      .run();
+  });
+  
+  // 표현(Representation) ID는 입력 순서 (0부터), 오디오는 마지막
+  const names = (await fs.readdir(path.dirname(filePrefix))).filter(name => name.startsWith(`${baseName}_`) && name.endsWith('.m4s'));
+  const segmentFiles = (id) => names
+    .filter(name => name.startsWith(`${baseName}_init_${id}.`) || name.startsWith(`${baseName}_${id}_`))
+    .map(name => path.join(path.dirname(filePrefix), name));
+  
+  const files = [];
+  const packaged = [];
+  for (let i = 0; i < renditions.length; i++) {
+    const segments = segmentFiles(i);
+    const sizes = await Promise.all(segments.map(filePath => fs.stat(filePath).then(stats => stats.size)));
+    files.push(...segments);
+    // 초기화 세그먼트는 세그먼트 수에서 제외
+    packaged.push({ ...renditions[i], segments: segments.length - 1, sizeKB: sizes.reduce((sum, size) => sum + size, 0) / 1024 });
+  }
+  if (audioPath) {
+    files.push(...segmentFiles(renditions.length));
+  }
+  files.push(manifestPath);
+  
+  return { files, manifestPath, renditions: packaged };
+}
+
+/**
+ * 영상 구간 자르기 - 지정한 구간을 잘라내고 여러 구간이면 순서대로 이어 붙임
+ * - 선택적으로 영역 자르기(crop), 회전(rotate), 뒤집기(flip)를 적용
+ * - 화면 변환이 없고 모든 구간 시작이 키프레임이며 원본 코덱을 그대로 담을 수 있으면 스트림 복사 (재인코딩 없음)
+ * - 그 외에는 구간 경계를 프레임 단위로 정확히 자르기 위해 h264 + aac로 재인코딩
+ * - targetSizeKB를 지정하면 잘라낸 결과를 compressVideo로 목표 용량 이하로 압축 (진행률 0~30% 자르기, 30~100% 압축)
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {Object} options - 자르기 및 작업 옵션
+ * @param {Array} options.ranges - [{ start, end }] 잘라낼 구간 (초, end 생략 시 영상 끝까지)
+ * @param {Object} [options.crop] - 잘라낼 영역 { x, y, width, height } (원본 기준 px)
+ * @param {number} [options.rotate] - 시계 방향 회전 각도 (90, 180, 270)
+ * @param {string} [options.flip] - 뒤집기 방향 (horizontal, vertical)
+ * @param {number} [options.targetSizeKB] - 목표 용량 (KB)
+ * @param {Function} [options.onProgress] - 진행률 콜백 ({ partNumber, totalParts, percent })
+ * @param {Function} [options.onCommand] - ffmpeg 명령 시작 시 호출 (작업 취소용)
+ * @returns {Promise<Object>} 자르기 결과
+ */
+async function trimVideo(inputPath, options) {
+  const startTime = Date.now(); // 처리 시간 측정 시작
+  
+  try {
+    const outputDir = storage.outputDir;
+    await fs.ensureDir(outputDir);
+    
+    // 원본 파일 정보
+    const originalStats = await fs.stat(inputPath);
+    const originalSizeKB = parseFloat((originalStats.size / 1024).toFixed(2));
+    
+    const videoInfo = await getVideoInfo(inputPath);
+    const boundsError = checkTrimBounds(videoInfo, options);
+    if (boundsError) {
+      throw new Error(boundsError);
+    }
+    const ranges = options.ranges.map(range => ({
+      start: range.start,
+      end: Math.min(range.end === undefined ? Infinity : range.end, videoInfo.duration)
+    }));
+    const filters = buildTransformFilters(options);
+    
+    // 화면 변환이 없으면 구간 시작이 모두 키프레임인지 확인해 스트림 복사 여부 결정
+    const copyContainer = filters.length === 0 ? selectCopyContainer(videoInfo) : null;
+    let streamCopy = false;
+    if (copyContainer) {
+      const gops = await probeGops(inputPath, videoInfo.videoStreamIndex);
+      const tolerance = 0.5 / (videoInfo.fps || DEFAULT_FPS); // 반 프레임
+      streamCopy = ranges.every(range => range.start <= gops[0].time + tolerance ||
+        gops.some(gop => Math.abs(gop.time - range.start) <= tolerance));
+    }
+    
+    const baseFileName = path.basename(inputPath, path.extname(inputPath));
+    const container = streamCopy ? copyContainer : 'mp4';
+    const trimmedPath = path.join(outputDir, `trimmed_${Date.now()}_${baseFileName}.${container}`);
+    
+    // 목표 용량을 지정하면 자르기 진행률을 전체의 0~30%로 보고
+    const trimOptions = options.targetSizeKB && options.onProgress ? {
+      ...options,
+      onProgress: ({ percent }) => options.onProgress({ partNumber: 1, totalParts: 1, percent: percent * TRIM_PROGRESS_SHARE })
+    } : options;
+    
+    if (streamCopy) {
+      await copyRanges(inputPath, trimmedPath, ranges, container, trimOptions);
+    } else {
+      await encodeRanges(inputPath, trimmedPath, ranges, { filters, hasAudio: videoInfo.audioCodec !== 'none' }, trimOptions);
+    }
+    
+    const trimmedInfo = await getVideoInfo(trimmedPath);
+    const trimmedSizeKB = parseFloat(((await fs.stat(trimmedPath)).size / 1024).toFixed(2));
+    const trim = {
+      ranges,
+      ...(options.crop ? { crop: options.crop } : {}),
+      ...(options.rotate ? { rotate: options.rotate } : {}),
+      ...(options.flip ? { flip: options.flip } : {}),
+      streamCopy,
+      originalDuration: videoInfo.duration,
+      resolution: videoInfo.resolution
+    };
+    
+    if (!options.targetSizeKB) {
+      return {
+        success: true,
+        message: streamCopy ? '스트림 복사로 구간을 잘라냈습니다.' : '구간을 잘라 재인코딩했습니다.',
+        originalSize: originalSizeKB,
+        compressedSize: trimmedSizeKB,
+        compressionRatio: parseFloat(((originalSizeKB - trimmedSizeKB) / originalSizeKB * 100).toFixed(1)),
+        duration: trimmedInfo.duration,
+        ...trim,
+        outputResolution: trimmedInfo.resolution,
+        videoCodec: trimmedInfo.videoCodec,
+        audioCodec: trimmedInfo.audioCodec !== 'none' ? trimmedInfo.audioCodec : null,
+        container,
+        outputPath: await storage.publish(trimmedPath),
+        action: 'trimmed',
+        processingTime: `${(Date.now() - startTime) / 1000} 초`
+      };
+    }
+    
+    // 잘라낸 결과를 목표 용량으로 압축 (이미 목표 이하면 compressVideo가 그대로 복사)
+    let compressed;
+    try {
+      compressed = await compressVideo(trimmedPath, options.targetSizeKB, {
+        onCommand: options.onCommand,
+        onProgress: options.onProgress && (({ percent }) => options.onProgress({
+          partNumber: 1,
+          totalParts: 1,
+          percent: TRIM_PROGRESS_SHARE * 100 + percent * (1 - TRIM_PROGRESS_SHARE)
+        }))
+      });
+    } finally {
+      await fs.remove(trimmedPath);
+    }
+    
+    return {
+      ...compressed,
+      message: `구간을 잘라 ${compressed.action === 'copied' ? '목표 용량 이하로 저장' : '목표 용량으로 압축'}했습니다.`,
+      originalSize: originalSizeKB,
+      trimmedSize: trimmedSizeKB,
+      compressionRatio: parseFloat(((originalSizeKB - compressed.compressedSize) / originalSizeKB * 100).toFixed(1)),
+      duration: trimmedInfo.duration,
+      ...trim,
+      outputResolution: compressed.outputResolution || trimmedInfo.resolution,
+      compression: compressed.action,
+      action: 'trimmed',
+      processingTime: `${(Date.now() - startTime) / 1000} 초`
+    };
+    
+  } catch (error) {
+    console.error('영상 자르기 오류:', error);
+    throw new Error(`영상 자르기 실패: ${error.message}`);
+  }
+}
+
+/**
+ * 자를 구간과 영역이 원본 영상 안에 있는지 확인 (API에서 대기열에 넣기 전에도 사용)
+ * @param {Object} videoInfo - getVideoInfo 결과
+ * @param {Object} options - trimVideo 옵션 (ranges, crop)
+ * @returns {string|null} 오류 메시지 (문제가 없으면 null)
+ */
+function checkTrimBounds(videoInfo, options) {
+  const outOfRange = options.ranges.find(range => range.start >= videoInfo.duration);
+  if (outOfRange) {
+    return `구간 시작(${outOfRange.start}초)이 영상 길이(${videoInfo.duration}초) 이상입니다.`;
+  }
+  
+  if (options.crop) {
+    const { x = 0, y = 0, width, height } = options.crop;
+    const [sourceWidth, sourceHeight] = videoInfo.resolution.split('x').map(Number);
+    if (x + width > sourceWidth || y + height > sourceHeight) {
+      return `자를 영역이 원본 해상도(${videoInfo.resolution})를 벗어납니다.`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 영역 자르기/회전/뒤집기 옵션을 ffmpeg 영상 필터 목록으로 변환
+ * - 영역이 원본 안에 있는지는 checkTrimBounds에서 확인
+ * @param {Object} options - trimVideo 옵션 (crop, rotate, flip)
+ * @returns {Array<string>} 필터 목록 (변환이 없으면 빈 배열)
+ */
+function buildTransformFilters(options) {
+  const filters = [];
+  
+  if (options.crop) {
+    const { x = 0, y = 0, width, height } = options.crop;
+    filters.push(`crop=${width}:${height}:${x}:${y}`);
+  }
+  
+  if (options.rotate) {
+    filters.push(...ROTATE_FILTERS[options.rotate]);
+  }
+  
+  if (options.flip) {
+    filters.push(options.flip === 'horizontal' ? 'hflip' : 'vflip');
+  }
+  
+  return filters;
+}
+
+/**
+ * 키프레임에서 시작하는 구간들을 스트림 복사로 잘라 이어 붙이기
+ * - 구간이 여러 개면 구간별 조각을 만든 뒤 concat demuxer로 합침
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {string} outputPath - 출력 파일 경로
+ * @param {Array} ranges - [{ start, end }] 구간 목록 (초)
+ * @param {string} container - 출력 컨테이너 ('mp4' | 'webm')
+ * @param {Object} options - 작업 옵션 (onProgress, onCommand)
+ * @returns {Promise<void>}
+ */
+async function copyRanges(inputPath, outputPath, ranges, container, options) {
+  const totalDuration = ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+  const containerOptions = container === 'mp4' ? ['-movflags +faststart'] : [];
+  const partPaths = ranges.length === 1
+    ? [outputPath]
+    : ranges.map((range, i) => outputPath.replace(/\.\w+$/, `_part${i}.${container}`));
+  let doneDuration = 0;
+  
+  try {
+    for (let i = 0; i < ranges.length; i++) {
+      const { start, end } = ranges[i];
+      const duration = end - start;
+      
+      await new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+          .seekInput(start)
+          .duration(duration)
+          .outputOptions([
+            '-map 0:v:0',
+            '-map 0:a:0?',
+            '-c copy',
+            '-avoid_negative_ts make_zero',
+            ...containerOptions
+          ])
+          .output(partPaths[i])
+          .on('start', (cmd) => {
+            console.log(`FFmpeg 명령어 실행 (구간 복사 ${i + 1}/${ranges.length}):`, cmd);
+            if (options.onCommand) options.onCommand(command);
+          })
+          .on('progress', (progress) => {
+            if (!options.onProgress) return;
+            const elapsed = calculatePercent(progress, duration) / 100 * duration;
+            options.onProgress({ partNumber: 1, totalParts: 1, percent: (doneDuration + elapsed) / totalDuration * 100 });
+          })
+          .on('end', () => resolve())
+          .on('error', (err) => {
+            console.error('구간 복사 오류:', err);
+            reject(err);
+          })
+          .run();
+      });
+      
+      doneDuration += duration;
+    }
+    
+    if (ranges.length === 1) {
+      return;
+    }
+    
+    // concat demuxer 목록 파일 (경로의 작은따옴표는 이스케이프)
+    const listPath = outputPath.replace(/\.\w+$/, '_concat.txt');
+    await fs.writeFile(listPath, partPaths.map(partPath => `file '${partPath.replace(/'/g, "'\\''")}'`).join('\n'));
+    
+    try {
+      await new Promise((resolve, reject) => {
+        const command = ffmpeg(listPath)
+          .inputOptions(['-f concat', '-safe 0'])
+          .outputOptions(['-c copy', ...containerOptions])
+          .output(outputPath)
+          .on('start', (cmd) => {
+            console.log(`FFmpeg 명령어 실행 (구간 ${ranges.length}개 이어 붙이기):`, cmd);
+            if (options.onCommand) options.onCommand(command);
+          })
+          .on('end', () => resolve())
+          .on('error', (err) => {
+            console.error('구간 이어 붙이기 오류:', err);
+            reject(err);
+          })
+          .run();
+      });
+    } finally {
+      await fs.remove(listPath);
+    }
+  } finally {
+    if (ranges.length > 1) {
+      await Promise.all(partPaths.map(partPath => fs.remove(partPath)));
+    }
   }
 }
 
+/**
+ * 구간들을 프레임 단위로 정확히 잘라 이어 붙이고 화면 변환을 적용해 재인코딩
+ * - 구간마다 입력을 따로 열어 해당 위치로 이동(-ss)하므로 뒤쪽 구간도 처음부터 디코딩하지 않음
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {string} outputPath - 출력 파일 경로
+ * @param {Array} ranges - [{ start, end }] 구간 목록 (초)
+ * @param {Object} settings - 인코딩 설정
+ * @param {Array<string>} settings.filters - buildTransformFilters 결과
+ * @param {boolean} settings.hasAudio - 오디오 포함 여부
+ * @param {Object} options - 작업 옵션 (onProgress, onCommand)
+ * @returns {Promise<void>}
+ */
+function encodeRanges(inputPath, outputPath, ranges, settings, options) {
+  const { filters, hasAudio } = settings;
+  const encoding = videoCodecs.defaultEncoding();
+  const totalDuration = ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+  
+  // [0:v][0:a][1:v][1:a]...concat → 화면 변환 → 짝수 해상도 보정
+  const inputs = ranges.map((range, i) => `[${i}:v:0]${hasAudio ? `[${i}:a:0]` : ''}`).join('');
+  const joined = `${inputs}concat=n=${ranges.length}:v=1:a=${hasAudio ? 1 : 0}[joined]${hasAudio ? '[aout]' : ''}`;
+  const transformed = `[joined]${[...filters, 'scale=trunc(iw/2)*2:trunc(ih/2)*2', 'setsar=1'].join(',')}[vout]`;
+  
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    for (const range of ranges) {
+      command.input(inputPath).inputOptions([`-ss ${range.start}`, `-t ${range.end - range.start}`]);
+    }
+    
+    command
+      .complexFilter(`${joined};${transformed}`, hasAudio ? ['vout', 'aout'] : ['vout'])
+      .outputOptions([
+        ...videoCodecs.videoCodecOptions(encoding),
+        ...videoCodecs.crfOptions(encoding, TRIM_CRF),
+        '-pix_fmt yuv420p',
+        ...videoCodecs.audioCodecOptions(encoding, hasAudio ? TRIM_AUDIO_BITRATE : 0),
+        ...videoCodecs.containerOptions(encoding)
+      ])
+      .output(outputPath)
+      .on('start', (cmd) => {
+        console.log(`FFmpeg 명령어 실행 (구간 ${ranges.length}개 재인코딩):`, cmd);
+        if (options.onCommand) options.onCommand(command);
+      })
+      .on('progress', (progress) => {
+        if (options.onProgress) {
+          options.onProgress({ partNumber: 1, totalParts: 1, percent: calculatePercent(progress, totalDuration) });
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => {
+        console.error('구간 재인코딩 오류:', err);
+        reject(err);
+      })
+      .run();
+  });
+}
+
 /**
  * 영상을 여러 개의 작은 파일로 분할
+ * - ffprobe로 키프레임 위치와 패킷 크기를 읽어 키프레임 경계에서 스트림 복사로 자름
+ * - 모든 파트가 targetSizeKB 이하가 되도록 초과 파트는 재분할하고,
+ *   더 나눌 수 없는 단일 GOP 또는 복사 불가 코덱은 목표 용량으로 재인코딩
+ * - encoding을 지정하면 스트림 복사 없이 모든 파트를 지정한 코덱/컨테이너로 재인코딩
  * @param {string} inputPath - 입력 영상 경로
  * @param {number} targetSizeKB - 각 분할 파일의 최대 용량 (KB)
+ * @param {Object} [options] - 분할 및 작업 옵션
+ * @param {Object} [options.encoding] - 출력 코덱 설정 (resolveEncoding 결과)
+ * @param {Function} [options.onProgress] - 진행률 콜백 ({ partNumber, totalParts, percent })
+ * @param {Function} [options.onCommand] - ffmpeg 명령 시작 시 호출 (작업 취소용)
  * @returns {Promise<Object>} 분할 결과
  */
-async function splitVideo(inputPath, targetSizeKB) {
+async function splitVideo(inputPath, targetSizeKB, options = {}) {
   const startTime = Date.now(); // 처리 시간 측정 시작
   
   try {
-    const outputDir = path.join(__dirname, '..', 'output');
+    const outputDir = storage.outputDir;
     await fs.ensureDir(outputDir);
     
     // 원본 파일 정보
@@ -126,8 +1374,8 @@ async function splitVideo(inputPath, targetSizeKB) {
     // 영상 정보 가져오기
     const videoInfo = await getVideoInfo(inputPath);
     
-    // 이미 목표 용량 이하인 경우
-    if (parseFloat(originalSizeKB) <= targetSizeKB) {
+    // 이미 목표 용량 이하인 경우 (코덱을 지정하면 변환을 위해 인코딩)
+    if (!options.encoding && parseFloat(originalSizeKB) <= targetSizeKB) {
       const outputPath = path.join(outputDir, `split_${Date.now()}_${path.basename(inputPath)}`);
       await fs.copy(inputPath, outputPath);
       
@@ -140,72 +1388,150 @@ async function splitVideo(inputPath, targetSizeKB) {
           partNumber: 1,
           size: parseFloat(originalSizeKB),
           duration: videoInfo.duration,
-          outputPath: `/output/${path.basename(outputPath)}`
+          outputPath: await storage.publish(outputPath)
         }],
         action: 'copied',
         processingTime: `${(Date.now() - startTime) / 1000} 초`
       };
     }
     
-    // 분할할 구간 수 계산
-    const totalParts = Math.ceil(parseFloat(originalSizeKB) / targetSizeKB);
-    const segmentDuration = videoInfo.duration / totalParts;
+    // 키프레임 위치와 GOP(키프레임 간 구간)별 패킷 크기 분석
+    const gops = await probeGops(inputPath, videoInfo.videoStreamIndex);
+    const copyContainer = options.encoding ? null : selectCopyContainer(videoInfo);
+    const hasAudio = videoInfo.audioCodec !== 'none';
+    
+    // 목표 용량(컨테이너 오버헤드 제외) 안에 들어가도록 GOP 단위로 구간 계획
+    const budgetBytes = targetSizeKB * 1024 * (1 - CONTAINER_OVERHEAD_RATIO);
+    const plan = planSegments(gops, 0, gops.length, budgetBytes);
     
     const parts = [];
     const baseFileName = path.basename(inputPath, path.extname(inputPath));
+    const filePrefix = path.join(outputDir, `split_${Date.now()}_${baseFileName}`);
     
-    // 각 구간별로 분할
-    for (let i = 0; i < totalParts; i++) {
-      const startTime = i * segmentDuration;
-      const timestamp = Date.now() + i; // 각 파일마다 고유한 타임스탬프
-      const outputPath = path.join(outputDir, `split_${timestamp}_${baseFileName}_part${i + 1}.mp4`);
+    if (copyContainer) {
+      // 스트림 복사: 키프레임 경계에서 재인코딩 없이 자르기
+      const pending = await cutAtKeyframes(inputPath, gops, plan, {
+        startTime: 0,
+        endTime: videoInfo.duration,
+        container: copyContainer,
+        filePrefix: `${filePrefix}_cut`
+      }, options);
       
-      await new Promise((resolve, reject) => {
-        ffmpeg(inputPath)
-          .setStartTime(startTime)
-          .setDuration(segmentDuration)
-          .outputOptions([
-            '-c:v libx264',
-            '-c:a aac',
-            '-preset fast',
-            '-movflags +faststart'
-          ])
-          .output(outputPath)
-          .on('start', (cmd) => {
-            console.log(`FFmpeg 명령어 실행 (파트 ${i + 1}/${totalParts}):`, cmd);
-          })
-          .on('progress', (progress) => {
-            console.log(`파트 ${i + 1} 처리 중: ${progress.percent ? progress.percent.toFixed(2) : 0}%`);
-          })
-          .on('end', () => {
-            console.log(`파트 ${i + 1} 완료`);
-            resolve();
-          })
-          .on('error', (err) => {
-            console.error(`파트 ${i + 1} 오류:`, err);
-            reject(err);
-          })
-          .run();
-      });
+      // 재분할/재인코딩할 때마다 증가시켜 임시 파일 이름이 다시 쓰이지 않게 함
+      // (대기 중인 조각의 파일을 덮어쓰거나 방금 자른 조각을 삭제하지 않도록)
+      let resplitCount = 0;
       
-      // 분할된 파일 크기 확인
-      const partStats = await fs.stat(outputPath);
-      const partSizeKB = (partStats.size / 1024).toFixed(2);
+      while (pending.length > 0) {
+        const piece = pending.shift();
+        const pieceStats = await fs.stat(piece.filePath);
+        const pieceSizeKB = pieceStats.size / 1024;
+        
+        if (pieceSizeKB <= targetSizeKB) {
+          parts.push({ ...piece, size: pieceSizeKB, streamCopy: true });
+          continue;
+        }
+        
+        // 목표 용량 초과: 파트 파일의 키프레임을 다시 읽어 줄인 예산으로 재분할
+        const pieceGops = await probeGops(piece.filePath, 0);
+        if (pieceGops.length > 1) {
+          console.log(`파트 목표 용량 초과 (${pieceSizeKB.toFixed(2)}KB > ${targetSizeKB}KB), 키프레임 기준 재분할`);
+          const pieceBytes = pieceGops.reduce((sum, gop) => sum + gop.bytes, 0);
+          const reducedBudget = pieceBytes * (targetSizeKB / pieceSizeKB) * 0.95;
+          const subPlan = resplitSegment(pieceGops, { first: 0, last: pieceGops.length - 1, bytes: pieceBytes }, reducedBudget);
+          const partOffset = parts.length;
+          const totalParts = parts.length + pending.length + subPlan.length;
+          const subPieces = await cutAtKeyframes(piece.filePath, pieceGops, subPlan, {
+            startTime: piece.startTime,
+            endTime: piece.endTime,
+            container: copyContainer,
+            filePrefix: `${filePrefix}_cut${++resplitCount}`
+          }, {
+            ...options,
+            // 재분할 조각의 진행률은 전체 파트 번호 기준으로 보고
+            onProgress: options.onProgress && ((progress) => options.onProgress({
+              ...progress,
+              partNumber: partOffset + progress.partNumber,
+              totalParts
+            }))
+          });
+          
+          await fs.remove(piece.filePath);
+          pending.unshift(...subPieces);
+          continue;
+        }
+        
+        // 더 나눌 수 없는 단일 GOP는 다른 파트와 같은 컨테이너(webm은 vp9)로 목표 용량에 맞춰 재인코딩
+        console.log(`단일 GOP 파트 목표 용량 초과 (${pieceSizeKB.toFixed(2)}KB > ${targetSizeKB}KB), 재인코딩`);
+        const { encoding, error: encodingError } = await videoCodecs.resolveEncoding({ container: copyContainer });
+        if (encodingError) {
+          throw new Error(`단일 GOP 파트를 재인코딩할 수 없습니다: ${encodingError}`);
+        }
+        const encodedPath = `${filePrefix}_encoded${++resplitCount}.${encoding.container}`;
+        const encoded = await encodeToTargetSize(piece.filePath, encodedPath, targetSizeKB, {
+          duration: piece.endTime - piece.startTime,
+          hasAudio,
+          encoding,
+          partNumber: parts.length + 1,
+          totalParts: parts.length + pending.length + 1
+        }, options);
+        
+        await fs.remove(piece.filePath);
+        parts.push({ ...piece, filePath: encodedPath, size: encoded.sizeKB, streamCopy: false, bitrate: encoded.videoBitrate });
+      }
+    } else {
+      // 복사 불가 코덱 또는 코덱 지정: 키프레임 경계 구간을 각각 목표 용량으로 재인코딩
+      const encoding = options.encoding || videoCodecs.defaultEncoding();
+      for (let i = 0; i < plan.length; i++) {
+        const segmentStart = i === 0 ? 0 : gops[plan[i].first].time;
+        const segmentEnd = i + 1 < plan.length ? gops[plan[i + 1].first].time : videoInfo.duration;
+        const encodedPath = `${filePrefix}_encoded${i + 1}.${encoding.container}`;
+        
+        const encoded = await encodeToTargetSize(inputPath, encodedPath, targetSizeKB, {
+          startTime: segmentStart,
+          duration: segmentEnd - segmentStart,
+          hasAudio,
+          encoding,
+          partNumber: i + 1,
+          totalParts: plan.length
+        }, options);
+        
+        parts.push({
+          filePath: encodedPath,
+          startTime: segmentStart,
+          endTime: segmentEnd,
+          size: encoded.sizeKB,
+          streamCopy: false,
+          bitrate: encoded.videoBitrate
+        });
+      }
+    }
+    
+    // 최종 파트 번호 순서대로 파일 이름 정리
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      const outputPath = `${filePrefix}_part${i + 1}${path.extname(part.filePath)}`;
+      await fs.move(part.filePath, outputPath, { overwrite: true });
       
-      parts.push({
+      parts[i] = {
         partNumber: i + 1,
-        size: parseFloat(partSizeKB),
-        duration: segmentDuration,
-        startTime: startTime,
-        outputPath: `/output/${path.basename(outputPath)}`
-      });
+        size: parseFloat(part.size.toFixed(2)),
+        duration: part.endTime - part.startTime,
+        startTime: part.startTime,
+        endTime: part.endTime,
+        streamCopy: part.streamCopy,
+        ...(part.bitrate ? { bitrate: part.bitrate } : {}),
+        outputPath: await storage.publish(outputPath)
+      };
     }
     
+    const copiedParts = parts.filter(part => part.streamCopy).length;
+    
     return {
       success: true,
-      message: `영상이 ${totalParts}개 구간으로 분할되었습니다.`,
+      message: `영상이 ${parts.length}개 구간으로 분할되었습니다. (스트림 복사 ${copiedParts}개, 재인코딩 ${parts.length - copiedParts}개)`,
       originalSize: parseFloat(originalSizeKB),
-      totalParts: totalParts,
+      totalParts: parts.length,
+      keyframes: gops.length,
       parts: parts,
       action: 'split',
       processingTime: `${(Date.now() - startTime) / 1000} 초`
@@ -217,6 +1543,206 @@ async function splitVideo(inputPath, targetSizeKB) {
   }
 }
 
+/**
+ * ffmpeg progress 이벤트로부터 구간 기준 진행률 계산
+ * - 구간(setDuration) 인코딩 시 fluent-ffmpeg의 percent는 전체 길이 기준이므로 timemark를 사용
+ * @param {Object} progress - fluent-ffmpeg progress 이벤트 객체
+ * @param {number} duration - 인코딩 구간 길이 (초)
+ * @returns {number} 진행률 (0~100)
+ */
+function calculatePercent(progress, duration) {
+  if (progress.timemark && duration > 0) {
+    const [hours, minutes, seconds] = progress.timemark.split(':');
+    const elapsed = parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+    return Math.min(100, (elapsed / duration) * 100);
+  }
+  return progress.percent ? Math.min(100, progress.percent) : 0;
+}
+
+/**
+ * ffprobe로 키프레임 위치와 GOP별 패킷 크기(영상+오디오) 분석
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {number} videoStreamIndex - 영상 스트림 인덱스
+ * @returns {Promise<Array>} [{ time, bytes }] - 키프레임 시간(초)과 다음 키프레임까지의 바이트 수
+ */
+function probeGops(inputPath, videoStreamIndex) {
+  return new Promise((resolve, reject) => {
+    const gops = [];
+    let leadingBytes = 0; // 첫 키프레임 이전 패킷
+    let stderr = '';
+    
+    const probe = spawn(process.env.FFPROBE_PATH || 'ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'packet=stream_index,pts_time,dts_time,size,flags',
+      '-of', 'compact=p=0',
+      inputPath
+    ]);
+    
+    readline.createInterface({ input: probe.stdout }).on('line', (line) => {
+      const packet = {};
+      for (const field of line.split('|')) {
+        const separator = field.indexOf('=');
+        packet[field.slice(0, separator)] = field.slice(separator + 1);
+      }
+      
+      const size = parseInt(packet.size) || 0;
+      const isKeyframe = parseInt(packet.stream_index) === videoStreamIndex && (packet.flags || '').startsWith('K');
+      
+      if (isKeyframe) {
+        const time = parseFloat(packet.pts_time !== 'N/A' ? packet.pts_time : packet.dts_time);
+        gops.push({ time, bytes: 0 });
+      }
+      
+      if (gops.length === 0) {
+        leadingBytes += size;
+      } else {
+        gops[gops.length - 1].bytes += size;
+      }
+    });
+    
+    probe.stderr.on('data', (data) => { stderr += data; });
+    probe.on('error', reject);
+    probe.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffprobe 패킷 분석 실패: ${stderr.trim()}`));
+        return;
+      }
+      if (gops.length === 0) {
+        reject(new Error('키프레임을 찾을 수 없습니다.'));
+        return;
+      }
+      
+      gops[0].bytes += leadingBytes;
+      resolve(gops);
+    });
+  });
+}
+
+/**
+ * GOP 범위를 예산 이하의 구간들로 탐욕적으로 나누기
+ * - 단일 GOP가 예산을 넘는 경우 해당 GOP 하나로 구간을 만듦 (bytes > budgetBytes)
+ * @param {Array} gops - probeGops 결과
+ * @param {number} from - 시작 GOP 인덱스 (포함)
+ * @param {number} to - 끝 GOP 인덱스 (미포함)
+ * @param {number} budgetBytes - 구간별 최대 바이트 수
+ * @returns {Array} [{ first, last, bytes }] - GOP 인덱스 범위 (first, last 모두 포함)
+ */
+function planSegments(gops, from, to, budgetBytes) {
+  const segments = [];
+  let first = from;
+  let bytes = 0;
+  
+  for (let i = from; i < to; i++) {
+    if (i > first && bytes + gops[i].bytes > budgetBytes) {
+      segments.push({ first, last: i - 1, bytes });
+      first = i;
+      bytes = 0;
+    }
+    bytes += gops[i].bytes;
+  }
+  segments.push({ first, last: to - 1, bytes });
+  
+  return segments;
+}
+
+/**
+ * 목표 용량을 넘은 구간을 줄인 예산으로 다시 나누기 (최소 2개 구간 보장)
+ * @param {Array} gops - probeGops 결과
+ * @param {Object} segment - 재분할할 구간 { first, last, bytes }
+ * @param {number} budgetBytes - 줄인 구간별 최대 바이트 수
+ * @returns {Array} 재분할된 구간 목록
+ */
+function resplitSegment(gops, segment, budgetBytes) {
+  const segments = planSegments(gops, segment.first, segment.last + 1, budgetBytes);
+  if (segments.length > 1) {
+    return segments;
+  }
+  
+  const middle = Math.floor((segment.first + segment.last + 1) / 2);
+  return [
+    ...planSegments(gops, segment.first, middle, Infinity),
+    ...planSegments(gops, middle, segment.last + 1, Infinity)
+  ];
+}
+
+/**
+ * 원본 코덱을 그대로 담을 수 있는 출력 컨테이너 선택
+ * @param {Object} videoInfo - getVideoInfo 결과
+ * @returns {string|null} 'mp4' | 'webm' | null (스트림 복사 불가)
+ */
+function selectCopyContainer(videoInfo) {
+  for (const [container, codecs] of Object.entries(STREAM_COPY_CODECS)) {
+    if (codecs.video.includes(videoInfo.videoCodec) && codecs.audio.includes(videoInfo.audioCodec)) {
+      return container;
+    }
+  }
+  return null;
+}
+
+/**
+ * 계획된 GOP 구간 경계(키프레임)에서 segment muxer로 스트림 복사 분할
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {Array} gops - 입력 영상의 probeGops 결과
+ * @param {Array} plan - planSegments 결과
+ * @param {Object} range - 분할 정보
+ * @param {number} range.startTime - 입력 영상의 원본 기준 시작 시간 (초)
+ * @param {number} range.endTime - 입력 영상의 원본 기준 끝 시간 (초)
+ * @param {string} range.container - 출력 컨테이너 ('mp4' | 'webm')
+ * @param {string} range.filePrefix - 출력 파일 경로 접두사
+ * @param {Object} options - 작업 옵션 (onProgress, onCommand)
+ * @returns {Promise<Array>} [{ filePath, startTime, endTime }] - 원본 기준 시간의 조각 목록
+ */
+async function cutAtKeyframes(inputPath, gops, plan, range, options) {
+  const { startTime, endTime, container, filePrefix } = range;
+  const localStarts = plan.map((segment, i) => (i === 0 ? 0 : gops[segment.first].time));
+  const duration = endTime - startTime;
+  
+  // segment muxer는 지정 시간 이후 첫 키프레임에서 자르므로 부동소수점 오차만큼 앞당겨 지정
+  const cutTimes = localStarts.slice(1).map(time => Math.max(0, time - 0.001).toFixed(3));
+  
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .outputOptions([
+        '-map 0:v:0',
+        '-map 0:a:0?',
+        '-c copy',
+        '-f segment',
+        '-reset_timestamps 1',
+        ...(cutTimes.length > 0 ? [`-segment_times ${cutTimes.join(',')}`] : []),
+        ...(container === 'mp4' ? ['-segment_format_options movflags=+faststart'] : [])
+      ])
+      .output(`${filePrefix}_%03d.${container}`)
+      .on('start', (cmd) => {
+        console.log(`FFmpeg 명령어 실행 (키프레임 분할 ${plan.length}개):`, cmd);
+        if (options.onCommand) options.onCommand(command);
+      })
+      .on('progress', (progress) => {
+        if (!options.onProgress) return;
+        const elapsed = calculatePercent(progress, duration) / 100 * duration;
+        localStarts.forEach((localStart, i) => {
+          const localEnd = i + 1 < localStarts.length ? localStarts[i + 1] : duration;
+          const percent = Math.min(100, Math.max(0, (elapsed - localStart) / (localEnd - localStart) * 100));
+          options.onProgress({ partNumber: i + 1, totalParts: plan.length, percent });
+        });
+      })
+      .on('end', () => {
+        console.log(`키프레임 분할 완료 (${plan.length}개)`);
+        resolve();
+      })
+      .on('error', (err) => {
+        console.error('키프레임 분할 오류:', err);
+        reject(err);
+      })
+      .run();
+  });
+  
+  return localStarts.map((localStart, i) => ({
+    filePath: `${filePrefix}_${String(i).padStart(3, '0')}.${container}`,
+    startTime: startTime + localStart,
+    endTime: i + 1 < localStarts.length ? startTime + localStarts[i + 1] : endTime
+  }));
+}
+
 /**
  * 영상 정보 가져오기
  * @param {string} inputPath - 입력 영상 경로
@@ -236,6 +1762,8 @@ function getVideoInfo(inputPath) {
       resolve({
         duration: parseFloat(metadata.format.duration),
         resolution: `${videoStream.width}x${videoStream.height}`,
+        fps: parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate),
+        videoStreamIndex: videoStream.index,
         videoCodec: videoStream.codec_name,
         audioCodec: audioStream ? audioStream.codec_name : 'none',
         bitrate: parseInt(metadata.format.bit_rate) || 0,
@@ -245,10 +1773,29 @@ function getVideoInfo(inputPath) {
   });
 }
 
+/**
+ * ffprobe 프레임레이트 문자열 변환 (예: "30000/1001" → 29.97)
+ * @param {string} [value] - avg_frame_rate 또는 r_frame_rate
+ * @returns {number|null} 프레임레이트 (알 수 없으면 null)
+ */
+function parseFrameRate(value) {
+  const [numerator, denominator] = String(value || '').split('/').map(Number);
+  const fps = denominator ? numerator / denominator : numerator;
+  return fps > 0 && isFinite(fps) ? parseFloat(fps.toFixed(3)) : null;
+}
+
 module.exports = {
   compressVideo,
   splitVideo,
-  getVideoInfo
+  createAdaptiveStream,
+  trimVideo,
+  checkTrimBounds,
+  getVideoInfo,
+  calculatePercent,
+  QUALITY_METRICS,
+  STREAMING_FORMATS,
+  MAX_TRIM_RANGES,
+  TRIM_FLIPS
 };
 
 
@@ -0,0 +1,490 @@
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegStatic = require('ffmpeg-static');
+const sharp = require('sharp');
+const fs = require('fs-extra');
+const path = require('path');
+const { getVideoInfo, calculatePercent } = require('./videoCompression');
+const { compressImage } = require('./imageCompression');
+const storage = require('./storage');
+
+// ffmpeg 경로 설정
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+/**
+ * 영상 썸네일 모듈 - 영상에서 프레임을 추출해 compressImage로 목표 용량 이하의 이미지로 만듦
+ * - poster: 장면 전환 지점과 고른 간격의 후보 중 가장 선명하고 정보량이 많은 대표 프레임 1장
+ * - thumbnails: 고른 간격의 썸네일 N장
+ * - sprite: 일정 간격 프레임을 타일로 묶은 스프라이트 시트와 플레이어 탐색 미리보기용 WebVTT 트랙
+ */
+
+const THUMBNAIL_MODES = ['poster', 'thumbnails', 'sprite'];
+const THUMBNAIL_FORMATS = ['jpeg', 'webp', 'png', 'avif'];
+const DEFAULT_FORMAT = 'jpeg';
+
+// 대표 프레임 선택 설정
+const SCENE_THRESHOLD = 0.3; // 장면 전환으로 볼 프레임 차이 (0~1)
+const SCENE_OFFSET_SECONDS = 0.5; // 전환 직후 겹친 프레임을 피하기 위해 장면 시작에서 이동할 시간
+const EVEN_CANDIDATES = 8; // 장면 전환과 함께 후보로 사용할 고른 간격 프레임 수
+const MAX_POSTER_CANDIDATES = 24; // 점수를 계산할 최대 후보 수
+const EDGE_SKIP_RATIO = 0.05; // 시작/끝 페이드를 피하기 위해 후보에서 제외할 길이 비율
+const ANALYSIS_WIDTH = 320; // 장면 분석과 후보 점수 계산 해상도 (px)
+
+// 썸네일 설정
+const MAX_THUMBNAILS = 100;
+const DEFAULT_THUMBNAIL_COUNT = 10;
+const DEFAULT_THUMBNAIL_WIDTH = 320; // 썸네일 기본 너비 (px, poster는 원본 크기)
+
+// 스프라이트 설정
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10; // 시트 하나에 담을 타일 수 = 10 x 10
+const DEFAULT_TILE_WIDTH = 160;
+const DEFAULT_SPRITE_TILES = 100; // 간격을 지정하지 않으면 영상 전체를 이 정도 타일로 나눔
+const DEFAULT_INTERVAL_RANGE = [1, 10]; // 자동 간격 범위 (초)
+const MAX_SPRITE_TILES = 500; // 전체 타일 수 한도 (넘으면 간격을 늘림)
+
+/**
+ * 영상 썸네일 생성
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {number} targetSizeKB - 이미지 한 장(스프라이트는 시트 한 장)의 목표 용량 (KB)
+ * @param {Object} [options] - 생성 및 작업 옵션
+ * @param {string} [options.mode] - 생성 방식 (poster, thumbnails, sprite - 기본값 poster)
+ * @param {string} [options.outputFormat] - 이미지 형식 (jpeg, webp, png, avif - 기본값 jpeg)
+ * @param {number} [options.width] - 출력 너비 (px, sprite는 타일 너비)
+ * @param {number} [options.count] - thumbnails 장수 (기본값 10)
+ * @param {number} [options.interval] - sprite 타일 간격 (초, 생략 시 영상 길이에 맞춰 자동)
+ * @param {Function} [options.onProgress] - 진행률 콜백 ({ partNumber, totalParts, percent })
+ * @param {Function} [options.onCommand] - ffmpeg 명령 시작 시 호출 (작업 취소용)
+ * @param {Function} [options.isCancelled] - 작업 취소 여부 확인 (취소되면 남은 이미지를 만들지 않음)
+ * @returns {Promise<Object>} 생성 결과
+ */
+async function createVideoThumbnails(inputPath, targetSizeKB, options = {}) {
+  const startTime = Date.now(); // 처리 시간 측정 시작
+  const mode = options.mode || 'poster';
+  const outputFormat = options.outputFormat || DEFAULT_FORMAT;
+  let workDir;
+
+  try {
+    if (!THUMBNAIL_MODES.includes(mode)) {
+      throw new Error(`지원하지 않는 썸네일 생성 방식입니다: ${mode}`);
+    }
+    if (!THUMBNAIL_FORMATS.includes(outputFormat)) {
+      throw new Error(`지원하지 않는 이미지 형식입니다: ${outputFormat}`);
+    }
+
+    const outputDir = storage.outputDir;
+    const baseFileName = path.basename(inputPath, path.extname(inputPath));
+    workDir = path.join(outputDir, `frames_${Date.now()}_${baseFileName}`);
+    await fs.ensureDir(workDir);
+
+    const videoInfo = await getVideoInfo(inputPath);
+    const context = { videoInfo, workDir, baseFileName, targetSizeKB, outputFormat };
+
+    let result;
+    if (mode === 'poster') {
+      result = await createPoster(inputPath, context, options);
+    } else if (mode === 'thumbnails') {
+      result = await createThumbnails(inputPath, context, options);
+    } else {
+      result = await createSprite(inputPath, context, options);
+    }
+
+    return {
+      success: true,
+      mode,
+      duration: videoInfo.duration,
+      resolution: videoInfo.resolution,
+      ...result,
+      processingTime: `${(Date.now() - startTime) / 1000} 초`
+    };
+
+  } catch (error) {
+    console.error('썸네일 생성 오류:', error);
+    throw new Error(`썸네일 생성 실패: ${error.message}`);
+  } finally {
+    if (workDir) {
+      await fs.remove(workDir);
+    }
+  }
+}
+
+/**
+ * 대표 프레임(poster) 생성
+ * - 장면 전환 직후 프레임과 고른 간격 프레임을 후보로 모아 엔트로피 x 선명도 점수가 가장 높은 프레임 선택
+ *   (검은 화면, 페이드, 흔들린 프레임은 두 값이 모두 낮음)
+ * - 진행률: 장면 분석 0~50%, 후보 점수 계산 50~90%, 압축 90~100%
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {Object} context - 생성 정보 (videoInfo, workDir, baseFileName, targetSizeKB, outputFormat)
+ * @param {Object} options - createVideoThumbnails 옵션
+ * @returns {Promise<Object>} 결과 필드
+ */
+async function createPoster(inputPath, context, options) {
+  const { videoInfo, workDir, baseFileName } = context;
+  const duration = videoInfo.duration;
+  const report = (percent) => {
+    if (options.onProgress) options.onProgress({ partNumber: 1, totalParts: 1, percent });
+  };
+
+  const sceneTimes = await detectScenes(inputPath, duration, { ...options, onPercent: percent => report(percent * 0.5) });
+  const candidates = selectPosterCandidates(sceneTimes, duration);
+
+  let best = null;
+  for (let i = 0; i < candidates.length; i++) {
+    if (options.isCancelled && options.isCancelled()) {
+      throw new Error('작업이 취소되었습니다.');
+    }
+
+    const framePath = path.join(workDir, `candidate_${i}.png`);
+    await extractFrame(inputPath, framePath, candidates[i], { ...context, width: ANALYSIS_WIDTH }, options);
+    const { entropy, sharpness } = await sharp(framePath).stats();
+    const score = entropy * sharpness;
+    if (!best || score > best.score) {
+      best = { time: candidates[i], score };
+    }
+    report(50 + (i + 1) / candidates.length * 40);
+  }
+
+  const posterPath = path.join(workDir, `${baseFileName}_poster.png`);
+  await extractFrame(inputPath, posterPath, best.time, { ...context, width: options.width }, options);
+  const compressed = await compressImage(posterPath, context.targetSizeKB, { outputFormat: context.outputFormat });
+  report(100);
+
+  return {
+    ...compressed,
+    message: `대표 프레임(${best.time.toFixed(2)}초)을 추출했습니다.`,
+    time: parseFloat(best.time.toFixed(3)),
+    sceneChanges: sceneTimes.length,
+    candidates: candidates.length,
+    action: 'poster'
+  };
+}
+
+/**
+ * 고른 간격의 썸네일 생성 (각 구간의 가운데 프레임)
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {Object} context - 생성 정보
+ * @param {Object} options - createVideoThumbnails 옵션
+ * @returns {Promise<Object>} 결과 필드 (parts: 썸네일 목록)
+ */
+async function createThumbnails(inputPath, context, options) {
+  const { videoInfo, workDir, baseFileName } = context;
+  const count = Math.min(MAX_THUMBNAILS, options.count || DEFAULT_THUMBNAIL_COUNT);
+  const width = options.width || DEFAULT_THUMBNAIL_WIDTH;
+  const parts = [];
+
+  for (let i = 0; i < count; i++) {
+    if (options.isCancelled && options.isCancelled()) {
+      throw new Error('작업이 취소되었습니다.');
+    }
+
+    const time = (i + 0.5) * videoInfo.duration / count;
+    const framePath = path.join(workDir, `${baseFileName}_thumb${String(i + 1).padStart(3, '0')}.png`);
+    await extractFrame(inputPath, framePath, time, { ...context, width }, options);
+    const compressed = await compressImage(framePath, context.targetSizeKB, { outputFormat: context.outputFormat });
+
+    parts.push({
+      partNumber: i + 1,
+      time: parseFloat(time.toFixed(3)),
+      size: compressed.compressedSize,
+      dimensions: compressed.dimensions,
+      quality: compressed.quality,
+      targetNotReached: compressed.targetNotReached,
+      outputPath: compressed.outputPath
+    });
+
+    if (options.onProgress) {
+      options.onProgress({ partNumber: i + 1, totalParts: count, percent: 100 });
+    }
+  }
+
+  return {
+    message: `썸네일 ${count}장을 추출했습니다.`,
+    format: context.outputFormat,
+    totalParts: count,
+    totalSize: parseFloat(parts.reduce((sum, part) => sum + part.size, 0).toFixed(2)),
+    targetNotReached: parts.some(part => part.targetNotReached),
+    parts,
+    action: 'thumbnails'
+  };
+}
+
+/**
+ * 스프라이트 시트와 WebVTT 썸네일 트랙 생성
+ * - 한 번의 디코딩으로 일정 간격 프레임을 타일 크기로 추출해 10 x 10 시트로 묶음 (타일이 많으면 여러 장)
+ * - 시트가 목표 용량을 맞추려고 축소되면 WebVTT 좌표도 같은 비율로 조정
+ * - WebVTT의 이미지 경로는 시트 파일 이름(같은 위치 기준 상대 경로)
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {Object} context - 생성 정보
+ * @param {Object} options - createVideoThumbnails 옵션
+ * @returns {Promise<Object>} 결과 필드 (parts: 시트 목록, outputPath: WebVTT)
+ */
+async function createSprite(inputPath, context, options) {
+  const { videoInfo, workDir, baseFileName } = context;
+  const duration = videoInfo.duration;
+
+  // 간격을 지정하지 않으면 영상 길이에 맞춰 정하고, 전체 타일 수가 한도를 넘으면 늘림
+  const [minInterval, maxInterval] = DEFAULT_INTERVAL_RANGE;
+  const requested = options.interval || Math.min(maxInterval, Math.max(minInterval, duration / DEFAULT_SPRITE_TILES));
+  const interval = Math.max(requested, duration / MAX_SPRITE_TILES);
+
+  const [sourceWidth, sourceHeight] = videoInfo.resolution.split('x').map(Number);
+  const tileWidth = Math.min(options.width || DEFAULT_TILE_WIDTH, sourceWidth);
+  const tileHeight = Math.max(2, Math.round(tileWidth * sourceHeight / sourceWidth / 2) * 2);
+
+  const framePaths = await extractSpriteFrames(inputPath, workDir, { interval, tileWidth, tileHeight, duration }, options);
+  if (framePaths.length === 0) {
+    throw new Error('스프라이트 프레임을 추출하지 못했습니다.');
+  }
+
+  const tilesPerSheet = SPRITE_COLUMNS * SPRITE_ROWS;
+  const sheetCount = Math.ceil(framePaths.length / tilesPerSheet);
+  const parts = [];
+  const cues = [];
+
+  for (let sheet = 0; sheet < sheetCount; sheet++) {
+    if (options.isCancelled && options.isCancelled()) {
+      throw new Error('작업이 취소되었습니다.');
+    }
+
+    const sheetFrames = framePaths.slice(sheet * tilesPerSheet, (sheet + 1) * tilesPerSheet);
+    const columns = Math.min(SPRITE_COLUMNS, sheetFrames.length);
+    const rows = Math.ceil(sheetFrames.length / columns);
+    const sheetWidth = columns * tileWidth;
+    const sheetHeight = rows * tileHeight;
+
+    const sheetPath = path.join(workDir, `${baseFileName}_sprite${String(sheet + 1).padStart(3, '0')}.png`);
+    await sharp({ create: { width: sheetWidth, height: sheetHeight, channels: 3, background: '#000000' } })
+      .composite(sheetFrames.map((framePath, i) => ({
+        input: framePath,
+        left: (i % columns) * tileWidth,
+        top: Math.floor(i / columns) * tileHeight
+      })))
+      .png()
+      .toFile(sheetPath);
+
+    const compressed = await compressImage(sheetPath, context.targetSizeKB, { outputFormat: context.outputFormat });
+    const [outputWidth, outputHeight] = compressed.dimensions.split('x').map(Number);
+    const scaleX = outputWidth / sheetWidth;
+    const scaleY = outputHeight / sheetHeight;
+    const fileName = storage.fileName(compressed.outputPath);
+
+    sheetFrames.forEach((framePath, i) => {
+      const index = sheet * tilesPerSheet + i;
+      const x = Math.round((i % columns) * tileWidth * scaleX);
+      const y = Math.round(Math.floor(i / columns) * tileHeight * scaleY);
+      cues.push({
+        start: index * interval,
+        end: Math.min((index + 1) * interval, duration),
+        target: `${fileName}#xywh=${x},${y},${Math.round(tileWidth * scaleX)},${Math.round(tileHeight * scaleY)}`
+      });
+    });
+
+    parts.push({
+      partNumber: sheet + 1,
+      tiles: sheetFrames.length,
+      columns,
+      rows,
+      size: compressed.compressedSize,
+      dimensions: compressed.dimensions,
+      quality: compressed.quality,
+      targetNotReached: compressed.targetNotReached,
+      outputPath: compressed.outputPath
+    });
+
+    if (options.onProgress) {
+      options.onProgress({ partNumber: 1, totalParts: 1, percent: 50 + (sheet + 1) / sheetCount * 50 });
+    }
+  }
+
+  // 시트를 먼저 게시하고 WebVTT는 마지막에 게시
+  const vttPath = path.join(storage.outputDir, `thumbnails_${Date.now()}_${baseFileName}.vtt`);
+  const vtt = ['WEBVTT', ...cues.map(cue => `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${cue.target}`)];
+  await fs.writeFile(vttPath, `${vtt.join('\n\n')}\n`);
+
+  return {
+    message: `스프라이트 시트 ${sheetCount}장과 WebVTT 트랙을 생성했습니다. (타일 ${framePaths.length}개)`,
+    imageFormat: context.outputFormat,
+    interval: parseFloat(interval.toFixed(3)),
+    tiles: framePaths.length,
+    tileResolution: `${tileWidth}x${tileHeight}`,
+    totalParts: sheetCount,
+    totalSize: parseFloat(parts.reduce((sum, part) => sum + part.size, 0).toFixed(2)),
+    targetNotReached: parts.some(part => part.targetNotReached),
+    parts,
+    outputPath: await storage.publish(vttPath),
+    action: 'sprite'
+  };
+}
+
+/**
+ * 장면 전환 시각 분석 (저해상도로 줄여 프레임 간 차이가 SCENE_THRESHOLD를 넘는 프레임 검출)
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {number} duration - 영상 길이 (초)
+ * @param {Object} options - 작업 옵션 (onCommand, onPercent)
+ * @returns {Promise<Array<number>>} 장면 전환 시각 목록 (초)
+ */
+function detectScenes(inputPath, duration, options) {
+  return new Promise((resolve, reject) => {
+    const sceneTimes = [];
+
+    const command = ffmpeg(inputPath)
+      .outputOptions([
+        '-an',
+        `-vf scale=${ANALYSIS_WIDTH}:-2,select=gt(scene\\,${SCENE_THRESHOLD}),showinfo`,
+        '-f null'
+      ])
+      .output('-')
+      .on('start', (cmd) => {
+        console.log('FFmpeg 명령어 실행 (장면 전환 분석):', cmd);
+        if (options.onCommand) options.onCommand(command);
+      })
+      .on('stderr', (line) => {
+        const match = line.includes('Parsed_showinfo') && line.match(/pts_time:\s*([\d.]+)/);
+        if (match) {
+          sceneTimes.push(parseFloat(match[1]));
+        }
+      })
+      .on('progress', (progress) => {
+        if (options.onPercent) options.onPercent(calculatePercent(progress, duration));
+      })
+      .on('end', () => {
+        console.log(`장면 전환 분석 완료 (${sceneTimes.length}개)`);
+        resolve(sceneTimes);
+      })
+      .on('error', (err) => {
+        console.error('장면 전환 분석 오류:', err);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * 대표 프레임 후보 시각 선택
+ * - 장면 전환 직후(SCENE_OFFSET_SECONDS 뒤)와 고른 간격 시각을 합치고, 시작/끝 구간과 가까운 중복은 제외
+ * - 장면 전환이 많으면 고르게 솎아 MAX_POSTER_CANDIDATES 이하로 제한
+ * @param {Array<number>} sceneTimes - 장면 전환 시각 목록 (초)
+ * @param {number} duration - 영상 길이 (초)
+ * @returns {Array<number>} 후보 시각 목록 (초, 오름차순)
+ */
+function selectPosterCandidates(sceneTimes, duration) {
+  const from = duration * EDGE_SKIP_RATIO;
+  const to = duration * (1 - EDGE_SKIP_RATIO);
+
+  let scenes = sceneTimes.map(time => time + SCENE_OFFSET_SECONDS).filter(time => time >= from && time <= to);
+  const sceneLimit = MAX_POSTER_CANDIDATES - EVEN_CANDIDATES;
+  if (scenes.length > sceneLimit) {
+    scenes = Array.from({ length: sceneLimit }, (_, i) => scenes[Math.floor(i * scenes.length / sceneLimit)]);
+  }
+
+  const even = Array.from({ length: EVEN_CANDIDATES }, (_, i) => from + (i + 0.5) * (to - from) / EVEN_CANDIDATES);
+  const minGap = Math.min(SCENE_OFFSET_SECONDS, duration / MAX_POSTER_CANDIDATES);
+
+  return [...scenes, ...even]
+    .sort((a, b) => a - b)
+    .filter((time, i, times) => i === 0 || time - times[i - 1] >= minGap);
+}
+
+/**
+ * 지정 시각의 프레임 한 장을 PNG로 추출
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {string} outputPath - 출력 PNG 경로
+ * @param {number} time - 추출 시각 (초, 마지막 프레임 이후면 마지막 프레임 근처로 조정)
+ * @param {Object} settings - 추출 설정
+ * @param {Object} settings.videoInfo - getVideoInfo 결과
+ * @param {number} [settings.width] - 출력 너비 (px, 생략 시 원본 크기, 원본보다 크게 확대하지 않음)
+ * @param {Object} options - 작업 옵션 (onCommand)
+ * @returns {Promise<void>}
+ */
+function extractFrame(inputPath, outputPath, time, settings, options) {
+  const { videoInfo, width } = settings;
+  const frameDuration = 1 / (videoInfo.fps || 30);
+  const seekTime = Math.max(0, Math.min(time, videoInfo.duration - frameDuration * 2));
+  const sourceWidth = parseInt(videoInfo.resolution);
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .seekInput(seekTime.toFixed(3))
+      .outputOptions([
+        '-frames:v 1',
+        ...(width && width < sourceWidth ? [`-vf scale=${width}:-2`] : [])
+      ])
+      .output(outputPath)
+      .on('start', (cmd) => {
+        if (options.onCommand) options.onCommand(command);
+      })
+      .on('end', async () => {
+        if (await fs.pathExists(outputPath)) {
+          resolve();
+        } else {
+          reject(new Error(`${seekTime.toFixed(3)}초 위치의 프레임을 추출하지 못했습니다.`));
+        }
+      })
+      .on('error', (err) => {
+        console.error('프레임 추출 오류:', err);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * 일정 간격 프레임을 타일 크기로 한 번에 추출
+ * @param {string} inputPath - 입력 영상 경로
+ * @param {string} workDir - 임시 프레임 디렉토리
+ * @param {Object} settings - 추출 설정 { interval, tileWidth, tileHeight, duration }
+ * @param {Object} options - 작업 옵션 (onProgress, onCommand)
+ * @returns {Promise<Array<string>>} 추출된 프레임 경로 목록 (시간순)
+ */
+async function extractSpriteFrames(inputPath, workDir, settings, options) {
+  const { interval, tileWidth, tileHeight, duration } = settings;
+  const framesDir = path.join(workDir, 'sprite');
+  await fs.ensureDir(framesDir);
+
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .outputOptions([
+        '-an',
+        `-vf fps=1/${interval.toFixed(3)}:round=down,scale=${tileWidth}:${tileHeight}`
+      ])
+      .output(path.join(framesDir, 'tile_%05d.png'))
+      .on('start', (cmd) => {
+        console.log(`FFmpeg 명령어 실행 (스프라이트 프레임 추출, ${interval.toFixed(3)}초 간격):`, cmd);
+        if (options.onCommand) options.onCommand(command);
+      })
+      .on('progress', (progress) => {
+        if (options.onProgress) {
+          options.onProgress({ partNumber: 1, totalParts: 1, percent: calculatePercent(progress, duration) * 0.5 });
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => {
+        console.error('스프라이트 프레임 추출 오류:', err);
+        reject(err);
+      })
+      .run();
+  });
+
+  // 전체 타일 수 한도를 넘는 마지막 프레임(반올림 오차)은 제외
+  const files = (await fs.readdir(framesDir)).filter(file => file.endsWith('.png')).sort();
+  return files.slice(0, Math.ceil(duration / interval)).map(file => path.join(framesDir, file));
+}
+
+/**
+ * WebVTT 시각 형식 변환 (예: 75.5 → 00:01:15.500)
+ * @param {number} seconds - 시각 (초)
+ * @returns {string} HH:MM:SS.mmm
+ */
+function formatVttTime(seconds) {
+  const milliseconds = Math.round(seconds * 1000);
+  const hours = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor(milliseconds % 3600000 / 60000);
+  const secs = (milliseconds % 60000) / 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${secs.toFixed(3).padStart(6, '0')}`;
+}
+
+module.exports = {
+  createVideoThumbnails,
+  THUMBNAIL_MODES,
+  THUMBNAIL_FORMATS,
+  MAX_THUMBNAILS
+};
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { parseSourceUrl, resolveAddress, sendRequest } = require('./remoteFetcher');
+
+/**
+ * 웹훅 관리 모듈 - 처리가 끝나면 callbackUrl로 결과 JSON을 POST하고 전송 기록을 보관
+ * - 본문은 `${타임스탬프}.${본문}`의 HMAC-SHA256 서명(X-IVCP-Signature)과 함께 전송
+ * - 2xx가 아닌 응답이나 연결 오류는 지수 백오프로 재시도
+ * - callbackUrl도 sourceUrl과 같은 내부 주소 차단 규칙을 적용하며, 리다이렉트는 따르지 않음
+ */
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+class WebhookManager {
+  constructor() {
+    this.secret = process.env.WEBHOOK_SECRET || null; // 서명 키 (설정하지 않으면 callbackUrl 사용 불가)
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5; // 최대 전송 시도 횟수
+    this.retryDelay = (parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 5) * 1000; // 첫 재시도 대기 시간 (이후 2배씩 증가)
+    this.timeout = (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000; // 전송 1회 제한 시간
+    this.deliveries = new Map();
+    this.maxAge = 1000 * 60 * 60 * 24; // 종료된 전송 기록 보관 시간 (24시간)
+    this.maxDeliveries = 1000; // 최대 전송 기록 수
+  }
+
+  /**
+   * callbackUrl 검증 (형식, 내부 주소 차단, 서명 키 설정 여부)
+   * @param {string} callbackUrl - 결과를 받을 URL
+   * @returns {Promise<string>} 정규화된 URL
+   */
+  async validateUrl(callbackUrl) {
+    if (!this.secret) {
+      throw new Error('서버에 웹훅 서명 키(WEBHOOK_SECRET)가 설정되지 않았습니다.');
+    }
+
+    const url = parseSourceUrl(callbackUrl);
+    await resolveAddress(url.hostname);
+    return url.href;
+  }
+
+  /**
+   * 결과 전송 등록 (첫 전송은 바로 시작하고 완료를 기다리지 않음)
+   * @param {string} callbackUrl - validateUrl로 검증한 URL
+   * @param {string} event - 이벤트 종류 (completed, failed, cancelled)
+   * @param {Object} payload - 전송할 결과 JSON
+   * @param {Object} [owner] - 전송 기록 소유 정보
+   * @param {string} [owner.jobId] - 비동기 작업 ID
+   * @param {string} [owner.apiKeyId] - 요청한 API 키 ID (키 없는 요청은 null)
+   * @returns {Object} 전송 기록
+   */
+  deliver(callbackUrl, event, payload, { jobId = null, apiKeyId = null } = {}) {
+    const body = JSON.stringify(payload);
+    const delivery = {
+      id: crypto.randomUUID(),
+      jobId,
+      apiKeyId, // 조회 범위 제한용 (응답에는 포함하지 않음)
+      event,
+      callbackUrl,
+      status: DELIVERY_STATUS.PENDING,
+      payloadBytes: Buffer.byteLength(body),
+      attempts: [],
+      body, // 전송이 끝나면 삭제
+      createdAt: Date.now(),
+      finishedAt: null,
+      nextAttemptAt: Date.now()
+    };
+
+    this.deliveries.set(delivery.id, delivery);
+    this.trimDeliveries();
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  /**
+   * 전송 1회 시도, 실패하면 다음 시도 예약
+   * @param {Object} delivery - 전송 기록
+   */
+  async attempt(delivery) {
+    const startedAt = Date.now();
+    const timestamp = Math.floor(startedAt / 1000);
+    const record = { attempt: delivery.attempts.length + 1, at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: 0 };
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      // 재시도마다 주소를 다시 검증 (DNS 변경 대응)
+      const url = new URL(delivery.callbackUrl);
+      const address = await resolveAddress(url.hostname);
+      const response = await sendRequest(url, address, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': delivery.payloadBytes,
+          'X-IVCP-Event': delivery.event,
+          'X-IVCP-Delivery': delivery.id,
+          'X-IVCP-Timestamp': String(timestamp),
+          'X-IVCP-Signature': `sha256=${this.sign(timestamp, delivery.body)}`
+        },
+        body: delivery.body
+      });
+      response.resume();
+      record.statusCode = response.statusCode;
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        record.error = `HTTP ${response.statusCode}`;
+      }
+    } catch (error) {
+      record.error = controller.signal.aborted ? `시간 초과 (${this.timeout / 1000}초)` : error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    record.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      this.finish(delivery, DELIVERY_STATUS.DELIVERED);
+      return;
+    }
+
+    if (delivery.attempts.length >= this.maxAttempts) {
+      console.error(`웹훅 전송 실패 (${delivery.id}, ${delivery.attempts.length}회 시도):`, record.error);
+      this.finish(delivery, DELIVERY_STATUS.FAILED);
+      return;
+    }
+
+    const delay = this.retryDelay * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = Date.now() + delay;
+    setTimeout(() => this.attempt(delivery), delay);
+  }
+
+  /**
+   * 전송 종료 처리
+   * @param {Object} delivery - 전송 기록
+   * @param {string} status - 최종 상태
+   */
+  finish(delivery, status) {
+    delivery.status = status;
+    delivery.finishedAt = Date.now();
+    delivery.nextAttemptAt = null;
+    delivery.body = null;
+  }
+
+  /**
+   * 본문 서명 (수신 측은 같은 방식으로 계산해 X-IVCP-Signature와 비교)
+   * @param {number} timestamp - X-IVCP-Timestamp 값 (초)
+   * @param {string} body - 요청 본문
+   * @returns {string} HMAC-SHA256 (hex)
+   */
+  sign(timestamp, body) {
+    return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * 전송 기록 조회 (다른 API 키로 요청한 기록은 찾지 않음)
+   * @param {string} id - 전송 ID
+   * @param {string|null} [apiKeyId] - 조회하는 API 키 ID (키 없는 요청은 null)
+   * @returns {Object|null} 전송 기록 또는 null
+   */
+  getDelivery(id, apiKeyId = null) {
+    const delivery = this.deliveries.get(id);
+    return delivery && delivery.apiKeyId === apiKeyId ? delivery : null;
+  }
+
+  /**
+   * 전송 기록 목록 (최근 순, 조회하는 API 키로 요청한 기록만)
+   * @param {Object} [filter] - 조회 조건
+   * @param {string|null} [filter.apiKeyId] - API 키 ID (키 없는 요청은 null)
+   * @param {string} [filter.jobId] - 작업 ID
+   * @param {string} [filter.status] - 전송 상태
+   * @param {number} [filter.limit] - 최대 개수 (기본값 50)
+   * @returns {Array<Object>} 직렬화된 전송 기록
+   */
+  listDeliveries({ apiKeyId = null, jobId, status, limit = 50 } = {}) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery => delivery.apiKeyId === apiKeyId &&
+        (!jobId || delivery.jobId === jobId) && (!status || delivery.status === status))
+      .reverse()
+      .slice(0, limit)
+      .map(delivery => this.serialize(delivery));
+  }
+
+  /**
+   * API 응답용 전송 기록
+   * @param {Object} delivery - 전송 기록
+   * @returns {Object} 직렬화된 전송 기록
+   */
+  serialize(delivery) {
+    return {
+      deliveryId: delivery.id,
+      jobId: delivery.jobId,
+      event: delivery.event,
+      callbackUrl: delivery.callbackUrl,
+      status: delivery.status,
+      payloadBytes: delivery.payloadBytes,
+      attempts: delivery.attempts,
+      createdAt: new Date(delivery.createdAt).toISOString(),
+      finishedAt: delivery.finishedAt ? new Date(delivery.finishedAt).toISOString() : null,
+      nextAttemptAt: delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).toISOString() : null
+    };
+  }
+
+  /**
+   * 기록 수가 한도를 넘으면 가장 오래된 종료 기록부터 삭제
+   */
+  trimDeliveries() {
+    for (const [id, delivery] of this.deliveries.entries()) {
+      if (this.deliveries.size <= this.maxDeliveries) {
+        break;
+      }
+      if (delivery.status !== DELIVERY_STATUS.PENDING) {
+        this.deliveries.delete(id);
+      }
+    }
+  }
+
+  /**
+   * 보관 시간이 지난 종료 기록 정리
+   */
+  clearExpiredDeliveries() {
+    const now = Date.now();
+    for (const [id, delivery] of this.deliveries.entries()) {
+      if (delivery.status !== DELIVERY_STATUS.PENDING && now - delivery.finishedAt > this.maxAge) {
+        this.deliveries.delete(id);
+      }
+    }
+  }
+}
+
+// 싱글톤 인스턴스
+const webhookManager = new WebhookManager();
+
+// 주기적 전송 기록 정리
+setInterval(() => webhookManager.clearExpiredDeliveries(), 60000); // 1분마다 실행
+
+module.exports = webhookManager;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
@@ -2,6 +2,7 @@ const ffmpeg = require('fluent-ffmpeg');
 const ffmpegStatic = require('ffmpeg-static');
 const fs = require('fs-extra');
 const path = require('path');
+const storage = require('./storage');
 
 // ffmpeg 경로 설정
 ffmpeg.setFfmpegPath(ffmpegStatic);
@@ -10,13 +11,16 @@ ffmpeg.setFfmpegPath(ffmpegStatic);
  * WebM 파일의 화질 변경 감지 및 분할
  * @param {string} inputPath - 입력 WebM 파일 경로
  * @param {number} targetSizeKB - 각 분할 파일의 최대 용량 (KB)
+ * @param {Object} [options] - 작업 옵션
+ * @param {Function} [options.onProgress] - 진행률 콜백 ({ partNumber, totalParts, percent })
+ * @param {Function} [options.onCommand] - ffmpeg 명령 시작 시 호출 (작업 취소용)
  * @returns {Promise<Object>} 처리 결과
  */
-async function detectWebMQualityChange(inputPath, targetSizeKB) {
+async function detectWebMQualityChange(inputPath, targetSizeKB, options = {}) {
   const startTime = Date.now(); // 처리 시간 측정 시작
   
   try {
-    const outputDir = path.join(__dirname, '..', 'output');
+    const outputDir = storage.outputDir;
     await fs.ensureDir(outputDir);
     
     // 원본 파일 정보
@@ -41,7 +45,7 @@ async function detectWebMQualityChange(inputPath, targetSizeKB) {
           partNumber: 1,
           size: parseFloat(originalSizeKB),
           duration: webmInfo.duration,
-          outputPath: `/output/${path.basename(outputPath)}`
+          outputPath: await storage.publish(outputPath)
         }],
         action: 'copied',
         processingTime: `${(Date.now() - startTime) / 1000} 초`
@@ -49,7 +53,7 @@ async function detectWebMQualityChange(inputPath, targetSizeKB) {
     }
     
     // 화질 변경 지점 감지
-    const qualityChanges = await detectQualityChanges(inputPath);
+    const qualityChanges = await detectQualityChanges(inputPath, options);
     
     // 화질 변경 지점을 기준으로 분할
     const splitPoints = [0, ...qualityChanges.map(qc => qc.timestamp), webmInfo.duration];
@@ -78,7 +82,7 @@ async function detectWebMQualityChange(inputPath, targetSizeKB) {
       const outputPath = path.join(outputDir, `webm_${timestamp}_${baseFileName}_part${i + 1}.webm`);
       
       await new Promise((resolve, reject) => {
-        ffmpeg(inputPath)
+        const command = ffmpeg(inputPath)
           .setStartTime(segment.startTime)
           .setDuration(segment.duration)
           .outputOptions([
@@ -90,9 +94,15 @@ async function detectWebMQualityChange(inputPath, targetSizeKB) {
           .output(outputPath)
           .on('start', (cmd) => {
             console.log(`FFmpeg 명령어 실행 (WebM 파트 ${i + 1}/${segments.length}):`, cmd);
+            if (options.onCommand) options.onCommand(command);
           })
           .on('progress', (progress) => {
-            console.log(`WebM 파트 ${i + 1} 처리 중: ${progress.percent ? progress.percent.toFixed(2) : 0}%`);
+            const elapsed = progress.timemark ? parseTimestamp(progress.timemark) : 0;
+            const percent = segment.duration > 0 ? Math.min(100, (elapsed / segment.duration) * 100) : 0;
+            console.log(`WebM 파트 ${i + 1} 처리 중: ${percent.toFixed(2)}%`);
+            if (options.onProgress) {
+              options.onProgress({ partNumber: i + 1, totalParts: segments.length, percent });
+            }
           })
           .on('end', () => {
             console.log(`WebM 파트 ${i + 1} 완료`);
@@ -116,7 +126,7 @@ async function detectWebMQualityChange(inputPath, targetSizeKB) {
         startTime: segment.startTime,
         endTime: segment.endTime,
         qualityChange: segment.qualityChange,
-        outputPath: `/output/${path.basename(outputPath)}`
+        outputPath: await storage.publish(outputPath)
       });
     }
     
@@ -140,19 +150,23 @@ async function detectWebMQualityChange(inputPath, targetSizeKB) {
 /**
  * WebM 파일의 화질 변경 지점 감지
  * @param {string} inputPath - 입력 WebM 파일 경로
+ * @param {Object} [options] - 작업 옵션 (onCommand만 사용)
  * @returns {Promise<Array>} 화질 변경 지점 배열
  */
-async function detectQualityChanges(inputPath) {
+async function detectQualityChanges(inputPath, options = {}) {
   return new Promise((resolve, reject) => {
     const qualityChanges = [];
     let previousBitrate = 0;
     let previousResolution = '';
     
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath)
       .outputOptions([
         '-f null',
         '-'
       ])
+      .on('start', () => {
+        if (options.onCommand) options.onCommand(command);
+      })
       .on('stderr', (stderrLine) => {
         // 비트레이트 변화 감지
         const bitrateMatch = stderrLine.match(/bitrate:\s*(\d+\.?\d*)\s*kbits\/s/);
@@ -0,0 +1,202 @@
+/**
+ * 작업 대기열 모듈 - ffmpeg/sharp 처리를 종류별(video, image, webm) 동시 실행 수 안에서 순서대로 실행
+ * - 동시 실행 수를 넘는 처리는 대기열에서 기다리며, 순번이 바뀔 때마다 onQueue 콜백으로 알림
+ * - 작은 이미지(QUEUE_SMALL_IMAGE_KB 이하)는 큰 이미지보다 먼저 실행
+ * - 대기열 길이가 QUEUE_MAX_LENGTH에 도달하면 새 요청을 받지 않고 예상 대기 시간을 반환
+ */
+
+const DEFAULT_TASK_SECONDS = { video: 60, image: 2, webm: 60 }; // 처리 시간 기록이 없을 때 예상 처리 시간
+
+class WorkQueue {
+  constructor() {
+    this.maxLength = parseInt(process.env.QUEUE_MAX_LENGTH) || 20; // 종류별 최대 대기 수
+    this.smallImageBytes = (parseInt(process.env.QUEUE_SMALL_IMAGE_KB) || 512) * 1024; // 우선 처리할 이미지 크기
+    this.pools = {
+      video: this.createPool(parseInt(process.env.QUEUE_VIDEO_CONCURRENCY) || 1),
+      image: this.createPool(parseInt(process.env.QUEUE_IMAGE_CONCURRENCY) || 2),
+      webm: this.createPool(parseInt(process.env.QUEUE_WEBM_CONCURRENCY) || 1)
+    };
+  }
+
+  /**
+   * 종류별 대기열 생성
+   * @param {number} concurrency - 동시 실행 수
+   * @returns {Object} 대기열
+   */
+  createPool(concurrency) {
+    return {
+      concurrency,
+      running: 0,
+      waiting: [],
+      completed: 0,
+      failed: 0,
+      rejected: 0,
+      averageSeconds: null
+    };
+  }
+
+  /**
+   * 새 요청을 받을 수 있는지 확인 (대기열이 가득 차면 거절 횟수 기록)
+   * @param {string} type - 대기열 종류 (video, image, webm)
+   * @returns {number|null} 거절 시 재시도까지 예상 대기 시간(초), 받을 수 있으면 null
+   */
+  admit(type) {
+    const pool = this.pools[type];
+    this.pruneCancelled(pool);
+
+    if (pool.waiting.length < this.maxLength) {
+      return null;
+    }
+    pool.rejected++;
+    return this.estimateWait(type);
+  }
+
+  /**
+   * 대기열에 처리 등록 (실행 슬롯이 비면 바로 실행)
+   * @param {string} type - 대기열 종류 (video, image, webm)
+   * @param {Function} task - () => Promise 형태의 처리 함수
+   * @param {Object} [options] - 대기 옵션
+   * @param {number} [options.size] - 입력 파일 크기 (바이트, 이미지 우선 처리 판단용)
+   * @param {Function} [options.onQueue] - 순번 변경 콜백 (position) - 실행이 시작되면 0
+   * @param {Function} [options.isCancelled] - 취소 여부 확인 (취소되면 실행하지 않고 대기열에서 제거)
+   * @returns {Promise<*>} 처리 함수의 결과
+   */
+  run(type, task, options = {}) {
+    const pool = this.pools[type];
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        task,
+        resolve,
+        reject,
+        priority: type === 'image' && options.size !== undefined && options.size <= this.smallImageBytes,
+        onQueue: options.onQueue,
+        isCancelled: options.isCancelled,
+        position: null
+      };
+
+      // 우선 처리 항목은 기존 우선 처리 항목 뒤, 일반 항목 앞에 삽입
+      if (entry.priority) {
+        const index = pool.waiting.findIndex(waiting => !waiting.priority);
+        pool.waiting.splice(index === -1 ? pool.waiting.length : index, 0, entry);
+      } else {
+        pool.waiting.push(entry);
+      }
+
+      this.dispatch(type);
+    });
+  }
+
+  /**
+   * 빈 실행 슬롯만큼 대기 중인 처리를 시작하고 남은 항목의 순번 갱신
+   * @param {string} type - 대기열 종류
+   */
+  dispatch(type) {
+    const pool = this.pools[type];
+    this.pruneCancelled(pool);
+
+    while (pool.running < pool.concurrency && pool.waiting.length > 0) {
+      this.start(type, pool.waiting.shift());
+    }
+
+    pool.waiting.forEach((entry, index) => {
+      if (entry.position !== index + 1) {
+        entry.position = index + 1;
+        if (entry.onQueue) {
+          entry.onQueue(entry.position);
+        }
+      }
+    });
+  }
+
+  /**
+   * 처리 실행, 끝나면 평균 처리 시간을 갱신하고 다음 항목 시작
+   * @param {string} type - 대기열 종류
+   * @param {Object} entry - 대기 항목
+   */
+  start(type, entry) {
+    const pool = this.pools[type];
+    const startedAt = Date.now();
+    pool.running++;
+
+    if (entry.onQueue) {
+      entry.onQueue(0);
+    }
+
+    Promise.resolve()
+      .then(() => entry.task())
+      .then((result) => {
+        pool.completed++;
+        entry.resolve(result);
+      }, (error) => {
+        pool.failed++;
+        entry.reject(error);
+      })
+      .finally(() => {
+        const seconds = (Date.now() - startedAt) / 1000;
+        // 최근 처리 시간에 더 큰 가중치를 둔 이동 평균
+        pool.averageSeconds = pool.averageSeconds === null ? seconds : pool.averageSeconds * 0.8 + seconds * 0.2;
+        pool.running--;
+        this.dispatch(type);
+      });
+  }
+
+  /**
+   * 취소된 대기 항목 제거
+   * @param {Object} pool - 대기열
+   */
+  pruneCancelled(pool) {
+    pool.waiting = pool.waiting.filter(entry => {
+      if (entry.isCancelled && entry.isCancelled()) {
+        entry.reject(new Error('작업이 취소되었습니다.'));
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * 지금 등록하면 실행까지 걸릴 예상 시간
+   * @param {string} type - 대기열 종류
+   * @returns {number} 예상 대기 시간 (초, 최소 1초)
+   */
+  estimateWait(type) {
+    const pool = this.pools[type];
+    const averageSeconds = pool.averageSeconds === null ? DEFAULT_TASK_SECONDS[type] : pool.averageSeconds;
+    return Math.max(1, Math.ceil(averageSeconds * (pool.waiting.length + 1) / pool.concurrency));
+  }
+
+  /**
+   * 대기열 상태
+   * @returns {Object} 종류별 동시 실행 수, 실행/대기 수, 누적 처리 수와 예상 대기 시간
+   */
+  getStatus() {
+    const queues = {};
+    for (const [type, pool] of Object.entries(this.pools)) {
+      this.pruneCancelled(pool);
+      queues[type] = {
+        concurrency: pool.concurrency,
+        running: pool.running,
+        waiting: pool.waiting.length,
+        prioritized: pool.waiting.filter(entry => entry.priority).length,
+        completed: pool.completed,
+        failed: pool.failed,
+        rejected: pool.rejected,
+        averageSeconds: pool.averageSeconds === null ? null : parseFloat(pool.averageSeconds.toFixed(3)),
+        estimatedWaitSeconds: pool.waiting.length > 0 || pool.running >= pool.concurrency ? this.estimateWait(type) : 0,
+        full: pool.waiting.length >= this.maxLength
+      };
+    }
+
+    return {
+      maxQueueLength: this.maxLength,
+      smallImageKB: this.smallImageBytes / 1024,
+      queues
+    };
+  }
+}
+
+// 싱글톤 인스턴스
+const workQueue = new WorkQueue();
+
+module.exports = workQueue;